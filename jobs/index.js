@@ -0,0 +1,26 @@
+const { registerJob } = require('../services/scheduler');
+const { isEcourtConfigured } = require('../services/ecourt');
+const { syncAllLinkedCases } = require('../services/ecourt/sync');
+const { purgeExpiredTrash } = require('../services/trash');
+const { runReminders } = require('../services/notifications');
+const { runStatusTransitions } = require('../services/statusTransitions');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Register all background jobs with the scheduler
+const registerJobs = () => {
+  if (isEcourtConfigured()) {
+    const hours = parseFloat(process.env.ECOURT_SYNC_INTERVAL_HOURS) || 24;
+    registerJob('ecourt-sync', hours * HOUR, syncAllLinkedCases);
+  }
+
+  registerJob('trash-purge', 24 * HOUR, purgeExpiredTrash, { runOnStart: true });
+
+  registerJob('status-transitions', HOUR, runStatusTransitions, { runOnStart: true });
+
+  const minutes = parseFloat(process.env.NOTIFICATION_INTERVAL_MINUTES) || 60;
+  registerJob('notifications', minutes * MINUTE, runReminders, { runOnStart: true });
+};
+
+module.exports = { registerJobs };
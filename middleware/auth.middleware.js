@@ -1,8 +1,12 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User.model');
+const Session = require('../models/Session.model');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { resolveUserRole, hasPermission } = require('../utils/roles');
 
-// Verify JWT token
-exports.authenticate = async (req, res, next) => {
+// Verify the JWT and load the user
+// allowTwoFactorSetup lets users who still have to enroll in required 2FA through
+async function verifyRequest(req, res, next, { allowTwoFactorSetup = false } = {}) {
   try {
     const token = req.headers.authorization?.split(' ')[1] || req.headers.authorization;
     
@@ -14,6 +18,16 @@ exports.authenticate = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
+
+    // Access tokens are tied to a session so logout and revocation take effect immediately
+    const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+    if (!session || !session.isActive() || session.userId.toString() !== decoded.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked'
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user || !user.isActive) {
@@ -23,7 +37,24 @@ exports.authenticate = async (req, res, next) => {
       });
     }
 
+    if (!(await resolveUserRole(user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your role is no longer available. Please contact an administrator.'
+      });
+    }
+
+    // Users whose role requires 2FA can only reach the enrollment routes until they set it up
+    if (!allowTwoFactorSetup && !(user.twoFactor && user.twoFactor.enabled) && await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be set up before continuing',
+        twoFactorSetupRequired: true
+      });
+    }
+
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -43,9 +74,16 @@ exports.authenticate = async (req, res, next) => {
       message: 'Authentication error'
     });
   }
-};
+}
 
-// Check if user has required role(s)
+// Verify JWT token
+exports.authenticate = (req, res, next) => verifyRequest(req, res, next);
+
+// Verify JWT token without enforcing the 2FA policy (2FA enrollment, logout)
+exports.authenticateForTwoFactorSetup = (req, res, next) =>
+  verifyRequest(req, res, next, { allowTwoFactorSetup: true });
+
+// Check if user's role has the required access level(s)
 exports.authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -56,7 +94,7 @@ exports.authorize = (...roles) => {
     }
 
     // Admin has access to all Lawyer permissions
-    const userRoles = req.user.role === 'Admin' ? ['Admin', 'Lawyer'] : [req.user.role];
+    const userRoles = req.user.accessLevel === 'Admin' ? ['Admin', 'Lawyer'] : [req.user.accessLevel];
     const hasRole = roles.some(role => userRoles.includes(role));
 
     if (!hasRole) {
@@ -70,6 +108,25 @@ exports.authorize = (...roles) => {
   };
 };
 
+// Check if user's role grants all of the named permissions
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
 
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.',
+        missingPermissions: missing
+      });
+    }
 
-
+    next();
+  };
+};
@@ -0,0 +1,28 @@
+const multer = require('multer');
+
+const maxFileSize = (parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 25) * 1024 * 1024;
+
+// Files are kept in memory and handed to the storage driver by the route
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSize, files: 1 }
+});
+
+// Accept a single file from the given multipart field
+exports.uploadSingle = (fieldName = 'file') => {
+  const handler = upload.single(fieldName);
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.code === 'LIMIT_FILE_SIZE'
+            ? `File exceeds the maximum upload size of ${maxFileSize / (1024 * 1024)} MB`
+            : err.message || 'File upload failed'
+        });
+      }
+      next();
+    });
+  };
+};
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a change made through the API (see utils/audit.js)
+const auditLogSchema = new mongoose.Schema({
+  // Missing for changes made by background jobs
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorName: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: String,
+    required: true
+  },
+  // Entity the changed record belongs to, e.g. the case of a hearing or document
+  parentType: {
+    type: String
+  },
+  parentId: {
+    type: String
+  },
+  // Changed fields only: values before and after the change
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  note: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ parentType: 1, parentId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries can never be changed or removed once written
+function rejectChange(next) {
+  next(new Error('Audit log entries are immutable'));
+}
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditLogSchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
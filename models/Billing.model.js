@@ -133,6 +133,12 @@ const invoiceSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Full-text search for ?q= on the invoice list
+invoiceSchema.index(
+  { invoiceNumber: 'text', 'items.description': 'text' },
+  { name: 'invoice_text', weights: { invoiceNumber: 10, 'items.description': 1 } }
+);
+
 // Calculate total amount before saving
 invoiceSchema.pre('save', function(next) {
   if (this.isModified('items')) {
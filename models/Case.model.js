@@ -1,4 +1,48 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+const documentVersionSchema = new mongoose.Schema({
+  versionNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  filePath: {
+    type: String,
+    required: true
+  },
+  storageDriver: {
+    type: String,
+    default: 'local'
+  },
+  mimeType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  size: {
+    type: Number,
+    min: 0
+  },
+  // SHA-256 hex digest of the file contents
+  checksum: {
+    type: String
+  },
+  changeNote: {
+    type: String,
+    trim: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
 
 const caseDocumentSchema = new mongoose.Schema({
   fileName: {
@@ -9,15 +53,37 @@ const caseDocumentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Storage driver the file was written with (local, s3)
+  storageDriver: {
+    type: String,
+    default: 'local'
+  },
+  mimeType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  size: {
+    type: Number,
+    min: 0
+  },
   documentType: {
     type: String,
     required: true
   },
+  checksum: {
+    type: String
+  },
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
-  }
+  },
+  // Top-level file fields mirror the latest entry in versions
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+  versions: [documentVersionSchema]
 }, {
   timestamps: true
 });
@@ -38,7 +104,7 @@ const caseTimelineEventSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['filing', 'hearing', 'document', 'status_change', 'note'],
+    enum: ['filing', 'hearing', 'document', 'status_change', 'note', 'notice'],
     required: true
   },
   createdBy: {
@@ -50,6 +116,112 @@ const caseTimelineEventSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Other party to a case, recorded for conflict-of-interest checks
+const casePartySchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['opposing_party', 'co_party', 'opposing_counsel', 'co_counsel'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  companyName: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Lawyer or staff member working on a case. The assigned lawyer is always a lead member.
+// Observers can view the case; all other team roles can also work on it.
+const caseTeamMemberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['lead', 'associate', 'paralegal', 'observer'],
+    default: 'associate',
+    required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Link between a case and its record on eCourts
+const caseEcourtSchema = new mongoose.Schema({
+  cnrNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Alternative lookup when the CNR number is not known
+  court: {
+    type: String,
+    trim: true
+  },
+  caseType: {
+    type: String,
+    trim: true
+  },
+  registrationNumber: {
+    type: String,
+    trim: true
+  },
+  registrationYear: {
+    type: Number
+  },
+  courtStatus: {
+    type: String
+  },
+  // Keys of orders already added to the timeline
+  syncedOrders: [{
+    type: String
+  }],
+  linkedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastSyncedAt: {
+    type: Date
+  },
+  lastSyncStatus: {
+    type: String,
+    enum: ['success', 'not_found', 'error']
+  },
+  lastSyncError: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
 const caseSchema = new mongoose.Schema({
   caseNumber: {
     type: String,
@@ -65,22 +237,26 @@ const caseSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // A status from the case type's workflow (see utils/caseWorkflow.js)
   status: {
     type: String,
-    enum: ['Open', 'InProgress', 'Closed', 'OnHold'],
     default: 'Open',
     required: true
   },
+  // Whether the status is a closed one in the workflow
+  isClosed: {
+    type: Boolean,
+    default: false
+  },
   priority: {
     type: String,
     enum: ['Low', 'Medium', 'High', 'Urgent'],
     default: 'Medium',
     required: true
   },
+  // One of the configured case types (see utils/caseTypes.js)
   caseType: {
     type: String,
-    enum: ['Civil', 'Criminal', 'Corporate', 'Family', 'Property', 'Labor', 'Tax', 
-           'PersonalInjury', 'Immigration', 'Bankruptcy', 'ChequeDefault', 'Other'],
     required: true
   },
   clientId: {
@@ -111,8 +287,13 @@ const caseSchema = new mongoose.Schema({
     of: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  team: [caseTeamMemberSchema],
+  parties: [casePartySchema],
   documents: [caseDocumentSchema],
   timeline: [caseTimelineEventSchema],
+  ecourt: {
+    type: caseEcourtSchema
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -122,12 +303,21 @@ const caseSchema = new mongoose.Schema({
   timestamps: true
 });
 
+caseSchema.plugin(softDelete);
+
 // Indexes
 // Note: caseNumber index is already created by unique: true in field definition
 caseSchema.index({ clientId: 1 });
 caseSchema.index({ assignedLawyerId: 1 });
+caseSchema.index({ 'team.userId': 1 });
 caseSchema.index({ status: 1 });
 caseSchema.index({ caseType: 1 });
+caseSchema.index({ 'ecourt.cnrNumber': 1 }, { sparse: true });
+// Full-text search for ?q= on the case list
+caseSchema.index(
+  { caseNumber: 'text', title: 'text', description: 'text' },
+  { name: 'case_text', weights: { caseNumber: 10, title: 5, description: 1 } }
+);
 
 // Generate case number before saving
 caseSchema.pre('save', async function(next) {
@@ -136,9 +326,10 @@ caseSchema.pre('save', async function(next) {
     try {
       const year = new Date().getFullYear();
       const CaseModel = this.constructor;
+      // Cases in the trash still hold their numbers
       const count = await CaseModel.countDocuments({ 
         caseNumber: new RegExp(`^CASE-${year}-`) 
-      });
+      }).setOptions({ withDeleted: true });
       this.caseNumber = `CASE-${year}-${String(count + 1).padStart(4, '0')}`;
     } catch (error) {
       // Fallback if count fails - use timestamp for uniqueness
@@ -150,5 +341,19 @@ caseSchema.pre('save', async function(next) {
   next();
 });
 
+// Keep the assigned lawyer on the team as lead counsel
+caseSchema.pre('save', function(next) {
+  if (this.assignedLawyerId) {
+    const lawyerId = this.assignedLawyerId._id || this.assignedLawyerId;
+    const member = this.team.find(m => (m.userId._id || m.userId).toString() === lawyerId.toString());
+    if (!member) {
+      this.team.push({ userId: lawyerId, role: 'lead', addedBy: this.createdBy });
+    } else if (member.role !== 'lead') {
+      member.role = 'lead';
+    }
+  }
+  next();
+});
+
 module.exports = mongoose.model('Case', caseSchema);
 
@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+
+// A custom field cases of a type carry in Case.customFields
+const customFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[A-Za-z0-9_-]+$/
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'number', 'date', 'boolean', 'select', 'multiselect'],
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Choices for select and multiselect fields
+  options: [{
+    type: String
+  }],
+  // min/max for numbers and dates, minLength/maxLength/pattern for text
+  validation: {
+    min: mongoose.Schema.Types.Mixed,
+    max: mongoose.Schema.Types.Mixed,
+    minLength: Number,
+    maxLength: Number,
+    pattern: String
+  },
+  helpText: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// A status in a case type's workflow
+const workflowStatusSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Cases in a closed status count as finished (e.g. no eCourt sync, no open-case blockers)
+  closed: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// An allowed move between statuses; from may include '*' for any status
+const workflowTransitionSchema = new mongoose.Schema({
+  from: [{
+    type: String,
+    required: true
+  }],
+  to: {
+    type: String,
+    required: true
+  },
+  requiresReason: {
+    type: Boolean,
+    default: false
+  },
+  // Custom field keys that must be filled in before the move
+  requiredFields: [{
+    type: String
+  }]
+}, { _id: false });
+
+const workflowSchema = new mongoose.Schema({
+  initialStatus: {
+    type: String,
+    required: true
+  },
+  statuses: [workflowStatusSchema],
+  transitions: [workflowTransitionSchema]
+}, { _id: false });
+
+// A statutory or procedural deadline that follows from an event in a case
+const deadlineRuleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Event the period runs from, e.g. judgment, or another rule's key to run on from its date
+  trigger: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  triggerLabel: {
+    type: String,
+    trim: true
+  },
+  // Date custom field (or filingDate) that fires the trigger when a case sets it
+  triggerField: {
+    type: String,
+    trim: true
+  },
+  period: {
+    value: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    unit: {
+      type: String,
+      enum: ['days', 'weeks', 'months', 'years'],
+      required: true
+    }
+  },
+  // Move a period ending on a weekend or court holiday to the next working day
+  extendToWorkingDay: {
+    type: Boolean,
+    default: true
+  },
+  statute: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Task created on every new case of the type
+const taskTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  priority: {
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Urgent'],
+    default: 'Medium'
+  },
+  // Days after the case is created that the task is due; unset for no due date
+  dueInDays: {
+    type: Number,
+    min: 0
+  },
+  // Give the task to the case's assigned lawyer or leave it unassigned
+  assignTo: {
+    type: String,
+    enum: ['assignedLawyer', 'unassigned'],
+    default: 'assignedLawyer'
+  },
+  checklist: [{
+    type: String
+  }]
+}, { _id: false });
+
+// Configurable case type. Built-in types are defined in utils/caseTypes.js;
+// a document with the same type overrides them.
+const caseTypeSchema = new mongoose.Schema({
+  // Value stored in Case.caseType
+  type: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  icon: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  fields: [customFieldSchema],
+  // Status workflow (see utils/caseWorkflow.js); the default workflow applies when unset
+  workflow: {
+    type: workflowSchema,
+    default: undefined
+  },
+  // Deadline rules (see services/deadlines.js); a built-in type's rules apply when unset
+  deadlineRules: {
+    type: [deadlineRuleSchema],
+    default: undefined
+  },
+  // Tasks created with each new case; a built-in type's templates apply when unset
+  taskTemplates: {
+    type: [taskTemplateSchema],
+    default: undefined
+  },
+  // Retired types stay on existing cases but cannot be chosen for new ones
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CaseType', caseTypeSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A user's saved case list filter, re-run with GET /api/cases?view=<id>
+const caseViewSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Case list parameters (see utils/caseFilters.js); custom fields are kept under cf
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sort: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+caseViewSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('CaseView', caseViewSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const clientSchema = new mongoose.Schema({
   name: {
@@ -40,9 +41,16 @@ const clientSchema = new mongoose.Schema({
   timestamps: true
 });
 
+clientSchema.plugin(softDelete);
+
 // Index for faster queries
 clientSchema.index({ assignedLawyerId: 1 });
 clientSchema.index({ email: 1 });
+// Full-text search for ?q= on the client list
+clientSchema.index(
+  { name: 'text', companyName: 'text' },
+  { name: 'client_text' }
+);
 
 module.exports = mongoose.model('Client', clientSchema);
 
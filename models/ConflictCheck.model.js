@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Result of a conflict-of-interest check, kept as the record that the check was
+// run and, when it found potential conflicts, of how an Admin resolved them
+const conflictCheckSchema = new mongoose.Schema({
+  // Client or case the check was run for; unset for ad hoc checks
+  subjectType: {
+    type: String,
+    enum: ['Client', 'Case']
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Names, companies, emails and phones that were checked
+  checked: [{
+    side: {
+      type: String,
+      enum: ['client', 'adverse'],
+      required: true
+    },
+    role: String,
+    name: String,
+    companyName: String,
+    email: String,
+    phone: String,
+    _id: false
+  }],
+  // Potential conflicts found (see services/conflicts.js)
+  matches: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // clear: nothing found; pending: waiting for an Admin; cleared: not a conflict; waived: conflict accepted
+  status: {
+    type: String,
+    enum: ['clear', 'pending', 'cleared', 'waived'],
+    required: true
+  },
+  resolutionReason: {
+    type: String
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  runBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+conflictCheckSchema.index({ subjectType: 1, subjectId: 1, createdAt: -1 });
+conflictCheckSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ConflictCheck', conflictCheckSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Day a court is closed; deadlines falling on it move to the next working day
+const courtHolidaySchema = new mongoose.Schema({
+  // Midnight UTC of the holiday
+  date: {
+    type: Date,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Court the holiday applies to (matched against Case.courtName); unset for all courts
+  courtName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+courtHolidaySchema.index({ date: 1, courtName: 1 }, { unique: true });
+
+module.exports = mongoose.model('CourtHoliday', courtHolidaySchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Tracked deadline of a case, calculated from a case type's deadline rules or entered by hand
+const deadlineSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Rule the deadline was calculated from (see services/deadlines.js); unset for manual deadlines
+  ruleKey: {
+    type: String
+  },
+  // Event the calculation started from, e.g. judgment, and its date
+  trigger: {
+    type: String
+  },
+  triggerDate: {
+    type: Date
+  },
+  // End of the period before moving off weekends and court holidays
+  computedDate: {
+    type: Date
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  statute: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Completed', 'Cancelled'],
+    default: 'Pending',
+    required: true
+  },
+  completedAt: {
+    type: Date
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String
+  },
+  source: {
+    type: String,
+    enum: ['rule', 'manual'],
+    default: 'manual'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+deadlineSchema.index({ caseId: 1, dueDate: 1 });
+deadlineSchema.index({ status: 1, dueDate: 1 });
+
+module.exports = mongoose.model('Deadline', deadlineSchema);
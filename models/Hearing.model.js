@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const hearingSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+  courtName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  bench: {
+    type: String,
+    trim: true
+  },
+  courtroom: {
+    type: String,
+    trim: true
+  },
+  hearingDate: {
+    type: Date,
+    required: true
+  },
+  purpose: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['Scheduled', 'Completed', 'Adjourned', 'Cancelled'],
+    default: 'Scheduled',
+    required: true
+  },
+  outcome: {
+    type: String,
+    trim: true
+  },
+  // Next date given by the court when the outcome was recorded
+  nextHearingDate: {
+    type: Date
+  },
+  // Hearing created for nextHearingDate when the outcome was recorded
+  nextHearingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hearing'
+  },
+  notes: {
+    type: String
+  },
+  // Where the hearing came from: entered by staff or pulled from eCourts
+  source: {
+    type: String,
+    enum: ['manual', 'ecourt'],
+    default: 'manual'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+hearingSchema.index({ caseId: 1, hearingDate: 1 });
+hearingSchema.index({ hearingDate: 1, status: 1 });
+
+module.exports = mongoose.model('Hearing', hearingSchema);
@@ -40,6 +40,12 @@ const messageSchema = new mongoose.Schema({
 // Indexes
 messageSchema.index({ senderId: 1, createdAt: -1 });
 messageSchema.index({ receiverId: 1, isRead: 1, createdAt: -1 });
+messageSchema.index({ caseId: 1, createdAt: -1 });
+// Full-text search for ?q= on the message list
+messageSchema.index(
+  { subject: 'text', content: 'text' },
+  { name: 'message_text', weights: { subject: 5, content: 1 } }
+);
 
 module.exports = mongoose.model('Message', messageSchema);
 
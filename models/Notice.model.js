@@ -1,5 +1,63 @@
 const mongoose = require('mongoose');
 
+// A stored file: a drafted notice's PDF or a letter in its correspondence
+const noticeDocumentSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  filePath: {
+    type: String,
+    required: true
+  },
+  // Storage driver the file was written with (local, s3)
+  storageDriver: {
+    type: String,
+    default: 'local'
+  },
+  mimeType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  size: {
+    type: Number,
+    min: 0
+  },
+  // SHA-256 hex digest of the file contents
+  checksum: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+// A letter received from or sent to the other side about the notice
+const correspondenceSchema = new mongoose.Schema({
+  direction: {
+    type: String,
+    enum: ['Received', 'Sent'],
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  document: noticeDocumentSchema,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
 const noticeSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -43,6 +101,36 @@ const noticeSchema = new mongoose.Schema({
     enum: ['Low', 'Medium', 'High', 'Urgent'],
     default: 'Medium'
   },
+  acknowledgedAt: {
+    type: Date
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The reply that closed the notice; the letter itself is in the correspondence
+  response: {
+    text: {
+      type: String,
+      trim: true
+    },
+    repliedAt: {
+      type: Date
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    correspondenceId: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
+  correspondence: [correspondenceSchema],
+  // Template the notice was drafted from, and the PDF made of it
+  templateKey: {
+    type: String
+  },
+  document: noticeDocumentSchema,
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -56,6 +144,11 @@ const noticeSchema = new mongoose.Schema({
 noticeSchema.index({ caseId: 1 });
 noticeSchema.index({ clientId: 1 });
 noticeSchema.index({ status: 1, dueDate: 1 });
+// Full-text search for ?q= on the notice list
+noticeSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'notice_text', weights: { title: 5, description: 1 } }
+);
 
 module.exports = mongoose.model('Notice', noticeSchema);
 
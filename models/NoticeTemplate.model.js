@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Template legal notices are drafted from; built-in templates with the same key are overridden
+const noticeTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[A-Za-z0-9_-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Case types the template is offered for; empty for all
+  caseTypes: [{
+    type: String
+  }],
+  noticeType: {
+    type: String,
+    enum: ['Legal', 'Court', 'Administrative', 'Other'],
+    default: 'Legal'
+  },
+  // Title and body of the notice, with {{placeholders}}
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  // Days after the issue date the notice is due
+  dueInDays: {
+    type: Number,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('NoticeTemplate', noticeTemplateSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// In-app notification for a user, also sent by email when their preferences allow
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Preference key it was sent under: hearing, noticeDue or invoiceOverdue
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Frontend path to open, e.g. /cases/<id>
+  link: {
+    type: String
+  },
+  entityType: {
+    type: String
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Identifies what the notification is about, so a reminder is only ever created once
+  dedupeKey: {
+    type: String,
+    required: true
+  },
+  // False when the user only wants the email
+  inApp: {
+    type: Boolean,
+    default: true
+  },
+  readAt: {
+    type: Date
+  },
+  email: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'sent', 'failed'],
+      default: 'none'
+    },
+    sentAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    error: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ userId: 1, dedupeKey: 1 }, { unique: true });
+notificationSchema.index({ userId: 1, inApp: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ 'email.status': 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Configurable role. Built-in roles (Admin, Lawyer, Client) are defined in
+// utils/permissions.js; a document with the same name overrides their permissions.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: [{
+    type: String
+  }],
+  // Data scope the role works with (see ACCESS_LEVELS)
+  baseRole: {
+    type: String,
+    enum: ['Admin', 'Lawyer', 'Client'],
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
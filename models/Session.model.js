@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Holds the current refresh token (hashed) for that device.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token this one replaced, used to detect reuse of a rotated token
+  previousTokenHash: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  deviceName: {
+    type: String,
+    trim: true
+  },
+  ipAddress: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'token_reuse', 'deactivated']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const taskChecklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  doneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  doneAt: {
+    type: Date
+  }
+});
+
+const taskCommentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Piece of work on a case, e.g. "Draft written statement"
+const taskSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  assigneeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dueDate: {
+    type: Date
+  },
+  priority: {
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Urgent'],
+    default: 'Medium'
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'InProgress', 'Done', 'Cancelled'],
+    default: 'Open',
+    required: true
+  },
+  checklist: [taskChecklistItemSchema],
+  comments: [taskCommentSchema],
+  // Case type task template the task was created from, if any
+  templateKey: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+taskSchema.index({ caseId: 1, status: 1 });
+taskSchema.index({ assigneeId: 1, status: 1, dueDate: 1 });
+
+module.exports = mongoose.model('Task', taskSchema);
@@ -1,6 +1,42 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const twoFactorSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP secret, encrypted (see utils/totp.js)
+  secret: {
+    type: String
+  },
+  // Secret waiting for its first code during enrollment
+  pendingSecret: {
+    type: String
+  },
+  // SHA-256 hashes of unused recovery codes
+  recoveryCodes: [{
+    type: String
+  }],
+  // Last accepted time step, so a code can't be replayed
+  lastUsedStep: {
+    type: Number
+  },
+  // Invalid codes in a row, and when entering codes is allowed again after too many
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  enabledAt: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -28,20 +64,61 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Name of a built-in (Admin, Lawyer, Client) or configured role
   role: {
     type: String,
-    enum: ['Admin', 'Lawyer', 'Client'],
     required: true,
+    trim: true,
     default: 'Client'
   },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Left unset for accounts created before email verification existed
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  twoFactor: {
+    type: twoFactorSchema,
+    default: () => ({})
+  },
+  // Client records this portal user represents (Client role), e.g. a person and their company
+  clientIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  }],
+  // Secret token for the iCalendar hearing feed (calendar apps can't send a JWT)
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Changes to the default reminder settings (see services/notifications.js)
+  notificationPreferences: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
   }
 }, {
   timestamps: true
 });
 
+// Indexes
+userSchema.index({ clientIds: 1 });
+
+// Data scope and permissions of the user's role, resolved by the authenticate middleware
+// Before resolution accessLevel falls back to the role name (correct for built-in roles)
+userSchema.virtual('accessLevel').get(function() {
+  return this.$locals.accessLevel || this.role;
+});
+
+userSchema.virtual('permissions').get(function() {
+  return this.$locals.permissions || [];
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -58,6 +135,8 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.calendarToken;
+  delete user.twoFactor;
   return user;
 };
 
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Soft deletion for a schema: deleted records stay in the collection (the trash)
+// with deletedAt/deletedBy set and are hidden from every query unless the query
+// filters on deletedAt itself or sets the withDeleted option:
+//   Case.find({ deletedAt: { $ne: null } })                  // trash only
+//   Case.countDocuments(filter).setOptions({ withDeleted: true })  // everything
+const QUERY_OPERATIONS = [
+  'find', 'findOne', 'countDocuments', 'distinct',
+  'findOneAndUpdate', 'updateOne', 'updateMany'
+];
+
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Record whose deletion took this one along, e.g. "Client:<id>"
+    deletedWith: {
+      type: String
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  function excludeDeleted() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  }
+
+  QUERY_OPERATIONS.forEach(operation => {
+    schema.pre(operation, excludeDeleted);
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    const [first] = this.pipeline();
+    if (first && first.$match && Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) return;
+    // $geoNear and $search must stay first in the pipeline
+    if (first && (first.$geoNear || first.$search)) {
+      this.pipeline().splice(1, 0, { $match: { deletedAt: null } });
+    } else {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  // Move the record to the trash
+  schema.methods.softDelete = function(userId, deletedWith) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    this.deletedWith = deletedWith;
+    return this.save();
+  };
+
+  // Take the record out of the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    this.deletedWith = undefined;
+    return this.save();
+  };
+};
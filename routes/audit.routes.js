@@ -0,0 +1,125 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requirePermission('audit:read'));
+
+// Helper function to format audit entry response consistently
+function formatAuditResponse(entry) {
+  if (!entry) return null;
+
+  return {
+    id: entry._id.toString(),
+    actorId: entry.actorId ? entry.actorId.toString() : null,
+    actorName: entry.actorName || '',
+    action: entry.action,
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    parentType: entry.parentType || undefined,
+    parentId: entry.parentId || undefined,
+    before: entry.before || {},
+    after: entry.after || {},
+    note: entry.note || undefined,
+    ipAddress: entry.ipAddress || undefined,
+    userAgent: entry.userAgent || undefined,
+    createdAt: entry.createdAt
+  };
+}
+
+const listValidators = [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 500 })
+];
+
+// Apply the date range and limit shared by both list endpoints
+function findEntries(filter, { from, to, limit }) {
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(parseInt(limit, 10) || 100);
+}
+
+// @route   GET /api/audit
+// @desc    Search the audit log by entity, user, action and date range
+// @access  Private (audit:read)
+router.get('/', listValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { entityType, entityId, userId, action } = req.query;
+    const filter = {};
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (userId) filter.actorId = userId;
+    if (action) filter.action = action;
+
+    const entries = await findEntries(filter, req.query);
+
+    res.json({
+      success: true,
+      data: entries.map(formatAuditResponse)
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/audit/:entityType/:entityId
+// @desc    History of one record, including changes to records that belong to it
+//          (e.g. the hearings, documents and team of a case)
+// @access  Private (audit:read)
+router.get('/:entityType/:entityId', listValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { entityType, entityId } = req.params;
+    const entries = await findEntries({
+      $or: [
+        { entityType, entityId },
+        { parentType: entityType, parentId: entityId }
+      ]
+    }, req.query);
+
+    res.json({
+      success: true,
+      data: entries.map(formatAuditResponse)
+    });
+  } catch (error) {
+    console.error('Get entity history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
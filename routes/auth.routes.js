@@ -1,33 +1,82 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User.model');
-const generateToken = require('../utils/generateToken');
-const { authenticate } = require('../middleware/auth.middleware');
+const Session = require('../models/Session.model');
+const { createSession, rotateSession, revokeSessions } = require('../utils/sessions');
+const { issueUserToken, consumeUserToken } = require('../utils/userTokens');
+const { sendMail } = require('../services/mail');
+const { passwordResetEmail, verificationEmail } = require('../services/mail/templates');
+const { createTwoFactorChallenge, isTwoFactorRequired } = require('../utils/twoFactor');
+const { recordAudit } = require('../utils/audit');
+const { authenticate, authenticateForTwoFactorSetup } = require('../middleware/auth.middleware');
+const twoFactorRoutes = require('./two-factor.routes');
 
 const router = express.Router();
 
+// Two-factor authentication: /api/auth/2fa
+router.use('/2fa', twoFactorRoutes);
+
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_MINUTES = 48 * 60;
+
+// Unverified users can't log in when REQUIRE_EMAIL_VERIFICATION=true
+const requireEmailVerification = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Email a fresh verification link; failures are logged, not raised
+async function sendVerificationEmail(user) {
+  try {
+    const token = await issueUserToken(user._id, 'email_verification', EMAIL_VERIFICATION_MINUTES);
+    await sendMail({
+      to: user.email,
+      ...verificationEmail({ user, token, expiresInMinutes: EMAIL_VERIFICATION_MINUTES })
+    });
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+}
+
+// Email a password reset link; failures are logged so the response never shows
+// whether the email is registered
+async function sendPasswordResetEmail(user) {
+  try {
+    const token = await issueUserToken(user._id, 'password_reset', PASSWORD_RESET_MINUTES);
+    await sendMail({
+      to: user.email,
+      ...passwordResetEmail({ user, token, expiresInMinutes: PASSWORD_RESET_MINUTES })
+    });
+  } catch (error) {
+    console.error('Send password reset email error:', error);
+  }
+}
+
 // @route   POST /api/auth/register
-// @desc    Register a new user
-// @access  Public
+// @desc    Register a new Client user (staff accounts are created through invitations)
+// @access  Public (disabled when ALLOW_PUBLIC_REGISTRATION=false)
 // @body    Sample JSON:
 //          {
 //            "email": "user@example.com",
 //            "password": "password123",
 //            "firstName": "John",
 //            "lastName": "Doe",
-//            "phone": "+1234567890",
-//            "role": "Lawyer"
+//            "phone": "+1234567890"
 //          }
-//          Note: phone is optional, role defaults to "Client" if not provided
+//          Note: phone is optional; role, if sent, must be "Client"
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('firstName').trim().notEmpty(),
   body('lastName').trim().notEmpty(),
   body('phone').optional().trim(),
-  body('role').isIn(['Admin', 'Lawyer', 'Client'])
+  body('role').optional().equals('Client').withMessage('Public registration can only create Client accounts')
 ], async (req, res) => {
   try {
+    if (process.env.ALLOW_PUBLIC_REGISTRATION === 'false') {
+      return res.status(403).json({
+        success: false,
+        message: 'Public registration is disabled. Please ask an administrator for an invitation.'
+      });
+    }
+
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -37,7 +86,7 @@ router.post('/register', [
       });
     }
 
-    const { email, password, firstName, lastName, phone, role } = req.body;
+    const { email, password, firstName, lastName, phone } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
@@ -55,18 +104,30 @@ router.post('/register', [
       firstName,
       lastName,
       phone,
-      role: role || 'Client'
+      role: 'Client',
+      emailVerified: false
     });
 
     await user.save();
+    await recordAudit(req, { action: 'create', entityType: 'User', entityId: user._id, after: user, actor: user, note: 'Registered' });
+    await sendVerificationEmail(user);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Login waits for the emailed link when verification is required
+    if (requireEmailVerification()) {
+      return res.status(201).json({
+        success: true,
+        message: 'Registration successful. Please check your email to verify your account.',
+        verificationRequired: true
+      });
+    }
+
+    // Start a session and issue access + refresh tokens
+    const tokens = await createSession(user, req);
 
     // Return user data (password is excluded by model's toJSON method)
     res.status(201).json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
@@ -74,9 +135,9 @@ router.post('/register', [
         lastName: user.lastName,
         phone: user.phone,
         role: user.role,
-        isActive: user.isActive
-      },
-      expiresIn: 7 * 24 * 60 * 60 // 7 days in seconds
+        isActive: user.isActive,
+        emailVerified: user.emailVerified !== false
+      }
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -88,8 +149,16 @@ router.post('/register', [
 });
 
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user (step one of two when 2FA is enabled)
 // @access  Public
+// @body    Sample JSON:
+//          {
+//            "email": "user@example.com",
+//            "password": "password123",
+//            "deviceName": "Office laptop"
+//          }
+//          Note: deviceName is optional and shown in the session list.
+//          Users with 2FA get { twoFactorRequired, challengeToken } instead of tokens.
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
   body('password').notEmpty()
@@ -132,12 +201,30 @@ router.post('/login', [
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (requireEmailVerification() && user.emailVerified === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in',
+        verificationRequired: true
+      });
+    }
+
+    // With 2FA enabled the password only earns a challenge; POST /api/auth/2fa/verify finishes the login
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(user._id)
+      });
+    }
+
+    // Start a session and issue access + refresh tokens
+    const tokens = await createSession(user, req);
 
     res.json({
+      ...(await isTwoFactorRequired(user) && { twoFactorSetupRequired: true }),
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
@@ -145,9 +232,9 @@ router.post('/login', [
         lastName: user.lastName,
         phone: user.phone,
         role: user.role,
-        isActive: user.isActive
-      },
-      expiresIn: 7 * 24 * 60 * 60 // 7 days in seconds
+        isActive: user.isActive,
+        emailVerified: user.emailVerified !== false
+      }
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -161,7 +248,7 @@ router.post('/login', [
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', authenticateForTwoFactorSetup, async (req, res) => {
   try {
     res.json({
       success: true,
@@ -172,7 +259,8 @@ router.get('/me', authenticate, async (req, res) => {
         lastName: req.user.lastName,
         phone: req.user.phone,
         role: req.user.role,
-        isActive: req.user.isActive
+        isActive: req.user.isActive,
+        emailVerified: req.user.emailVerified !== false
       }
     });
   } catch (error) {
@@ -184,5 +272,359 @@ router.get('/me', authenticate, async (req, res) => {
   }
 });
 
+// Helper function to format a session for the session list
+function formatSessionResponse(session, currentSessionId) {
+  return {
+    id: session._id.toString(),
+    deviceName: session.deviceName || undefined,
+    userAgent: session.userAgent || '',
+    ipAddress: session.ipAddress || '',
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+  };
+}
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+// @body    Sample JSON:
+//          {
+//            "refreshToken": "<refresh token from login>"
+//          }
+//          Note: the refresh token is single-use; store the new one from the response
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const user = await User.findById(result.session.userId);
+    if (!user || !user.isActive) {
+      await revokeSessions({ _id: result.session._id }, 'deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or inactive user'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result.tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current session
+// @access  Private
+router.post('/logout', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.sessionId }, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out every session of the current user
+// @access  Private
+// @body    Sample JSON:
+//          {
+//            "keepCurrent": true
+//          }
+//          Note: keepCurrent keeps this device signed in (defaults to false)
+router.post('/logout-all', authenticate, [
+  body('keepCurrent').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.body.keepCurrent === true || req.body.keepCurrent === 'true') {
+      filter._id = { $ne: req.sessionId };
+    }
+
+    const count = await revokeSessions(filter, 'logout_all');
+
+    res.json({
+      success: true,
+      message: `Logged out of ${count} session(s)`,
+      count
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get the current user's active sessions
+// @access  Private
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => formatSessionResponse(session, req.sessionId))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const count = await revokeSessions({ _id: req.params.id, userId: req.user._id }, 'revoked');
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+// @body    Sample JSON:
+//          {
+//            "email": "user@example.com"
+//          }
+//          Note: the response is the same whether or not the email is registered
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using the emailed reset token
+// @access  Public
+// @body    Sample JSON:
+//          {
+//            "token": "<token from the reset link>",
+//            "password": "newpassword123"
+//          }
+//          Note: all existing sessions are logged out
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userToken = await consumeUserToken(req.body.token, 'password_reset');
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const user = await User.findById(userToken.userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = req.body.password;
+    // Following the emailed link proves ownership of the address
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await recordAudit(req, { action: 'password_reset', entityType: 'User', entityId: user._id, actor: user });
+
+    await revokeSessions({ userId: user._id }, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using the emailed verification token
+// @access  Public
+// @body    Sample JSON:
+//          {
+//            "token": "<token from the verification link>"
+//          }
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userToken = await consumeUserToken(req.body.token, 'email_verification');
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    await User.findByIdAndUpdate(userToken.userId, {
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Public
+// @body    Sample JSON:
+//          {
+//            "email": "user@example.com"
+//          }
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (user && user.isActive && user.emailVerified === false) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account needs verification, a new link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -3,7 +3,10 @@ const { body, validationResult } = require('express-validator');
 const { TimeEntry, Invoice } = require('../models/Billing.model');
 const Case = require('../models/Case.model');
 const Client = require('../models/Client.model');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { getLinkedClientIds, canManageCase } = require('../utils/caseAccess');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { listValidators, getListOptions, applyTextSearch, findPage, emptyPage } = require('../utils/listQuery');
 
 const router = express.Router();
 
@@ -13,16 +16,28 @@ router.use(authenticate);
 // Time Entry Routes
 // @route   GET /api/billing/time-entries
 // @desc    Get all time entries
-// @access  Private (Admin, Lawyer)
-router.get('/time-entries', authorize('Admin', 'Lawyer'), async (req, res) => {
+// @access  Private (time:read)
+router.get('/time-entries', requirePermission('time:read'), async (req, res) => {
   try {
     const { caseId, lawyerId } = req.query;
     const filter = {};
 
-    if (caseId) filter.caseId = caseId;
-    if (lawyerId && req.user.role === 'Admin') {
+    // Admin sees everyone's time; the case team sees all time recorded on their case
+    let canSeeOthers = req.user.accessLevel === 'Admin';
+    if (caseId) {
+      filter.caseId = caseId;
+      if (!canSeeOthers) {
+        const caseItem = await Case.findById(caseId).select('assignedLawyerId team');
+        canSeeOthers = !!caseItem && canManageCase(req.user, caseItem);
+      }
+    }
+
+    if (!canSeeOthers) {
+      filter.lawyerId = req.user._id;
+    } else if (lawyerId) {
       filter.lawyerId = lawyerId;
-    } else {
+    } else if (!caseId) {
+      // Without a case Admin sees their own time unless a lawyer is picked
       filter.lawyerId = req.user._id;
     }
 
@@ -46,8 +61,8 @@ router.get('/time-entries', authorize('Admin', 'Lawyer'), async (req, res) => {
 
 // @route   POST /api/billing/time-entries
 // @desc    Create time entry
-// @access  Private (Admin, Lawyer)
-router.post('/time-entries', authorize('Admin', 'Lawyer'), [
+// @access  Private (time:write)
+router.post('/time-entries', requirePermission('time:write'), [
   body('caseId').notEmpty(),
   body('date').isISO8601(),
   body('hours').isFloat({ min: 0 }),
@@ -75,6 +90,14 @@ router.post('/time-entries', authorize('Admin', 'Lawyer'), [
       });
     }
 
+    // Time can only be recorded by the case team
+    if (!canManageCase(req.user, caseItem)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the case team can record time on this case'
+      });
+    }
+
     const timeEntry = new TimeEntry({
       caseId,
       lawyerId: req.user._id,
@@ -85,6 +108,14 @@ router.post('/time-entries', authorize('Admin', 'Lawyer'), [
     });
 
     await timeEntry.save();
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'TimeEntry',
+      entityId: timeEntry._id,
+      parentType: 'Case',
+      parentId: caseItem._id,
+      after: timeEntry
+    });
     await timeEntry.populate('caseId', 'caseNumber title');
     await timeEntry.populate('lawyerId', 'firstName lastName');
 
@@ -103,38 +134,52 @@ router.post('/time-entries', authorize('Admin', 'Lawyer'), [
 
 // Invoice Routes
 // @route   GET /api/billing/invoices
-// @desc    Get all invoices
-// @access  Private
-router.get('/invoices', async (req, res) => {
+// @desc    Get all invoices, a page at a time
+// @access  Private (invoice:read)
+// @query   page, limit, sort (e.g. -dueDate), q (invoice number or item description)
+router.get('/invoices', requirePermission('invoice:read'), listValidators([
+  'createdAt', 'invoiceNumber', 'issueDate', 'dueDate', 'totalAmount', 'status'
+]), async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { clientId, status } = req.query;
+    const options = getListOptions(req);
     const filter = {};
 
     if (clientId) filter.clientId = clientId;
     if (status) filter.status = status;
 
-    // Client can only see their own invoices
-    if (req.user.role === 'Client') {
-      const client = await Client.findOne({ email: req.user.email });
-      if (client) {
-        filter.clientId = client._id;
-      } else {
-        return res.json({ success: true, data: [] });
+    // Client can only see invoices of the client records linked to their account
+    if (req.user.accessLevel === 'Client') {
+      const linkedClientIds = getLinkedClientIds(req.user);
+      if (clientId && !linkedClientIds.includes(clientId)) {
+        return res.json(emptyPage(options));
       }
-    } else if (req.user.role === 'Lawyer') {
+      filter.clientId = clientId || { $in: linkedClientIds };
+    } else if (req.user.accessLevel === 'Lawyer') {
       // Lawyer can see invoices for their clients
       const clients = await Client.find({ assignedLawyerId: req.user._id });
       filter.clientId = { $in: clients.map(c => c._id) };
     }
 
-    const invoices = await Invoice.find(filter)
+    applyTextSearch(filter, options);
+
+    const { items: invoices, pagination } = await findPage(Invoice, filter, options, q => q
       .populate('clientId', 'name email')
-      .populate('caseIds', 'caseNumber title')
-      .sort({ createdAt: -1 });
+      .populate('caseIds', 'caseNumber title'));
 
     res.json({
       success: true,
-      data: invoices
+      data: invoices,
+      pagination
     });
   } catch (error) {
     console.error('Get invoices error:', error);
@@ -147,8 +192,8 @@ router.get('/invoices', async (req, res) => {
 
 // @route   POST /api/billing/invoices
 // @desc    Create invoice
-// @access  Private (Admin, Lawyer)
-router.post('/invoices', authorize('Admin', 'Lawyer'), [
+// @access  Private (invoice:write)
+router.post('/invoices', requirePermission('invoice:write'), [
   body('clientId').notEmpty(),
   body('issueDate').isISO8601(),
   body('dueDate').isISO8601(),
@@ -199,6 +244,7 @@ router.post('/invoices', authorize('Admin', 'Lawyer'), [
     });
 
     await invoice.save();
+    await recordAudit(req, { action: 'create', entityType: 'Invoice', entityId: invoice._id, after: invoice });
     await invoice.populate('clientId', 'name email');
     await invoice.populate('caseIds', 'caseNumber title');
 
@@ -217,8 +263,8 @@ router.post('/invoices', authorize('Admin', 'Lawyer'), [
 
 // @route   PATCH /api/billing/invoices/:id/status
 // @desc    Update invoice status
-// @access  Private (Admin, Lawyer)
-router.patch('/invoices/:id/status', authorize('Admin', 'Lawyer'), [
+// @access  Private (invoice:write)
+router.patch('/invoices/:id/status', requirePermission('invoice:write'), [
   body('status').isIn(['Draft', 'Sent', 'Paid', 'Overdue', 'Cancelled'])
 ], async (req, res) => {
   try {
@@ -231,14 +277,7 @@ router.patch('/invoices/:id/status', authorize('Admin', 'Lawyer'), [
       });
     }
 
-    const invoice = await Invoice.findByIdAndUpdate(
-      req.params.id,
-      { status: req.body.status },
-      { new: true }
-    )
-      .populate('clientId', 'name email')
-      .populate('caseIds', 'caseNumber title');
-
+    const invoice = await Invoice.findById(req.params.id);
     if (!invoice) {
       return res.status(404).json({
         success: false,
@@ -246,6 +285,14 @@ router.patch('/invoices/:id/status', authorize('Admin', 'Lawyer'), [
       });
     }
 
+    const before = snapshot(invoice);
+    invoice.status = req.body.status;
+    await invoice.save();
+    await recordAudit(req, { action: 'status_change', entityType: 'Invoice', entityId: invoice._id, before, after: invoice });
+
+    await invoice.populate('clientId', 'name email');
+    await invoice.populate('caseIds', 'caseNumber title');
+
     res.json({
       success: true,
       data: invoice
@@ -0,0 +1,223 @@
+const express = require('express');
+const crypto = require('crypto');
+const { query, validationResult } = require('express-validator');
+const Case = require('../models/Case.model');
+const Hearing = require('../models/Hearing.model');
+const User = require('../models/User.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { getRole } = require('../utils/roles');
+const { grants } = require('../utils/permissions');
+const { lawyerCaseFilter } = require('../utils/caseAccess');
+const { buildCalendar } = require('../utils/ical');
+
+const router = express.Router();
+
+// Length of a hearing block in calendar apps
+const HEARING_DURATION_MINUTES = parseInt(process.env.HEARING_DURATION_MINUTES, 10) || 60;
+
+// Helper function to format a calendar entry
+function formatCalendarEntry(hearing) {
+  const caseItem = hearing.caseId && typeof hearing.caseId === 'object' ? hearing.caseId : null;
+
+  return {
+    id: hearing._id.toString(),
+    caseId: caseItem ? caseItem._id.toString() : (hearing.caseId ? hearing.caseId.toString() : null),
+    caseNumber: caseItem ? caseItem.caseNumber : undefined,
+    caseTitle: caseItem ? caseItem.title : undefined,
+    assignedLawyerId: caseItem && caseItem.assignedLawyerId ? caseItem.assignedLawyerId.toString() : null,
+    courtName: hearing.courtName,
+    bench: hearing.bench || undefined,
+    courtroom: hearing.courtroom || undefined,
+    hearingDate: hearing.hearingDate,
+    purpose: hearing.purpose,
+    status: hearing.status
+  };
+}
+
+// Get the hearings of a lawyer's assigned and team cases (or of all cases when lawyerId is null)
+async function findHearings({ lawyerId, from, to, includeCancelled = false }) {
+  const filter = {};
+
+  if (lawyerId) {
+    const cases = await Case.find(lawyerCaseFilter(lawyerId)).select('_id');
+    filter.caseId = { $in: cases.map(c => c._id) };
+  }
+  if (from || to) {
+    filter.hearingDate = {};
+    if (from) filter.hearingDate.$gte = from;
+    if (to) filter.hearingDate.$lte = to;
+  }
+  if (!includeCancelled) filter.status = { $ne: 'Cancelled' };
+
+  const hearings = await Hearing.find(filter)
+    .populate('caseId', 'caseNumber title assignedLawyerId')
+    .sort({ hearingDate: 1 });
+  // Hearings of cases in the trash populate to null
+  return hearings.filter(hearing => hearing.caseId);
+}
+
+// Build the subscription URL for a calendar token
+function buildFeedUrl(req, token) {
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/$/, '')}/api/calendar/feed/${token}.ics`;
+}
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    iCalendar feed of a user's hearings for calendar app subscriptions
+// @access  Public (secret token in URL)
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+    const role = user && await getRole(user.role);
+    if (!user || !user.isActive || !role || !grants(role.permissions, 'calendar:read')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    // Recent history plus everything ahead
+    const from = new Date();
+    from.setDate(from.getDate() - 90);
+
+    const hearings = await findHearings({
+      lawyerId: role.baseRole === 'Admin' ? null : user._id,
+      from,
+      includeCancelled: true
+    });
+
+    const calendar = buildCalendar({
+      name: `Hearings - ${user.firstName} ${user.lastName}`,
+      events: hearings.map(hearing => {
+        const caseItem = hearing.caseId || {};
+        const location = [hearing.courtName, hearing.bench, hearing.courtroom].filter(Boolean).join(', ');
+        return {
+          uid: `hearing-${hearing._id}@legalms`,
+          start: hearing.hearingDate,
+          end: new Date(hearing.hearingDate.getTime() + HEARING_DURATION_MINUTES * 60 * 1000),
+          summary: `${caseItem.caseNumber || 'Case'}: ${hearing.purpose}`,
+          description: [caseItem.title, hearing.outcome && `Outcome: ${hearing.outcome}`]
+            .filter(Boolean).join('\n'),
+          location,
+          lastModified: hearing.updatedAt,
+          status: hearing.status === 'Cancelled' ? 'CANCELLED' : 'CONFIRMED'
+        };
+      })
+    });
+
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="hearings.ics"');
+    res.send(calendar);
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// All other routes require authentication
+router.use(authenticate);
+router.use(requirePermission('calendar:read'));
+
+// @route   GET /api/calendar
+// @desc    Get hearings in a date range
+// @access  Private (calendar:read)
+// @query   from, to      - ISO dates, default today through the next 7 days
+//          lawyerId      - Admin only; Lawyers always see their own cases
+router.get('/', [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('lawyerId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    if (!req.query.from) from.setHours(0, 0, 0, 0);
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        message: '"to" must be after "from"'
+      });
+    }
+
+    let lawyerId = req.user._id;
+    if (req.user.accessLevel === 'Admin') {
+      lawyerId = req.query.lawyerId || null;
+    }
+
+    const hearings = await findHearings({ lawyerId, from, to });
+
+    res.json({
+      success: true,
+      from,
+      to,
+      data: hearings.map(hearing => formatCalendarEntry(hearing))
+    });
+  } catch (error) {
+    console.error('Get calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/calendar/feed-url
+// @desc    Get the current user's iCalendar subscription URL
+// @access  Private (calendar:read)
+router.get('/feed-url', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.calendarToken) {
+      user.calendarToken = crypto.randomBytes(24).toString('hex');
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      url: buildFeedUrl(req, user.calendarToken)
+    });
+  } catch (error) {
+    console.error('Get calendar feed URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/calendar/feed-url/reset
+// @desc    Issue a new subscription URL, invalidating the old one
+// @access  Private (calendar:read)
+router.post('/feed-url/reset', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    user.calendarToken = crypto.randomBytes(24).toString('hex');
+    await user.save();
+
+    res.json({
+      success: true,
+      url: buildFeedUrl(req, user.calendarToken)
+    });
+  } catch (error) {
+    console.error('Reset calendar feed URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Case = require('../models/Case.model');
+const Deadline = require('../models/Deadline.model');
+const { requirePermission } = require('../middleware/auth.middleware');
+const { canAccessCase, canManageCase, refId } = require('../utils/caseAccess');
+const { getCaseType } = require('../utils/caseTypes');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { toDay, getTriggers, applyDeadlines } = require('../services/deadlines');
+
+// Mounted under /api/cases/:id/deadlines (authentication is applied by the case router)
+const router = express.Router({ mergeParams: true });
+
+// Helper function to format deadline response consistently
+function formatDeadlineResponse(deadline) {
+  if (!deadline) return null;
+
+  const today = toDay(new Date());
+  return {
+    id: deadline._id.toString(),
+    caseId: refId(deadline.caseId),
+    title: deadline.title,
+    ruleKey: deadline.ruleKey || undefined,
+    trigger: deadline.trigger || undefined,
+    triggerDate: deadline.triggerDate || undefined,
+    computedDate: deadline.computedDate || undefined,
+    dueDate: deadline.dueDate,
+    statute: deadline.statute || undefined,
+    status: deadline.status,
+    overdue: deadline.status === 'Pending' && deadline.dueDate < today,
+    completedAt: deadline.completedAt || undefined,
+    completedBy: refId(deadline.completedBy) || undefined,
+    notes: deadline.notes || '',
+    source: deadline.source
+  };
+}
+
+// Load the case and check the user's access; sends the error response itself
+async function loadCase(req, res, { manage = false } = {}) {
+  const caseItem = await Case.findById(req.params.id);
+  if (!caseItem) {
+    res.status(404).json({
+      success: false,
+      message: 'Case not found'
+    });
+    return null;
+  }
+
+  const allowed = manage
+    ? canManageCase(req.user, caseItem)
+    : await canAccessCase(req.user, caseItem);
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return caseItem;
+}
+
+// Record a deadline change in the audit log under the case
+function auditDeadline(req, action, deadline, before, after) {
+  return recordAudit(req, {
+    action,
+    entityType: 'Deadline',
+    entityId: deadline._id,
+    parentType: 'Case',
+    parentId: deadline.caseId,
+    before,
+    after
+  });
+}
+
+// @route   GET /api/cases/:id/deadlines
+// @desc    Get the case's tracked deadlines, earliest first
+// @access  Private (deadline:read)
+// @query   status - Pending, Completed or Cancelled
+router.get('/', requirePermission('deadline:read'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const filter = { caseId: caseItem._id };
+    if (req.query.status) filter.status = req.query.status;
+    const deadlines = await Deadline.find(filter).sort({ dueDate: 1 });
+
+    res.json({
+      success: true,
+      data: deadlines.map(formatDeadlineResponse)
+    });
+  } catch (error) {
+    console.error('Get case deadlines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/cases/:id/deadlines/triggers
+// @desc    Get the events the case's type calculates deadlines from
+// @access  Private (deadline:read)
+router.get('/triggers', requirePermission('deadline:read'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    res.json({
+      success: true,
+      data: getTriggers(await getCaseType(caseItem.caseType))
+    });
+  } catch (error) {
+    console.error('Get deadline triggers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cases/:id/deadlines/calculate
+// @desc    Calculate and track the deadlines that follow from an event in the case
+// @access  Private (deadline:write)
+// @body    Sample JSON:
+//          {
+//            "trigger": "judgment",
+//            "date": "2024-06-14"
+//          }
+//          Note: calculating again for the same trigger moves its pending deadlines to the new dates
+router.post('/calculate', requirePermission('deadline:write'), [
+  body('trigger').trim().notEmpty(),
+  body('date').isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const caseType = await getCaseType(caseItem.caseType);
+    const triggers = getTriggers(caseType);
+    const trigger = triggers.find(t => t.key === req.body.trigger);
+    if (!trigger) {
+      return res.status(400).json({
+        success: false,
+        message: triggers.length > 0
+          ? `No deadlines follow from "${req.body.trigger}" for ${caseItem.caseType} cases. Triggers: ${triggers.map(t => t.key).join(', ')}`
+          : `No deadline rules are set up for ${caseItem.caseType} cases`
+      });
+    }
+
+    const deadlines = await applyDeadlines(caseItem, caseType, trigger.key, req.body.date, req.user._id);
+    for (const deadline of deadlines) {
+      await auditDeadline(req, 'calculate', deadline, null, deadline);
+    }
+
+    if (deadlines.length > 0) {
+      caseItem.timeline.push({
+        date: new Date(),
+        title: 'Deadlines Calculated',
+        description: `${trigger.label} on ${toDay(req.body.date).toISOString().slice(0, 10)}: ` +
+          deadlines.map(d => `${d.title} by ${d.dueDate.toISOString().slice(0, 10)}`).join('; '),
+        type: 'note',
+        createdBy: req.user._id
+      });
+      await caseItem.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      data: deadlines.map(formatDeadlineResponse)
+    });
+  } catch (error) {
+    console.error('Calculate case deadlines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cases/:id/deadlines
+// @desc    Add a deadline by hand
+// @access  Private (deadline:write)
+// @body    Sample JSON:
+//          {
+//            "title": "File rejoinder",
+//            "dueDate": "2024-07-01",
+//            "notes": "As directed at the hearing of 14 June"
+//          }
+router.post('/', requirePermission('deadline:write'), [
+  body('title').trim().notEmpty(),
+  body('dueDate').isISO8601(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const deadline = await Deadline.create({
+      caseId: caseItem._id,
+      title: req.body.title,
+      dueDate: toDay(req.body.dueDate),
+      notes: req.body.notes,
+      source: 'manual',
+      createdBy: req.user._id
+    });
+    await auditDeadline(req, 'create', deadline, null, deadline);
+
+    res.status(201).json({
+      success: true,
+      data: formatDeadlineResponse(deadline)
+    });
+  } catch (error) {
+    console.error('Add case deadline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/cases/:id/deadlines/:deadlineId
+// @desc    Complete, cancel, reopen or move a deadline
+// @access  Private (deadline:write)
+// @body    Sample JSON:
+//          {
+//            "status": "Completed",
+//            "notes": "Appeal filed, diary no. 1234/2024"
+//          }
+//          Note: moving a calculated deadline (e.g. to exclude time taken to get a certified copy) keeps its computedDate
+router.put('/:deadlineId', requirePermission('deadline:write'), [
+  body('title').optional().trim().notEmpty(),
+  body('dueDate').optional().isISO8601(),
+  body('status').optional().isIn(['Pending', 'Completed', 'Cancelled']),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const deadline = await Deadline.findOne({ _id: req.params.deadlineId, caseId: caseItem._id });
+    if (!deadline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deadline not found'
+      });
+    }
+
+    const before = snapshot(deadline);
+    const { title, dueDate, status, notes } = req.body;
+    if (title !== undefined) deadline.title = title;
+    if (dueDate !== undefined) deadline.dueDate = toDay(dueDate);
+    if (notes !== undefined) deadline.notes = notes;
+    if (status !== undefined && status !== deadline.status) {
+      deadline.status = status;
+      deadline.completedAt = status === 'Completed' ? new Date() : undefined;
+      deadline.completedBy = status === 'Completed' ? req.user._id : undefined;
+    }
+    await deadline.save();
+    await auditDeadline(req, 'update', deadline, before, deadline);
+
+    res.json({
+      success: true,
+      data: formatDeadlineResponse(deadline)
+    });
+  } catch (error) {
+    console.error('Update case deadline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/cases/:id/deadlines/:deadlineId
+// @desc    Delete a deadline
+// @access  Private (deadline:write)
+router.delete('/:deadlineId', requirePermission('deadline:write'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const deadline = await Deadline.findOneAndDelete({ _id: req.params.deadlineId, caseId: caseItem._id });
+    if (!deadline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deadline not found'
+      });
+    }
+    await auditDeadline(req, 'delete', deadline, deadline, null);
+
+    res.json({
+      success: true,
+      message: 'Deadline deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete case deadline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
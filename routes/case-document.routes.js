@@ -0,0 +1,471 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Case = require('../models/Case.model');
+const { requirePermission } = require('../middleware/auth.middleware');
+const { uploadSingle } = require('../middleware/upload.middleware');
+const { getStorage, storeFile, sendStoredFile } = require('../services/storage');
+const { canAccessCase, canManageCase } = require('../utils/caseAccess');
+const { recordAudit } = require('../utils/audit');
+
+// Mounted under /api/cases/:id/documents (authentication is applied by the case router)
+const router = express.Router({ mergeParams: true });
+
+// Helper function to format document response consistently
+function formatDocumentResponse(doc) {
+  return {
+    id: doc._id ? doc._id.toString() : doc.id || '',
+    fileName: doc.fileName || '',
+    filePath: doc.filePath || '',
+    mimeType: doc.mimeType || 'application/octet-stream',
+    size: doc.size || 0,
+    checksum: doc.checksum || undefined,
+    uploadDate: doc.createdAt || new Date(),
+    uploadedBy: doc.uploadedBy ? doc.uploadedBy.toString() : '',
+    documentType: doc.documentType || '',
+    currentVersion: doc.currentVersion || 1,
+    versionCount: doc.versions && doc.versions.length ? doc.versions.length : 1
+  };
+}
+
+// Helper function to format a document version
+function formatVersionResponse(version) {
+  return {
+    id: version._id ? version._id.toString() : version.id || '',
+    versionNumber: version.versionNumber,
+    fileName: version.fileName || '',
+    mimeType: version.mimeType || 'application/octet-stream',
+    size: version.size || 0,
+    checksum: version.checksum || undefined,
+    changeNote: version.changeNote || '',
+    uploadedBy: version.uploadedBy ? version.uploadedBy.toString() : '',
+    uploadDate: version.createdAt || new Date()
+  };
+}
+
+// Documents uploaded before versioning have no history; seed it from the current file
+function ensureVersionHistory(document) {
+  if (document.versions.length > 0) return;
+
+  document.versions.push({
+    versionNumber: document.currentVersion || 1,
+    fileName: document.fileName,
+    filePath: document.filePath,
+    storageDriver: document.storageDriver,
+    mimeType: document.mimeType,
+    size: document.size,
+    checksum: document.checksum,
+    uploadedBy: document.uploadedBy,
+    createdAt: document.createdAt
+  });
+}
+
+// Load the case and check the user can see it; sends the error response itself
+async function loadCase(req, res) {
+  const caseItem = await Case.findById(req.params.id);
+  if (!caseItem) {
+    res.status(404).json({
+      success: false,
+      message: 'Case not found'
+    });
+    return null;
+  }
+
+  if (!(await canAccessCase(req.user, caseItem))) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return caseItem;
+}
+
+// @route   GET /api/cases/:id/documents
+// @desc    List documents attached to a case
+// @access  Private (document:read)
+router.get('/', requirePermission('document:read'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    res.json({
+      success: true,
+      data: caseItem.documents.map(doc => formatDocumentResponse(doc))
+    });
+  } catch (error) {
+    console.error('Get case documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cases/:id/documents
+// @desc    Upload a document to a case
+// @access  Private (document:write)
+// @body    multipart/form-data:
+//          file          - the file to upload (required)
+//          documentType  - e.g. "Pleading", "Evidence" (required)
+//          fileName      - display name, defaults to the uploaded file name
+//          changeNote    - note for the first version, defaults to "Initial version"
+router.post('/', requirePermission('document:write'), uploadSingle('file'), [
+  body('documentType').trim().notEmpty(),
+  body('fileName').optional().trim().notEmpty(),
+  body('changeNote').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required'
+      });
+    }
+
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const file = await storeFile(`cases/${caseItem._id}`, req.file, req.body.fileName);
+
+    caseItem.documents.push({
+      ...file,
+      documentType: req.body.documentType,
+      uploadedBy: req.user._id,
+      currentVersion: 1,
+      versions: [{
+        ...file,
+        versionNumber: 1,
+        changeNote: req.body.changeNote || 'Initial version',
+        uploadedBy: req.user._id
+      }]
+    });
+
+    caseItem.timeline.push({
+      date: new Date(),
+      title: 'Document Uploaded',
+      description: `Document "${file.fileName}" was uploaded`,
+      type: 'document',
+      createdBy: req.user._id
+    });
+
+    try {
+      await caseItem.save();
+    } catch (error) {
+      // Don't leave an orphaned file behind if the case could not be saved
+      await getStorage(file.storageDriver).remove(file.filePath).catch(() => {});
+      throw error;
+    }
+
+    const document = caseItem.documents[caseItem.documents.length - 1];
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'CaseDocument',
+      entityId: document._id,
+      parentType: 'Case',
+      parentId: caseItem._id,
+      after: {
+        fileName: document.fileName,
+        documentType: document.documentType,
+        mimeType: document.mimeType,
+        size: document.size,
+        checksum: document.checksum
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatDocumentResponse(document)
+    });
+  } catch (error) {
+    console.error('Upload case document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/cases/:id/documents/:docId
+// @desc    Download a case document
+// @access  Private (document:read)
+router.get('/:docId', requirePermission('document:read'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const document = caseItem.documents.id(req.params.docId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await sendStoredFile(res, document);
+  } catch (error) {
+    console.error('Download case document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/cases/:id/documents/:docId/versions
+// @desc    List the version history of a case document
+// @access  Private (document:read)
+router.get('/:docId/versions', requirePermission('document:read'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const document = caseItem.documents.id(req.params.docId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    ensureVersionHistory(document);
+    const versions = [...document.versions].sort((a, b) => b.versionNumber - a.versionNumber);
+
+    res.json({
+      success: true,
+      data: versions.map(version => formatVersionResponse(version))
+    });
+  } catch (error) {
+    console.error('Get document versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cases/:id/documents/:docId/versions
+// @desc    Upload a new version of a case document
+// @access  Private (document:write)
+// @body    multipart/form-data:
+//          file        - the revised file (required)
+//          changeNote  - what changed in this version
+//          fileName    - display name, defaults to the uploaded file name
+router.post('/:docId/versions', requirePermission('document:write'), uploadSingle('file'), [
+  body('changeNote').optional().trim(),
+  body('fileName').optional().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required'
+      });
+    }
+
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const document = caseItem.documents.id(req.params.docId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    ensureVersionHistory(document);
+
+    const file = await storeFile(`cases/${caseItem._id}`, req.file, req.body.fileName);
+    const versionNumber = Math.max(...document.versions.map(v => v.versionNumber)) + 1;
+
+    document.versions.push({
+      ...file,
+      versionNumber,
+      changeNote: req.body.changeNote,
+      uploadedBy: req.user._id
+    });
+    Object.assign(document, file, { currentVersion: versionNumber });
+
+    caseItem.timeline.push({
+      date: new Date(),
+      title: 'Document Version Added',
+      description: `Version ${versionNumber} of "${file.fileName}" was uploaded` +
+        (req.body.changeNote ? `: ${req.body.changeNote}` : ''),
+      type: 'document',
+      createdBy: req.user._id
+    });
+
+    try {
+      await caseItem.save();
+    } catch (error) {
+      await getStorage(file.storageDriver).remove(file.filePath).catch(() => {});
+      throw error;
+    }
+
+    const version = document.versions[document.versions.length - 1];
+    await recordAudit(req, {
+      action: 'version_add',
+      entityType: 'CaseDocument',
+      entityId: document._id,
+      parentType: 'Case',
+      parentId: caseItem._id,
+      after: {
+        versionNumber,
+        fileName: version.fileName,
+        size: version.size,
+        checksum: version.checksum,
+        changeNote: version.changeNote
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        document: formatDocumentResponse(document),
+        version: formatVersionResponse(version)
+      }
+    });
+  } catch (error) {
+    console.error('Upload document version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/cases/:id/documents/:docId/versions/:versionNumber
+// @desc    Download a specific version of a case document
+// @access  Private (document:read)
+router.get('/:docId/versions/:versionNumber', requirePermission('document:read'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const document = caseItem.documents.id(req.params.docId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    ensureVersionHistory(document);
+    const versionNumber = parseInt(req.params.versionNumber, 10);
+    const version = document.versions.find(v => v.versionNumber === versionNumber);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document version not found'
+      });
+    }
+
+    await sendStoredFile(res, version);
+  } catch (error) {
+    console.error('Download document version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/cases/:id/documents/:docId
+// @desc    Delete a case document
+// @access  Private (document:delete, case team only)
+router.delete('/:docId', requirePermission('document:delete'), async (req, res) => {
+  try {
+    const caseItem = await Case.findById(req.params.id);
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!canManageCase(req.user, caseItem)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const document = caseItem.documents.id(req.params.docId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    // Every version's file goes along with the document
+    ensureVersionHistory(document);
+    const { fileName } = document;
+    const before = {
+      fileName,
+      documentType: document.documentType,
+      currentVersion: document.currentVersion
+    };
+    const files = document.versions.map(v => ({ filePath: v.filePath, storageDriver: v.storageDriver }));
+    document.deleteOne();
+
+    caseItem.timeline.push({
+      date: new Date(),
+      title: 'Document Deleted',
+      description: `Document "${fileName}" was deleted`,
+      type: 'document',
+      createdBy: req.user._id
+    });
+
+    await caseItem.save();
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'CaseDocument',
+      entityId: req.params.docId,
+      parentType: 'Case',
+      parentId: caseItem._id,
+      before
+    });
+
+    // Remove the stored files once the case no longer references them
+    for (const file of files) {
+      try {
+        await getStorage(file.storageDriver).remove(file.filePath);
+      } catch (error) {
+        console.error('Remove case document file error:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete case document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,285 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Case = require('../models/Case.model');
+const { requirePermission } = require('../middleware/auth.middleware');
+const { canAccessCase, canManageCase, refId } = require('../utils/caseAccess');
+const { recordAudit } = require('../utils/audit');
+const { PARTY_ROLES, partyEntries, runConflictCheck, summarizeConflictCheck } = require('../services/conflicts');
+
+// Mounted under /api/cases/:id/parties (authentication is applied by the case router)
+const router = express.Router({ mergeParams: true });
+
+const PARTY_ROLE_LABELS = {
+  opposing_party: 'opposing party',
+  co_party: 'co-party',
+  opposing_counsel: 'opposing counsel',
+  co_counsel: 'co-counsel'
+};
+
+// Fields that identify a party and trigger a new conflict check when changed
+const IDENTIFYING_FIELDS = ['role', 'name', 'companyName', 'email', 'phone'];
+
+// Helper function to format party response consistently
+function formatPartyResponse(party) {
+  if (!party) return null;
+
+  return {
+    id: party._id.toString(),
+    role: party.role,
+    name: party.name,
+    companyName: party.companyName || '',
+    email: party.email || '',
+    phone: party.phone || '',
+    notes: party.notes || '',
+    addedBy: refId(party.addedBy) || undefined,
+    addedAt: party.createdAt
+  };
+}
+
+// Validators shared by create and update; optional() lets updates send only what changes
+const partyValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('role').isIn(PARTY_ROLES),
+    field('name').trim().notEmpty(),
+    body('companyName').optional().trim(),
+    body('email').optional({ values: 'falsy' }).isEmail(),
+    body('phone').optional().trim(),
+    body('notes').optional().trim()
+  ];
+};
+
+// Load the case and check the user's access; sends the error response itself
+async function loadCase(req, res, { manage = false } = {}) {
+  const caseItem = await Case.findById(req.params.id);
+  if (!caseItem) {
+    res.status(404).json({
+      success: false,
+      message: 'Case not found'
+    });
+    return null;
+  }
+
+  const allowed = manage
+    ? canManageCase(req.user, caseItem)
+    : await canAccessCase(req.user, caseItem);
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return caseItem;
+}
+
+// Record a party change in the audit log under the case
+function auditParty(req, action, caseItem, party, before, after) {
+  return recordAudit(req, {
+    action,
+    entityType: 'CaseParty',
+    entityId: party._id,
+    parentType: 'Case',
+    parentId: caseItem._id,
+    before,
+    after
+  });
+}
+
+// Check a new or changed party against existing clients and other cases
+function checkParty(req, caseItem, party) {
+  return runConflictCheck(partyEntries([party]), {
+    subjectType: 'Case',
+    subjectId: caseItem._id,
+    userId: req.user._id,
+    excludeClientIds: [caseItem.clientId],
+    excludeCaseId: caseItem._id
+  });
+}
+
+const partyFields = (party) => ({
+  role: party.role,
+  name: party.name,
+  companyName: party.companyName,
+  email: party.email,
+  phone: party.phone,
+  notes: party.notes
+});
+
+// @route   GET /api/cases/:id/parties
+// @desc    Get the other parties and counsel on a case
+// @access  Private (case:read)
+router.get('/', requirePermission('case:read'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    res.json({
+      success: true,
+      data: caseItem.parties.map(formatPartyResponse)
+    });
+  } catch (error) {
+    console.error('Get case parties error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cases/:id/parties
+// @desc    Add a party to the case and run a conflict check for it
+// @access  Private (case:write)
+// @body    Sample JSON:
+//          {
+//            "role": "opposing_party",
+//            "name": "Anil Mehta",
+//            "companyName": "Mehta Builders Pvt Ltd",
+//            "email": "anil@mehtabuilders.in",
+//            "phone": "+91 98200 12345"
+//          }
+//          Note: role is one of opposing_party, co_party, opposing_counsel, co_counsel.
+//          The response includes conflictCheck; a pending check waits for an Admin to clear or waive it.
+router.post('/', requirePermission('case:write'), partyValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    caseItem.parties.push({ ...partyFields(req.body), addedBy: req.user._id });
+    const party = caseItem.parties[caseItem.parties.length - 1];
+    caseItem.timeline.push({
+      date: new Date(),
+      title: 'Party Added',
+      description: `${party.name} was added as ${PARTY_ROLE_LABELS[party.role]}`,
+      type: 'note',
+      createdBy: req.user._id
+    });
+    await caseItem.save();
+    await auditParty(req, 'create', caseItem, party, null, partyFields(party));
+
+    const check = party.role === 'co_counsel' ? null : await checkParty(req, caseItem, party);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...formatPartyResponse(party),
+        conflictCheck: summarizeConflictCheck(check)
+      }
+    });
+  } catch (error) {
+    console.error('Add case party error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/cases/:id/parties/:partyId
+// @desc    Update a party; changing who the party is runs a new conflict check
+// @access  Private (case:write)
+// @body    Sample JSON:
+//          {
+//            "email": "legal@mehtabuilders.in",
+//            "notes": "Represented by Kapoor & Associates"
+//          }
+router.put('/:partyId', requirePermission('case:write'), partyValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const party = caseItem.parties.id(req.params.partyId);
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        message: 'Party not found'
+      });
+    }
+
+    const before = partyFields(party);
+    Object.entries(partyFields(req.body))
+      .filter(([, value]) => value !== undefined)
+      .forEach(([key, value]) => { party[key] = value; });
+    await caseItem.save();
+    await auditParty(req, 'update', caseItem, party, before, partyFields(party));
+
+    const changed = IDENTIFYING_FIELDS.some(key => (before[key] || '') !== (party[key] || ''));
+    const check = changed && party.role !== 'co_counsel' ? await checkParty(req, caseItem, party) : null;
+
+    res.json({
+      success: true,
+      data: {
+        ...formatPartyResponse(party),
+        conflictCheck: summarizeConflictCheck(check)
+      }
+    });
+  } catch (error) {
+    console.error('Update case party error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/cases/:id/parties/:partyId
+// @desc    Remove a party from the case
+// @access  Private (case:write)
+router.delete('/:partyId', requirePermission('case:write'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const party = caseItem.parties.id(req.params.partyId);
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        message: 'Party not found'
+      });
+    }
+
+    const before = partyFields(party);
+    caseItem.parties.pull(party._id);
+    caseItem.timeline.push({
+      date: new Date(),
+      title: 'Party Removed',
+      description: `${before.name} (${PARTY_ROLE_LABELS[before.role]}) was removed from the case`,
+      type: 'note',
+      createdBy: req.user._id
+    });
+    await caseItem.save();
+    await auditParty(req, 'delete', caseItem, party, before, null);
+
+    res.json({
+      success: true,
+      data: caseItem.parties.map(formatPartyResponse)
+    });
+  } catch (error) {
+    console.error('Remove case party error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
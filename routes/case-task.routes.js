@@ -0,0 +1,453 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Case = require('../models/Case.model');
+const Task = require('../models/Task.model');
+const { requirePermission } = require('../middleware/auth.middleware');
+const { canAccessCase, canManageCase, refId } = require('../utils/caseAccess');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { checkAssignee } = require('../services/tasks');
+
+// Mounted under /api/cases/:id/tasks (authentication is applied by the case router)
+const router = express.Router({ mergeParams: true });
+
+const TASK_STATUSES = ['Open', 'InProgress', 'Done', 'Cancelled'];
+const TASK_PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+
+const userName = (user) => (user && user.firstName ? `${user.firstName} ${user.lastName}` : undefined);
+
+// Helper function to format task response consistently
+function formatTaskResponse(task) {
+  if (!task) return null;
+
+  return {
+    id: task._id.toString(),
+    caseId: refId(task.caseId),
+    title: task.title,
+    description: task.description || '',
+    assigneeId: refId(task.assigneeId),
+    assigneeName: userName(task.assigneeId),
+    dueDate: task.dueDate || undefined,
+    priority: task.priority,
+    status: task.status,
+    overdue: !!task.dueDate && task.dueDate < new Date() && ['Open', 'InProgress'].includes(task.status),
+    checklist: (task.checklist || []).map(item => ({
+      id: item._id.toString(),
+      text: item.text,
+      done: !!item.done,
+      doneBy: refId(item.doneBy) || undefined,
+      doneAt: item.doneAt || undefined
+    })),
+    comments: (task.comments || []).map(comment => ({
+      id: comment._id.toString(),
+      userId: refId(comment.userId),
+      userName: userName(comment.userId),
+      content: comment.content,
+      createdAt: comment.createdAt
+    })),
+    templateKey: task.templateKey || undefined,
+    completedAt: task.completedAt || undefined,
+    completedBy: refId(task.completedBy) || undefined,
+    createdBy: refId(task.createdBy),
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt
+  };
+}
+
+// Populate the names shown with a task
+const populateTask = (query) => query
+  .populate('assigneeId', 'firstName lastName')
+  .populate('comments.userId', 'firstName lastName');
+
+// Load the case and check the user's access; sends the error response itself
+async function loadCase(req, res, { manage = false } = {}) {
+  const caseItem = await Case.findById(req.params.id);
+  if (!caseItem) {
+    res.status(404).json({
+      success: false,
+      message: 'Case not found'
+    });
+    return null;
+  }
+
+  const allowed = manage
+    ? canManageCase(req.user, caseItem)
+    : await canAccessCase(req.user, caseItem);
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return caseItem;
+}
+
+// Load a task of the case; sends the error response itself
+async function loadTask(req, res, caseItem) {
+  const task = await Task.findOne({ _id: req.params.taskId, caseId: caseItem._id });
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return null;
+  }
+  return task;
+}
+
+// Record a task change in the audit log under the case
+function auditTask(req, action, task, before, after, note) {
+  return recordAudit(req, {
+    action,
+    entityType: 'Task',
+    entityId: task._id,
+    parentType: 'Case',
+    parentId: task.caseId,
+    before,
+    after,
+    note
+  });
+}
+
+// Set a task's status, stamping who completed it
+function setStatus(task, status, userId) {
+  if (status === task.status) return;
+  task.status = status;
+  task.completedAt = status === 'Done' ? new Date() : undefined;
+  task.completedBy = status === 'Done' ? userId : undefined;
+}
+
+// Respond with a task and its populated names
+async function sendTask(res, task, status = 200) {
+  await task.populate('assigneeId', 'firstName lastName');
+  await task.populate('comments.userId', 'firstName lastName');
+  res.status(status).json({
+    success: true,
+    data: formatTaskResponse(task)
+  });
+}
+
+// @route   GET /api/cases/:id/tasks
+// @desc    Get the case's tasks, earliest due first
+// @access  Private (task:read)
+// @query   status - One or more comma-separated statuses; assigneeId - a user id or "me"
+router.get('/', requirePermission('task:read'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const filter = { caseId: caseItem._id };
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+    if (req.query.assigneeId) {
+      filter.assigneeId = req.query.assigneeId === 'me' ? req.user._id : req.query.assigneeId;
+    }
+
+    const tasks = await populateTask(Task.find(filter).sort({ dueDate: 1, createdAt: 1 }));
+
+    res.json({
+      success: true,
+      data: tasks.map(formatTaskResponse)
+    });
+  } catch (error) {
+    console.error('Get case tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/cases/:id/tasks/:taskId
+// @desc    Get a task with its checklist and comments
+// @access  Private (task:read)
+router.get('/:taskId', requirePermission('task:read'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const task = await loadTask(req, res, caseItem);
+    if (!task) return;
+
+    await sendTask(res, task);
+  } catch (error) {
+    console.error('Get case task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cases/:id/tasks
+// @desc    Add a task to the case
+// @access  Private (task:write)
+// @body    Sample JSON:
+//          {
+//            "title": "Draft written statement",
+//            "assigneeId": "65a1b2c3d4e5f6a7b8c9d0e1",
+//            "dueDate": "2024-07-01",
+//            "priority": "High",
+//            "checklist": ["Para-wise reply", "Verification", "Client signature"]
+//          }
+//          Note: the assignee must be an Admin or on the case team
+router.post('/', requirePermission('task:write'), [
+  body('title').trim().notEmpty(),
+  body('description').optional().trim(),
+  body('assigneeId').optional({ values: 'falsy' }).isMongoId(),
+  body('dueDate').optional({ values: 'falsy' }).isISO8601(),
+  body('priority').optional().isIn(TASK_PRIORITIES),
+  body('checklist').optional().isArray(),
+  body('checklist.*').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const { title, description, assigneeId, dueDate, priority, checklist } = req.body;
+    if (assigneeId) {
+      const assigneeError = await checkAssignee(caseItem, assigneeId);
+      if (assigneeError) {
+        return res.status(400).json({
+          success: false,
+          message: assigneeError
+        });
+      }
+    }
+
+    const task = await Task.create({
+      caseId: caseItem._id,
+      title,
+      description,
+      assigneeId: assigneeId || undefined,
+      dueDate: dueDate || undefined,
+      priority,
+      checklist: (checklist || []).map(text => ({ text })),
+      createdBy: req.user._id
+    });
+    await auditTask(req, 'create', task, null, task);
+
+    await sendTask(res, task, 201);
+  } catch (error) {
+    console.error('Create case task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/cases/:id/tasks/:taskId
+// @desc    Update a task: reassign it, change its due date, priority or status, or edit its checklist
+// @access  Private (task:write)
+// @body    Sample JSON:
+//          {
+//            "status": "Done",
+//            "checklist": [
+//              { "id": "65a1b2c3d4e5f6a7b8c9d0e2", "text": "Para-wise reply", "done": true },
+//              { "text": "Annexures" }
+//            ]
+//          }
+//          Note: checklist replaces the list; items with an id keep it. assigneeId null unassigns the task.
+router.put('/:taskId', requirePermission('task:write'), [
+  body('title').optional().trim().notEmpty(),
+  body('description').optional().trim(),
+  body('assigneeId').optional({ values: 'null' }).isMongoId(),
+  body('dueDate').optional({ values: 'null' }).isISO8601(),
+  body('priority').optional().isIn(TASK_PRIORITIES),
+  body('status').optional().isIn(TASK_STATUSES),
+  body('checklist').optional().isArray(),
+  body('checklist.*.id').optional().isMongoId(),
+  body('checklist.*.text').trim().notEmpty(),
+  body('checklist.*.done').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const task = await loadTask(req, res, caseItem);
+    if (!task) return;
+
+    const { title, description, assigneeId, dueDate, priority, status, checklist } = req.body;
+    if (assigneeId && assigneeId !== refId(task.assigneeId)) {
+      const assigneeError = await checkAssignee(caseItem, assigneeId);
+      if (assigneeError) {
+        return res.status(400).json({
+          success: false,
+          message: assigneeError
+        });
+      }
+    }
+
+    const before = snapshot(task);
+    if (title !== undefined) task.title = title;
+    if (description !== undefined) task.description = description;
+    if (assigneeId !== undefined) task.assigneeId = assigneeId || undefined;
+    if (dueDate !== undefined) task.dueDate = dueDate || undefined;
+    if (priority !== undefined) task.priority = priority;
+    if (status !== undefined) setStatus(task, status, req.user._id);
+    if (checklist !== undefined) {
+      task.checklist = checklist.map(item => {
+        const existing = item.id ? task.checklist.id(item.id) : null;
+        const done = item.done !== undefined ? item.done : !!(existing && existing.done);
+        const stillDone = existing && existing.done && done;
+        return {
+          ...(existing ? { _id: existing._id } : {}),
+          text: item.text,
+          done,
+          doneBy: stillDone ? existing.doneBy : (done ? req.user._id : undefined),
+          doneAt: stillDone ? existing.doneAt : (done ? new Date() : undefined)
+        };
+      });
+    }
+    await task.save();
+    await auditTask(req, 'update', task, before, task);
+
+    await sendTask(res, task);
+  } catch (error) {
+    console.error('Update case task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/cases/:id/tasks/:taskId/checklist/:itemId
+// @desc    Tick or untick a checklist item
+// @access  Private (task:write)
+// @body    Sample JSON:
+//          {
+//            "done": true
+//          }
+router.patch('/:taskId/checklist/:itemId', requirePermission('task:write'), [
+  body('done').isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const task = await loadTask(req, res, caseItem);
+    if (!task) return;
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    if (item.done !== req.body.done) {
+      item.done = req.body.done;
+      item.doneBy = req.body.done ? req.user._id : undefined;
+      item.doneAt = req.body.done ? new Date() : undefined;
+      await task.save();
+      await auditTask(req, 'checklist', task, null, null, `${req.body.done ? 'Ticked' : 'Unticked'} "${item.text}"`);
+    }
+
+    await sendTask(res, task);
+  } catch (error) {
+    console.error('Update task checklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cases/:id/tasks/:taskId/comments
+// @desc    Comment on a task
+// @access  Private (task:read)
+// @body    Sample JSON:
+//          {
+//            "content": "Client will sign on Monday"
+//          }
+//          Note: anyone who can see the case's tasks can comment, including observers
+router.post('/:taskId/comments', requirePermission('task:read'), [
+  body('content').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const task = await loadTask(req, res, caseItem);
+    if (!task) return;
+
+    task.comments.push({ userId: req.user._id, content: req.body.content });
+    await task.save();
+
+    await sendTask(res, task, 201);
+  } catch (error) {
+    console.error('Add task comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/cases/:id/tasks/:taskId
+// @desc    Delete a task
+// @access  Private (task:write)
+router.delete('/:taskId', requirePermission('task:write'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const task = await loadTask(req, res, caseItem);
+    if (!task) return;
+
+    await Task.deleteOne({ _id: task._id });
+    await auditTask(req, 'delete', task, task, null);
+
+    res.json({
+      success: true,
+      message: 'Task deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete case task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,256 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Case = require('../models/Case.model');
+const User = require('../models/User.model');
+const { requirePermission } = require('../middleware/auth.middleware');
+const { hasLawyerAccess } = require('../utils/roles');
+const { canAccessCase, canManageTeam, getTeamMember, refId } = require('../utils/caseAccess');
+const { recordAudit } = require('../utils/audit');
+
+// Mounted under /api/cases/:id/team (authentication is applied by the case router)
+const router = express.Router({ mergeParams: true });
+
+const TEAM_ROLES = ['lead', 'associate', 'paralegal', 'observer'];
+
+// Helper function to format team member response consistently
+function formatMemberResponse(member) {
+  if (!member) return null;
+
+  const user = member.userId && typeof member.userId === 'object' && member.userId._id ? member.userId : null;
+  return {
+    userId: refId(member.userId) || '',
+    name: user ? `${user.firstName} ${user.lastName}` : 'Unknown',
+    email: user ? user.email : undefined,
+    role: member.role,
+    addedBy: member.addedBy ? member.addedBy.toString() : undefined,
+    addedAt: member.createdAt
+  };
+}
+
+// Load the case and check the user's access; sends the error response itself
+async function loadCase(req, res, { manage = false } = {}) {
+  const caseItem = await Case.findById(req.params.id);
+  if (!caseItem) {
+    res.status(404).json({
+      success: false,
+      message: 'Case not found'
+    });
+    return null;
+  }
+
+  const allowed = manage
+    ? canManageTeam(req.user, caseItem)
+    : await canAccessCase(req.user, caseItem);
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return caseItem;
+}
+
+// Record a team change in the audit log under the case
+function auditMember(req, action, caseItem, userId, before, after) {
+  return recordAudit(req, {
+    action,
+    entityType: 'CaseTeamMember',
+    entityId: userId,
+    parentType: 'Case',
+    parentId: caseItem._id,
+    before,
+    after
+  });
+}
+
+// Respond with the populated team
+async function sendTeam(res, caseItem, status = 200) {
+  await caseItem.populate('team.userId', 'firstName lastName email');
+  res.status(status).json({
+    success: true,
+    data: caseItem.team.map(formatMemberResponse)
+  });
+}
+
+// @route   GET /api/cases/:id/team
+// @desc    Get the case team
+// @access  Private (case:read)
+router.get('/', requirePermission('case:read'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    await sendTeam(res, caseItem);
+  } catch (error) {
+    console.error('Get case team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cases/:id/team
+// @desc    Add a member to the case team
+// @access  Private (case:write, Admin or lead counsel)
+// @body    Sample JSON:
+//          {
+//            "userId": "65a1b2c3d4e5f6a7b8c9d0e1",
+//            "role": "associate"
+//          }
+//          Note: role is one of lead, associate, paralegal, observer
+router.post('/', requirePermission('case:write'), [
+  body('userId').isMongoId(),
+  body('role').optional().isIn(TEAM_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const user = await User.findById(req.body.userId);
+    if (!user || !user.isActive || !(await hasLawyerAccess(user.role))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team members must be active staff users'
+      });
+    }
+
+    if (getTeamMember(caseItem, user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already on the case team'
+      });
+    }
+
+    const role = req.body.role || 'associate';
+    caseItem.team.push({ userId: user._id, role, addedBy: req.user._id });
+    caseItem.timeline.push({
+      date: new Date(),
+      title: 'Team Member Added',
+      description: `${user.firstName} ${user.lastName} joined the case team as ${role}`,
+      type: 'note',
+      createdBy: req.user._id
+    });
+    await caseItem.save();
+    await auditMember(req, 'create', caseItem, user._id, null, { role });
+
+    await sendTeam(res, caseItem, 201);
+  } catch (error) {
+    console.error('Add case team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/cases/:id/team/:userId
+// @desc    Change a team member's role
+// @access  Private (case:write, Admin or lead counsel)
+// @body    Sample JSON:
+//          {
+//            "role": "observer"
+//          }
+router.put('/:userId', requirePermission('case:write'), [
+  body('role').isIn(TEAM_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const member = getTeamMember(caseItem, req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    if (refId(caseItem.assignedLawyerId) === req.params.userId && req.body.role !== 'lead') {
+      return res.status(400).json({
+        success: false,
+        message: 'The assigned lawyer is always lead counsel. Reassign the case first.'
+      });
+    }
+
+    const before = { role: member.role };
+    member.role = req.body.role;
+    await caseItem.save();
+    await auditMember(req, 'update', caseItem, req.params.userId, before, { role: member.role });
+
+    await sendTeam(res, caseItem);
+  } catch (error) {
+    console.error('Update case team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/cases/:id/team/:userId
+// @desc    Remove a member from the case team
+// @access  Private (case:write, Admin or lead counsel)
+router.delete('/:userId', requirePermission('case:write'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const member = getTeamMember(caseItem, req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    if (refId(caseItem.assignedLawyerId) === req.params.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The assigned lawyer cannot be removed from the team. Reassign the case first.'
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('firstName lastName');
+    caseItem.team.pull(member._id);
+    caseItem.timeline.push({
+      date: new Date(),
+      title: 'Team Member Removed',
+      description: `${user ? `${user.firstName} ${user.lastName}` : 'A member'} left the case team`,
+      type: 'note',
+      createdBy: req.user._id
+    });
+    await caseItem.save();
+    await auditMember(req, 'delete', caseItem, req.params.userId, { role: member.role }, null);
+
+    await sendTeam(res, caseItem);
+  } catch (error) {
+    console.error('Remove case team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,39 +1,490 @@
 const express = require('express');
-const { authenticate } = require('../middleware/auth.middleware');
+const { body, validationResult } = require('express-validator');
+const CaseType = require('../models/CaseType.model');
+const Case = require('../models/Case.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { loadCaseTypes, clearCaseTypeCache, getCaseType } = require('../utils/caseTypes');
+const { getWorkflow, checkWorkflowDefinition } = require('../utils/caseWorkflow');
+const { recordAudit } = require('../utils/audit');
+const { PERIOD_UNITS, checkDeadlineRules } = require('../services/deadlines');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+const FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'select', 'multiselect'];
+
+// Helper function to format case type response consistently
+function formatCaseTypeResponse(caseType) {
+  if (!caseType) return null;
+
+  return {
+    type: caseType.type,
+    name: caseType.name,
+    description: caseType.description || '',
+    icon: caseType.icon || undefined,
+    color: caseType.color || undefined,
+    fields: (caseType.fields || []).map(field => ({
+      key: field.key,
+      label: field.label,
+      type: field.type,
+      required: !!field.required,
+      options: field.options && field.options.length > 0 ? field.options : undefined,
+      validation: field.validation && Object.keys(field.validation).length > 0 ? field.validation : undefined,
+      helpText: field.helpText || undefined
+    })),
+    workflow: getWorkflow(caseType),
+    hasCustomWorkflow: !!caseType.workflow,
+    deadlineRules: (caseType.deadlineRules || []).map(rule => ({
+      key: rule.key,
+      name: rule.name,
+      trigger: rule.trigger,
+      triggerLabel: rule.triggerLabel || undefined,
+      triggerField: rule.triggerField || undefined,
+      period: { value: rule.period.value, unit: rule.period.unit },
+      extendToWorkingDay: rule.extendToWorkingDay !== false,
+      statute: rule.statute || undefined
+    })),
+    taskTemplates: (caseType.taskTemplates || []).map(template => ({
+      key: template.key,
+      title: template.title,
+      description: template.description || undefined,
+      priority: template.priority || 'Medium',
+      dueInDays: template.dueInDays !== undefined && template.dueInDays !== null ? template.dueInDays : undefined,
+      assignTo: template.assignTo || 'assignedLawyer',
+      checklist: template.checklist || []
+    })),
+    isActive: caseType.isActive !== false,
+    isSystem: !!caseType.isSystem,
+    updatedAt: caseType.updatedAt || undefined
+  };
+}
+
+// Field schema checks that need the whole field definition
+function checkFields(fields) {
+  const keys = new Set();
+  fields.forEach(field => {
+    if (keys.has(field.key)) throw new Error(`Field key "${field.key}" is used more than once`);
+    keys.add(field.key);
+
+    if (['select', 'multiselect'].includes(field.type) && !(Array.isArray(field.options) && field.options.length > 0)) {
+      throw new Error(`Field "${field.key}" needs options`);
+    }
+
+    const pattern = field.validation && field.validation.pattern;
+    if (pattern) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`Field "${field.key}" has an invalid pattern`);
+      }
+    }
+  });
+  return true;
+}
+
+// Fill in workflow defaults: the first status is the initial one, no transitions means none allowed
+function normalizeWorkflow(workflow) {
+  return {
+    initialStatus: workflow.initialStatus || workflow.statuses[0].key,
+    statuses: workflow.statuses,
+    transitions: (workflow.transitions || []).map(transition => ({
+      from: transition.from,
+      to: transition.to,
+      requiresReason: !!transition.requiresReason,
+      requiredFields: transition.requiredFields || []
+    }))
+  };
+}
+
+// Check a workflow against the type's custom fields; returns an error message or null
+function findWorkflowError(workflow, fields) {
+  if (!workflow) return null;
+  try {
+    checkWorkflowDefinition(normalizeWorkflow(workflow), fields || []);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Check deadline rules against the type's custom fields; returns an error message or null
+function findDeadlineRulesError(rules, fields) {
+  if (!rules) return null;
+  try {
+    checkDeadlineRules(rules, fields || []);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Template keys must be unique within a type
+function checkTaskTemplates(templates) {
+  const keys = new Set();
+  (templates || []).forEach(template => {
+    if (keys.has(template.key)) throw new Error(`Task template "${template.key}" is listed more than once`);
+    keys.add(template.key);
+  });
+  return true;
+}
+
+const caseTypeValidators = [
+  body('description').optional().trim(),
+  body('icon').optional().trim(),
+  body('color').optional().trim(),
+  body('fields').optional().isArray().custom(checkFields),
+  body('fields.*.key').trim().matches(/^[A-Za-z0-9_-]+$/).withMessage('Field keys may only contain letters, digits, _ and -'),
+  body('fields.*.label').trim().notEmpty(),
+  body('fields.*.type').isIn(FIELD_TYPES),
+  body('fields.*.required').optional().isBoolean().toBoolean(),
+  body('fields.*.options').optional().isArray(),
+  body('fields.*.validation').optional().isObject(),
+  body('fields.*.validation.minLength').optional().isInt({ min: 0 }).toInt(),
+  body('fields.*.validation.maxLength').optional().isInt({ min: 0 }).toInt(),
+  body('fields.*.helpText').optional().trim(),
+  // null resets the type to the default workflow
+  body('workflow').optional({ values: 'null' }).isObject(),
+  body('workflow.initialStatus').optional().trim().notEmpty(),
+  body('workflow.statuses').if(body('workflow').exists({ values: 'null' })).isArray({ min: 1 }),
+  body('workflow.statuses.*.key').trim().matches(/^[A-Za-z0-9_-]+$/).withMessage('Status keys may only contain letters, digits, _ and -'),
+  body('workflow.statuses.*.label').trim().notEmpty(),
+  body('workflow.statuses.*.closed').optional().isBoolean().toBoolean(),
+  body('workflow.transitions').optional().isArray(),
+  body('workflow.transitions.*.from').isArray({ min: 1 }),
+  body('workflow.transitions.*.to').trim().notEmpty(),
+  body('workflow.transitions.*.requiresReason').optional().isBoolean().toBoolean(),
+  body('workflow.transitions.*.requiredFields').optional().isArray(),
+  // null resets a built-in type to its own deadline rules
+  body('deadlineRules').optional({ values: 'null' }).isArray(),
+  body('deadlineRules.*.key').trim().matches(/^[A-Za-z0-9_-]+$/).withMessage('Rule keys may only contain letters, digits, _ and -'),
+  body('deadlineRules.*.name').trim().notEmpty(),
+  body('deadlineRules.*.trigger').trim().matches(/^[A-Za-z0-9_-]+$/).withMessage('Triggers may only contain letters, digits, _ and -'),
+  body('deadlineRules.*.triggerLabel').optional().trim(),
+  body('deadlineRules.*.triggerField').optional({ values: 'falsy' }).trim(),
+  body('deadlineRules.*.period.value').isInt({ min: 0 }).toInt(),
+  body('deadlineRules.*.period.unit').isIn(PERIOD_UNITS),
+  body('deadlineRules.*.extendToWorkingDay').optional().isBoolean().toBoolean(),
+  body('deadlineRules.*.statute').optional().trim(),
+  // null resets a built-in type to its own task templates
+  body('taskTemplates').optional({ values: 'null' }).isArray().custom(checkTaskTemplates),
+  body('taskTemplates.*.key').trim().matches(/^[A-Za-z0-9_-]+$/).withMessage('Template keys may only contain letters, digits, _ and -'),
+  body('taskTemplates.*.title').trim().notEmpty(),
+  body('taskTemplates.*.description').optional().trim(),
+  body('taskTemplates.*.priority').optional().isIn(['Low', 'Medium', 'High', 'Urgent']),
+  body('taskTemplates.*.dueInDays').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('taskTemplates.*.assignTo').optional().isIn(['assignedLawyer', 'unassigned']),
+  body('taskTemplates.*.checklist').optional().isArray(),
+  body('isActive').optional().isBoolean().toBoolean()
+];
+
 // @route   GET /api/case-types
 // @desc    Get all case types configuration
-// @access  Private
-router.get('/', (req, res) => {
-  // Return case type configurations
-  const caseTypes = [
-    { type: 'Civil', name: 'Civil', description: 'Civil law cases', icon: 'gavel', color: '#667eea' },
-    { type: 'Criminal', name: 'Criminal', description: 'Criminal law cases', icon: 'security', color: '#dc3545' },
-    { type: 'Corporate', name: 'Corporate', description: 'Corporate law cases', icon: 'business', color: '#28a745' },
-    { type: 'Family', name: 'Family', description: 'Family law cases', icon: 'family_restroom', color: '#ffc107' },
-    { type: 'Property', name: 'Property', description: 'Property law cases', icon: 'home', color: '#17a2b8' },
-    { type: 'Labor', name: 'Labor', description: 'Labor law cases', icon: 'work', color: '#6f42c1' },
-    { type: 'Tax', name: 'Tax', description: 'Tax law cases', icon: 'receipt', color: '#fd7e14' },
-    { type: 'PersonalInjury', name: 'Personal Injury', description: 'Personal injury cases', icon: 'healing', color: '#e83e8c' },
-    { type: 'Immigration', name: 'Immigration', description: 'Immigration law cases', icon: 'flight', color: '#20c997' },
-    { type: 'Bankruptcy', name: 'Bankruptcy', description: 'Bankruptcy cases', icon: 'account_balance_wallet', color: '#6c757d' },
-    { type: 'ChequeDefault', name: 'Cheque Default', description: 'Cheque default cases', icon: 'payment', color: '#dc3545' },
-    { type: 'Other', name: 'Other', description: 'Other types of cases', icon: 'more_horiz', color: '#adb5bd' }
-  ];
-
-  res.json({
-    success: true,
-    data: caseTypes
-  });
+// @access  Private (case:read)
+// @query   includeRetired=true - also list retired types
+router.get('/', requirePermission('case:read'), async (req, res) => {
+  try {
+    const caseTypes = [...(await loadCaseTypes()).values()]
+      .filter(caseType => caseType.isActive || req.query.includeRetired === 'true');
+
+    res.json({
+      success: true,
+      data: caseTypes.map(formatCaseTypeResponse)
+    });
+  } catch (error) {
+    console.error('Get case types error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
 });
 
-module.exports = router;
+// @route   GET /api/case-types/:type
+// @desc    Get a case type with its custom field schema
+// @access  Private (case:read)
+router.get('/:type', requirePermission('case:read'), async (req, res) => {
+  try {
+    const caseType = await getCaseType(req.params.type);
+    if (!caseType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case type not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatCaseTypeResponse(caseType)
+    });
+  } catch (error) {
+    console.error('Get case type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/case-types
+// @desc    Create a case type
+// @access  Private (casetype:manage)
+// @body    Sample JSON:
+//          {
+//            "type": "Arbitration",
+//            "name": "Arbitration",
+//            "description": "Domestic and international arbitration",
+//            "icon": "balance",
+//            "color": "#0d6efd",
+//            "fields": [
+//              { "key": "seat", "label": "Seat of arbitration", "type": "text", "required": true },
+//              { "key": "claimAmount", "label": "Claim amount", "type": "number", "validation": { "min": 0 } },
+//              { "key": "institution", "label": "Institution", "type": "select", "options": ["ICC", "SIAC", "Ad hoc"] }
+//            ]
+//          }
+router.post('/', requirePermission('casetype:manage'), [
+  body('type').trim().matches(/^[A-Za-z0-9_-]+$/).withMessage('Type may only contain letters, digits, _ and -'),
+  body('name').trim().notEmpty(),
+  ...caseTypeValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
+    if (await getCaseType(req.body.type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A case type with this type already exists'
+      });
+    }
 
+    const { type, name, description, icon, color, fields, workflow, deadlineRules, taskTemplates, isActive } = req.body;
 
+    const workflowError = findWorkflowError(workflow, fields) || findDeadlineRulesError(deadlineRules, fields);
+    if (workflowError) {
+      return res.status(400).json({
+        success: false,
+        message: workflowError
+      });
+    }
 
+    const caseType = await CaseType.create({
+      type,
+      name,
+      description,
+      icon,
+      color,
+      fields: fields || [],
+      workflow: workflow ? normalizeWorkflow(workflow) : undefined,
+      deadlineRules: deadlineRules || undefined,
+      taskTemplates: taskTemplates || undefined,
+      isActive: isActive !== false,
+      updatedBy: req.user._id
+    });
+    clearCaseTypeCache();
+    await recordAudit(req, { action: 'create', entityType: 'CaseType', entityId: type, after: caseType });
+
+    res.status(201).json({
+      success: true,
+      message: 'Case type created successfully',
+      data: formatCaseTypeResponse(await getCaseType(type))
+    });
+  } catch (error) {
+    console.error('Create case type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/case-types/:type
+// @desc    Update a case type, its custom fields or status workflow, or bring a retired type back
+// @access  Private (casetype:manage)
+// @body    Sample JSON:
+//          {
+//            "fields": [
+//              { "key": "chequeNumber", "label": "Cheque number", "type": "text", "required": true },
+//              { "key": "judgmentDate", "label": "Judgment date", "type": "date" }
+//            ],
+//            "workflow": {
+//              "initialStatus": "Filing",
+//              "statuses": [
+//                { "key": "Filing", "label": "Filing" },
+//                { "key": "Admission", "label": "Admission" },
+//                { "key": "Evidence", "label": "Evidence" },
+//                { "key": "Arguments", "label": "Arguments" },
+//                { "key": "Judgment", "label": "Judgment", "closed": true },
+//                { "key": "Appeal", "label": "Appeal" }
+//              ],
+//              "transitions": [
+//                { "from": ["Filing"], "to": "Admission" },
+//                { "from": ["Admission"], "to": "Evidence" },
+//                { "from": ["Evidence"], "to": "Arguments" },
+//                { "from": ["Arguments"], "to": "Judgment", "requiredFields": ["judgmentDate"] },
+//                { "from": ["Judgment"], "to": "Appeal", "requiresReason": true }
+//              ]
+//            },
+//            "isActive": true
+//          }
+//          Note: existing cases keep their values and status; the new schema applies when they are next edited.
+//          "workflow": null goes back to the default Open/InProgress/OnHold/Closed workflow.
+//          deadlineRules replaces the type's rules, e.g.
+//          [{ "key": "appeal", "name": "File appeal", "trigger": "judgment", "triggerField": "judgmentDate",
+//             "period": { "value": 90, "unit": "days" }, "statute": "Limitation Act, 1963, Art. 116(a)" }];
+//          null goes back to a built-in type's own rules.
+//          taskTemplates replaces the tasks new cases of the type start with, e.g.
+//          [{ "key": "vakalatnama", "title": "Collect signed vakalatnama", "priority": "High", "dueInDays": 3,
+//             "assignTo": "assignedLawyer", "checklist": ["Prepare", "Client signature"] }]; null as for deadlineRules.
+router.put('/:type', requirePermission('casetype:manage'), [
+  body('name').optional().trim().notEmpty(),
+  ...caseTypeValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await getCaseType(req.params.type);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case type not found'
+      });
+    }
+
+    const workflow = req.body.workflow !== undefined ? req.body.workflow : existing.workflow;
+    const fields = req.body.fields !== undefined ? req.body.fields : existing.fields;
+    const deadlineRules = req.body.deadlineRules !== undefined ? req.body.deadlineRules : existing.deadlineRules;
+    const workflowError = findWorkflowError(workflow, fields) || findDeadlineRulesError(deadlineRules, fields);
+    if (workflowError) {
+      return res.status(400).json({
+        success: false,
+        message: workflowError
+      });
+    }
+
+    // Built-in types are only stored once they are customised
+    const caseType = await CaseType.findOne({ type: existing.type }) || new CaseType({
+      type: existing.type,
+      name: existing.name,
+      description: existing.description,
+      icon: existing.icon,
+      color: existing.color,
+      fields: existing.fields,
+      workflow: existing.workflow || undefined,
+      isActive: existing.isActive
+    });
+
+    ['name', 'description', 'icon', 'color', 'fields', 'isActive'].forEach(key => {
+      if (req.body[key] !== undefined) caseType[key] = req.body[key];
+    });
+    if (req.body.workflow !== undefined) {
+      caseType.workflow = req.body.workflow ? normalizeWorkflow(req.body.workflow) : undefined;
+    }
+    if (req.body.deadlineRules !== undefined) {
+      caseType.deadlineRules = req.body.deadlineRules || undefined;
+    }
+    if (req.body.taskTemplates !== undefined) {
+      caseType.taskTemplates = req.body.taskTemplates || undefined;
+    }
+    caseType.updatedBy = req.user._id;
+    await caseType.save();
+    clearCaseTypeCache();
+
+    const updated = await getCaseType(caseType.type);
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'CaseType',
+      entityId: caseType.type,
+      before: formatCaseTypeResponse(existing),
+      after: formatCaseTypeResponse(updated)
+    });
+
+    res.json({
+      success: true,
+      message: 'Case type updated successfully',
+      data: formatCaseTypeResponse(updated)
+    });
+  } catch (error) {
+    console.error('Update case type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/case-types/:type
+// @desc    Retire a case type so it can no longer be chosen for new cases
+// @access  Private (casetype:manage)
+//          Note: cases of the type keep it; bring it back with PUT { "isActive": true }
+router.delete('/:type', requirePermission('casetype:manage'), async (req, res) => {
+  try {
+    const existing = await getCaseType(req.params.type);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case type not found'
+      });
+    }
+
+    if (!existing.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Case type is already retired'
+      });
+    }
+
+    await CaseType.findOneAndUpdate(
+      { type: existing.type },
+      {
+        $set: { isActive: false, updatedBy: req.user._id },
+        $setOnInsert: {
+          name: existing.name,
+          description: existing.description,
+          icon: existing.icon,
+          color: existing.color,
+          fields: existing.fields,
+          workflow: existing.workflow || undefined
+        }
+      },
+      { upsert: true }
+    );
+    clearCaseTypeCache();
+
+    const caseCount = await Case.countDocuments({ caseType: existing.type });
+    await recordAudit(req, {
+      action: 'retire',
+      entityType: 'CaseType',
+      entityId: existing.type,
+      before: { isActive: true },
+      after: { isActive: false }
+    });
+
+    res.json({
+      success: true,
+      message: `Case type retired. ${caseCount} existing case(s) keep it.`
+    });
+  } catch (error) {
+    console.error('Retire case type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
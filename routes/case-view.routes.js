@@ -0,0 +1,233 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const CaseView = require('../models/CaseView.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { CASE_SORT_FIELDS, normalizeFilterParams, parseCaseFilters } = require('../utils/caseFilters');
+const { parseSort } = require('../utils/listQuery');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requirePermission('case:read'));
+
+// Helper function to format saved view response consistently
+function formatCaseViewResponse(view) {
+  if (!view) return null;
+
+  return {
+    id: view._id.toString(),
+    name: view.name,
+    filters: view.filters || {},
+    sort: view.sort || undefined,
+    createdAt: view.createdAt,
+    updatedAt: view.updatedAt
+  };
+}
+
+const viewValidators = [
+  body('filters').optional().isObject(),
+  body('sort').optional({ values: 'falsy' }).trim().custom(sort => {
+    const unknown = parseSort(sort).map(([field]) => field).filter(field => !CASE_SORT_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Cannot sort by ${unknown.join(', ')}. Allowed: ${CASE_SORT_FIELDS.join(', ')}`);
+    }
+    return true;
+  })
+];
+
+// Check the filters the way the case list will run them
+function validateFilters(filters, user) {
+  const { params, unknown } = normalizeFilterParams(filters);
+  const errors = unknown.map(key => ({ path: `filters.${key}`, msg: 'Unknown case list filter' }));
+  parseCaseFilters(params, user).errors
+    .forEach(error => errors.push({ path: `filters.${error.path}`, msg: error.msg }));
+  return { params, errors };
+}
+
+// @route   GET /api/case-views
+// @desc    Get the current user's saved case views
+// @access  Private (case:read)
+router.get('/', async (req, res) => {
+  try {
+    const views = await CaseView.find({ userId: req.user._id }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: views.map(formatCaseViewResponse)
+    });
+  } catch (error) {
+    console.error('Get case views error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/case-views
+// @desc    Save a case list filter under a name
+// @access  Private (case:read)
+// @body    Sample JSON:
+//          {
+//            "name": "My urgent hearings this week",
+//            "filters": {
+//              "assignedLawyerId": "me",
+//              "priority": "High,Urgent",
+//              "nextHearingFrom": "today",
+//              "nextHearingTo": "+7d",
+//              "cf": { "court": "High Court" }
+//            },
+//            "sort": "nextHearingDate"
+//          }
+//          Note: run it with GET /api/cases?view=<id>; relative dates are resolved on each run
+router.post('/', [
+  body('name').trim().notEmpty().isLength({ max: 100 }),
+  ...viewValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { params, errors: filterErrors } = validateFilters(req.body.filters, req.user);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: filterErrors
+      });
+    }
+
+    if (await CaseView.exists({ userId: req.user._id, name: req.body.name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a view with this name'
+      });
+    }
+
+    const view = await CaseView.create({
+      userId: req.user._id,
+      name: req.body.name,
+      filters: params,
+      sort: req.body.sort || undefined
+    });
+    await recordAudit(req, { action: 'create', entityType: 'CaseView', entityId: view._id, after: view });
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved successfully',
+      data: formatCaseViewResponse(view)
+    });
+  } catch (error) {
+    console.error('Create case view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/case-views/:id
+// @desc    Rename a saved view or change its filters
+// @access  Private (case:read, own views only)
+router.put('/:id', [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+  ...viewValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const view = await CaseView.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found'
+      });
+    }
+
+    const before = snapshot(view);
+
+    if (req.body.filters !== undefined) {
+      const { params, errors: filterErrors } = validateFilters(req.body.filters, req.user);
+      if (filterErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: filterErrors
+        });
+      }
+      view.filters = params;
+    }
+
+    if (req.body.name !== undefined && req.body.name !== view.name) {
+      if (await CaseView.exists({ userId: req.user._id, name: req.body.name })) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already have a view with this name'
+        });
+      }
+      view.name = req.body.name;
+    }
+
+    if (req.body.sort !== undefined) view.sort = req.body.sort || undefined;
+
+    await view.save();
+    await recordAudit(req, { action: 'update', entityType: 'CaseView', entityId: view._id, before, after: view });
+
+    res.json({
+      success: true,
+      message: 'View updated successfully',
+      data: formatCaseViewResponse(view)
+    });
+  } catch (error) {
+    console.error('Update case view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/case-views/:id
+// @desc    Delete a saved view
+// @access  Private (case:read, own views only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const view = await CaseView.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found'
+      });
+    }
+
+    await recordAudit(req, { action: 'delete', entityType: 'CaseView', entityId: view._id, before: view });
+
+    res.json({
+      success: true,
+      message: 'View deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete case view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,52 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Case = require('../models/Case.model');
+const CaseView = require('../models/CaseView.model');
 const Client = require('../models/Client.model');
 const User = require('../models/User.model');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { hasLawyerAccess, getRoleNamesWithAccess } = require('../utils/roles');
+const { loadCaseTypes, activeCaseType, getCaseType, validateCustomFields } = require('../utils/caseTypes');
+const { getWorkflow, isClosedStatus, getAvailableTransitions, checkTransition } = require('../utils/caseWorkflow');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { listValidators, getListOptions, applyTextSearch, findPage, emptyPage } = require('../utils/listQuery');
+const { CASE_SORT_FIELDS, parseCaseFilters } = require('../utils/caseFilters');
+const { findCaseBlockers, purgeCase, getRetentionDays } = require('../services/trash');
+const { canAccessCase, canManageCase, canManageTeam, canAccessClient, getLinkedClientIds, getTeamMember, lawyerCaseFilter, refId } = require('../utils/caseAccess');
+const { syncFieldTriggers } = require('../services/deadlines');
+const { createTemplateTasks } = require('../services/tasks');
+const { PARTY_ROLES, clientEntries, partyEntries, runConflictCheck, summarizeConflictCheck } = require('../services/conflicts');
+const caseDocumentRoutes = require('./case-document.routes');
+const hearingRoutes = require('./hearing.routes');
+const caseTeamRoutes = require('./case-team.routes');
+const casePartyRoutes = require('./case-party.routes');
+const caseDeadlineRoutes = require('./case-deadline.routes');
+const caseTaskRoutes = require('./case-task.routes');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+// Case documents: /api/cases/:id/documents
+router.use('/:id/documents', caseDocumentRoutes);
+
+// Case hearings: /api/cases/:id/hearings
+router.use('/:id/hearings', hearingRoutes);
+
+// Case team: /api/cases/:id/team
+router.use('/:id/team', caseTeamRoutes);
+
+// Case parties: /api/cases/:id/parties
+router.use('/:id/parties', casePartyRoutes);
+
+// Case deadlines: /api/cases/:id/deadlines
+router.use('/:id/deadlines', caseDeadlineRoutes);
+
+// Case tasks: /api/cases/:id/tasks
+router.use('/:id/tasks', caseTaskRoutes);
+
 // Helper function to format case response consistently
 function formatCaseResponse(caseItem) {
   if (!caseItem) return null;
@@ -20,6 +57,7 @@ function formatCaseResponse(caseItem) {
     title: caseItem.title || '',
     description: caseItem.description || '',
     status: caseItem.status || 'Open',
+    isClosed: !!caseItem.isClosed || caseItem.status === 'Closed',
     priority: caseItem.priority || 'Medium',
     caseType: caseItem.caseType || '',
     clientId: caseItem.clientId 
@@ -44,18 +82,39 @@ function formatCaseResponse(caseItem) {
     customFields: (caseItem.customFields && caseItem.customFields instanceof Map) 
       ? Object.fromEntries(caseItem.customFields) 
       : (caseItem.customFields || {}),
+    team: caseItem.team && Array.isArray(caseItem.team)
+      ? caseItem.team.map(member => ({
+          userId: member.userId
+            ? (typeof member.userId === 'object' && member.userId._id
+                ? member.userId._id.toString()
+                : member.userId.toString())
+            : '',
+          role: member.role || 'associate'
+        }))
+      : [],
+    parties: caseItem.parties && Array.isArray(caseItem.parties)
+      ? caseItem.parties.map(party => ({
+          id: (party._id ? party._id.toString() : party.id) || '',
+          role: party.role,
+          name: party.name || '',
+          companyName: party.companyName || ''
+        }))
+      : [],
     documents: caseItem.documents && Array.isArray(caseItem.documents) 
       ? caseItem.documents.map(doc => ({
           id: (doc._id ? doc._id.toString() : doc.id) || '',
           fileName: doc.fileName || '',
           filePath: doc.filePath || '',
+          mimeType: doc.mimeType || 'application/octet-stream',
+          size: doc.size || 0,
           uploadDate: doc.createdAt || doc.uploadDate || new Date(),
           uploadedBy: doc.uploadedBy 
             ? (typeof doc.uploadedBy === 'object' && doc.uploadedBy._id 
                 ? doc.uploadedBy._id.toString() 
                 : doc.uploadedBy.toString())
             : '',
-          documentType: doc.documentType || ''
+          documentType: doc.documentType || '',
+          currentVersion: doc.currentVersion || 1
         }))
       : [],
     timeline: caseItem.timeline && Array.isArray(caseItem.timeline)
@@ -75,43 +134,135 @@ function formatCaseResponse(caseItem) {
   };
 }
 
+// Move a case to a new status along its workflow, recording the reason in the timeline.
+// Returns an error message when the workflow does not allow the change.
+function changeStatus(caseItem, caseType, toStatus, { reason, userId }) {
+  if (toStatus === caseItem.status) return `Case is already ${toStatus}`;
+
+  const workflow = getWorkflow(caseType);
+  const fieldLabels = Object.fromEntries(((caseType && caseType.fields) || []).map(field => [field.key, field.label]));
+  const error = checkTransition(workflow, caseItem.status, toStatus, {
+    reason,
+    customFields: caseItem.customFields,
+    fieldLabels
+  });
+  if (error) return error;
+
+  const fromStatus = caseItem.status;
+  caseItem.status = toStatus;
+  caseItem.isClosed = isClosedStatus(workflow, toStatus);
+  caseItem.timeline.push({
+    date: new Date(),
+    title: 'Status Changed',
+    description: `Case status changed from ${fromStatus} to ${toStatus}` + (reason ? `. Reason: ${reason}` : ''),
+    type: 'status_change',
+    createdBy: userId
+  });
+  return null;
+}
+
+// Parties as given in a create request
+const partiesFromBody = (parties, userId) => (parties || []).map(party => ({
+  role: party.role,
+  name: party.name,
+  companyName: party.companyName,
+  email: party.email,
+  phone: party.phone,
+  notes: party.notes,
+  addedBy: userId
+}));
+
+// Check a new case's client and parties against existing clients and other cases
+const checkNewCase = (caseItem, client, userId) => runConflictCheck(
+  [...clientEntries(client), ...partyEntries(caseItem.parties)],
+  {
+    subjectType: 'Case',
+    subjectId: caseItem._id,
+    userId,
+    excludeClientIds: [client._id],
+    excludeCaseId: caseItem._id
+  }
+);
+
+// Fill in the list parameters from a saved view (?view=<id>); parameters in the request win
+async function applySavedView(req, res, next) {
+  if (!req.query.view) return next();
+
+  try {
+    const view = mongoose.isValidObjectId(req.query.view)
+      ? await CaseView.findOne({ _id: req.query.view, userId: req.user._id })
+      : null;
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found'
+      });
+    }
+
+    const { view: viewId, ...params } = req.query;
+    req.query = { ...view.filters, ...(view.sort ? { sort: view.sort } : {}), ...params };
+    next();
+  } catch (error) {
+    console.error('Load case view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+}
+
 // @route   GET /api/cases
-// @desc    Get all cases
-// @access  Private
-router.get('/', async (req, res) => {
+// @desc    Get all cases, a page at a time
+// @access  Private (case:read)
+// @query   page, limit, sort (e.g. -filingDate,title), q (title, description or case number)
+//          status, priority, caseType (comma-separated), assignedLawyerId (id or "me"), clientId
+//          filingDateFrom/To, nextHearingFrom/To (ISO date, "today" or an offset such as +7d)
+//          cf.<field> (custom field value), view (saved view id, see /api/case-views)
+router.get('/', requirePermission('case:read'), applySavedView, listValidators(CASE_SORT_FIELDS), async (req, res) => {
   try {
-    const { clientId, assignedLawyerId, status, caseType } = req.query;
+    const validationErrors = validationResult(req).array();
+    const { filter: caseFilter, errors: filterErrors } = parseCaseFilters(req.query, req.user);
+    if (validationErrors.length > 0 || filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [...validationErrors, ...filterErrors]
+      });
+    }
+
+    const { clientId } = req.query;
+    const options = getListOptions(req);
     const filter = {};
 
-    // Client can only see their own cases
-    if (req.user.role === 'Client') {
-      const client = await Client.findOne({ email: req.user.email });
-      if (client) {
-        filter.clientId = client._id;
-      } else {
-        return res.json({ success: true, data: [] });
+    // Client can only see cases of the client records linked to their account
+    if (req.user.accessLevel === 'Client') {
+      const linkedClientIds = getLinkedClientIds(req.user);
+      if (clientId && !linkedClientIds.includes(clientId)) {
+        return res.json(emptyPage(options));
       }
-    } else if (req.user.role === 'Lawyer') {
-      // Lawyer can see cases assigned to them
-      filter.assignedLawyerId = req.user._id;
+      filter.clientId = clientId || { $in: linkedClientIds };
+    } else {
+      if (req.user.accessLevel === 'Lawyer') {
+        // Lawyer can see cases assigned to them or where they are on the team
+        Object.assign(filter, lawyerCaseFilter(req.user._id));
+      }
+      // Admin can see all cases
+      if (clientId) filter.clientId = clientId;
     }
-    // Admin can see all cases
 
-    if (clientId) filter.clientId = clientId;
-    if (assignedLawyerId && req.user.role === 'Admin') filter.assignedLawyerId = assignedLawyerId;
-    if (status) filter.status = status;
-    if (caseType) filter.caseType = caseType;
+    Object.assign(filter, caseFilter);
+    applyTextSearch(filter, options);
 
-    const cases = await Case.find(filter)
+    const { items: cases, pagination } = await findPage(Case, filter, options, q => q
       .populate('clientId', 'name email')
-      .populate('assignedLawyerId', 'firstName lastName email')
-      .sort({ createdAt: -1 });
+      .populate('assignedLawyerId', 'firstName lastName email'));
 
     const formattedCases = cases.map(caseItem => formatCaseResponse(caseItem));
 
     res.json({
       success: true,
-      data: formattedCases
+      data: formattedCases,
+      pagination
     });
   } catch (error) {
     console.error('Get cases error:', error);
@@ -122,10 +273,48 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/cases/trash
+// @desc    Get deleted cases that can still be restored
+// @access  Private (case:delete)
+router.get('/trash', requirePermission('case:delete'), async (req, res) => {
+  try {
+    const filter = { deletedAt: { $ne: null } };
+    if (req.user.accessLevel !== 'Admin') {
+      Object.assign(filter, lawyerCaseFilter(req.user._id));
+    }
+
+    const cases = await Case.find(filter)
+      .populate('clientId', 'name email')
+      .populate('assignedLawyerId', 'firstName lastName email')
+      .populate('deletedBy', 'firstName lastName')
+      .sort({ deletedAt: -1 });
+
+    const retentionMs = getRetentionDays() * 24 * 60 * 60 * 1000;
+    res.json({
+      success: true,
+      data: cases.map(caseItem => ({
+        ...formatCaseResponse(caseItem),
+        deletedAt: caseItem.deletedAt,
+        deletedBy: caseItem.deletedBy
+          ? `${caseItem.deletedBy.firstName} ${caseItem.deletedBy.lastName}`
+          : undefined,
+        deletedWithClient: !!caseItem.deletedWith,
+        purgeAfter: new Date(caseItem.deletedAt.getTime() + retentionMs)
+      }))
+    });
+  } catch (error) {
+    console.error('Get case trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/cases/:id
 // @desc    Get case by ID
-// @access  Private
-router.get('/:id', async (req, res) => {
+// @access  Private (case:read)
+router.get('/:id', requirePermission('case:read'), async (req, res) => {
   try {
     const caseItem = await Case.findById(req.params.id)
       .populate('clientId', 'name email')
@@ -139,21 +328,11 @@ router.get('/:id', async (req, res) => {
     }
 
     // Check access
-    if (req.user.role === 'Client') {
-      const client = await Client.findOne({ email: req.user.email });
-      if (!client || caseItem.clientId._id.toString() !== client._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
-      }
-    } else if (req.user.role === 'Lawyer') {
-      if (caseItem.assignedLawyerId._id.toString() !== req.user._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
-      }
+    if (!(await canAccessCase(req.user, caseItem))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
     }
 
     res.json({
@@ -170,18 +349,24 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/cases
-// @desc    Create new case
-// @access  Private (Admin, Lawyer)
-router.post('/', authorize('Admin', 'Lawyer'), [
+// @desc    Create new case and run a conflict check for its client and parties
+// @access  Private (case:write)
+// @body    Note: parties is an optional array of { role, name, companyName, email, phone, notes }
+//          (see POST /api/cases/:id/parties). The response includes conflictCheck.
+//          The case type's task templates are added as tasks on the new case.
+router.post('/', requirePermission('case:write'), [
   body('title').trim().notEmpty(),
   body('description').trim().notEmpty(),
   body('priority').isIn(['Low', 'Medium', 'High', 'Urgent']),
-  body('caseType').isIn(['Civil', 'Criminal', 'Corporate', 'Family', 'Property', 'Labor', 'Tax', 
-    'PersonalInjury', 'Immigration', 'Bankruptcy', 'ChequeDefault', 'Other']),
+  body('caseType').trim().custom(activeCaseType),
   body('clientId').notEmpty(),
   body('assignedLawyerId').notEmpty(),
   body('courtName').trim().notEmpty(),
-  body('filingDate').isISO8601()
+  body('filingDate').isISO8601(),
+  body('parties').optional().isArray(),
+  body('parties.*.role').isIn(PARTY_ROLES),
+  body('parties.*.name').trim().notEmpty(),
+  body('parties.*.email').optional({ values: 'falsy' }).isEmail()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -194,7 +379,7 @@ router.post('/', authorize('Admin', 'Lawyer'), [
     }
 
     const { title, description, priority, caseType, clientId, assignedLawyerId, 
-            courtName, filingDate, nextHearingDate, customFields } = req.body;
+            courtName, filingDate, nextHearingDate, customFields, parties } = req.body;
 
     // Verify client exists
     const client = await Client.findById(clientId);
@@ -207,7 +392,7 @@ router.post('/', authorize('Admin', 'Lawyer'), [
 
     // Verify lawyer exists
     const lawyer = await User.findById(assignedLawyerId);
-    if (!lawyer || (lawyer.role !== 'Lawyer' && lawyer.role !== 'Admin')) {
+    if (!lawyer || !(await hasLawyerAccess(lawyer.role))) {
       return res.status(400).json({
         success: false,
         message: 'Invalid assigned lawyer'
@@ -215,23 +400,22 @@ router.post('/', authorize('Admin', 'Lawyer'), [
     }
 
     // If not Admin, can only assign to self
-    if (req.user.role !== 'Admin' && assignedLawyerId !== req.user._id.toString()) {
+    if (req.user.accessLevel !== 'Admin' && assignedLawyerId !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'You can only assign cases to yourself'
       });
     }
 
-    // Convert customFields to plain object if it's a Map (Mongoose Map schema expects plain objects)
-    let customFieldsObj = {};
-    if (customFields) {
-      if (customFields instanceof Map) {
-        // Convert Map to plain object
-        customFieldsObj = Object.fromEntries(customFields);
-      } else if (typeof customFields === 'object' && customFields !== null) {
-        // Already a plain object, use as is
-        customFieldsObj = customFields;
-      }
+    // Check custom fields against the case type's field schema
+    const caseTypeConfig = await getCaseType(caseType);
+    const { values: customFieldsObj, errors: fieldErrors } = validateCustomFields(caseTypeConfig, customFields);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: fieldErrors
+      });
     }
 
     const caseItem = new Case({
@@ -245,6 +429,9 @@ router.post('/', authorize('Admin', 'Lawyer'), [
       filingDate,
       nextHearingDate,
       customFields: customFieldsObj, // Mongoose will convert plain object to Map internally
+      parties: partiesFromBody(parties, req.user._id),
+      status: getWorkflow(caseTypeConfig).initialStatus,
+      isClosed: isClosedStatus(getWorkflow(caseTypeConfig), getWorkflow(caseTypeConfig).initialStatus),
       createdBy: req.user._id
     });
 
@@ -258,12 +445,19 @@ router.post('/', authorize('Admin', 'Lawyer'), [
     });
 
     await caseItem.save();
+    await recordAudit(req, { action: 'create', entityType: 'Case', entityId: caseItem._id, after: caseItem });
+    const check = await checkNewCase(caseItem, client, req.user._id);
+    await syncFieldTriggers(caseItem, caseTypeConfig, req.user._id);
+    await createTemplateTasks(caseItem, caseTypeConfig, req.user._id);
     await caseItem.populate('clientId', 'name email');
     await caseItem.populate('assignedLawyerId', 'firstName lastName email');
 
     res.status(201).json({
       success: true,
-      data: formatCaseResponse(caseItem)
+      data: {
+        ...formatCaseResponse(caseItem),
+        conflictCheck: summarizeConflictCheck(check)
+      }
     });
   } catch (error) {
     console.error('Create case error:', error);
@@ -276,18 +470,21 @@ router.post('/', authorize('Admin', 'Lawyer'), [
 
 // @route   POST /api/cases/bulk
 // @desc    Create multiple cases in bulk
-// @access  Private (Admin, Lawyer)
-router.post('/bulk', authorize('Admin', 'Lawyer'), [
+// @access  Private (case:write)
+router.post('/bulk', requirePermission('case:write'), [
   body('cases').isArray({ min: 1 }).withMessage('Cases array is required and must not be empty'),
   body('cases.*.title').trim().notEmpty(),
   body('cases.*.description').trim().notEmpty(),
   body('cases.*.priority').isIn(['Low', 'Medium', 'High', 'Urgent']),
-  body('cases.*.caseType').isIn(['Civil', 'Criminal', 'Corporate', 'Family', 'Property', 'Labor', 'Tax', 
-    'PersonalInjury', 'Immigration', 'Bankruptcy', 'ChequeDefault', 'Other']),
+  body('cases.*.caseType').trim().notEmpty(),
   body('cases.*.clientId').notEmpty(),
   body('cases.*.assignedLawyerId').notEmpty(),
   body('cases.*.courtName').trim().notEmpty(),
-  body('cases.*.filingDate').isISO8601()
+  body('cases.*.filingDate').isISO8601(),
+  body('cases.*.parties').optional().isArray(),
+  body('cases.*.parties.*.role').isIn(PARTY_ROLES),
+  body('cases.*.parties.*.name').trim().notEmpty(),
+  body('cases.*.parties.*.email').optional({ values: 'falsy' }).isEmail()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -313,11 +510,12 @@ router.post('/bulk', authorize('Admin', 'Lawyer'), [
     const clients = await Client.find({ _id: { $in: uniqueClientIds } });
     const lawyers = await User.find({ 
       _id: { $in: uniqueLawyerIds },
-      role: { $in: ['Lawyer', 'Admin'] }
+      role: { $in: await getRoleNamesWithAccess('Lawyer', 'Admin') }
     });
 
     const clientMap = new Map(clients.map(c => [c._id.toString(), c]));
     const lawyerMap = new Map(lawyers.map(l => [l._id.toString(), l]));
+    const caseTypeMap = await loadCaseTypes();
 
     // Process each case
     for (let i = 0; i < cases.length; i++) {
@@ -347,7 +545,7 @@ router.post('/bulk', authorize('Admin', 'Lawyer'), [
         }
 
         // If not Admin, can only assign to self
-        if (req.user.role !== 'Admin' && caseData.assignedLawyerId !== req.user._id.toString()) {
+        if (req.user.accessLevel !== 'Admin' && caseData.assignedLawyerId !== req.user._id.toString()) {
           results.failed.push({
             index: i,
             title: caseData.title || 'Unknown',
@@ -356,14 +554,25 @@ router.post('/bulk', authorize('Admin', 'Lawyer'), [
           continue;
         }
 
-        // Convert customFields to plain object if needed
-        let customFieldsObj = {};
-        if (caseData.customFields) {
-          if (caseData.customFields instanceof Map) {
-            customFieldsObj = Object.fromEntries(caseData.customFields);
-          } else if (typeof caseData.customFields === 'object' && caseData.customFields !== null) {
-            customFieldsObj = caseData.customFields;
-          }
+        // Verify the case type can be used and check custom fields against its schema
+        const caseType = caseTypeMap.get(caseData.caseType);
+        if (!caseType || !caseType.isActive) {
+          results.failed.push({
+            index: i,
+            title: caseData.title || 'Unknown',
+            error: caseType ? 'Case type has been retired' : 'Case type not found'
+          });
+          continue;
+        }
+
+        const { values: customFieldsObj, errors: fieldErrors } = validateCustomFields(caseType, caseData.customFields);
+        if (fieldErrors.length > 0) {
+          results.failed.push({
+            index: i,
+            title: caseData.title || 'Unknown',
+            error: fieldErrors.map(error => error.msg).join('; ')
+          });
+          continue;
         }
 
         const caseItem = new Case({
@@ -377,6 +586,9 @@ router.post('/bulk', authorize('Admin', 'Lawyer'), [
           filingDate: caseData.filingDate,
           nextHearingDate: caseData.nextHearingDate || undefined,
           customFields: customFieldsObj,
+          parties: partiesFromBody(caseData.parties, req.user._id),
+          status: getWorkflow(caseType).initialStatus,
+          isClosed: isClosedStatus(getWorkflow(caseType), getWorkflow(caseType).initialStatus),
           createdBy: req.user._id
         });
 
@@ -390,6 +602,10 @@ router.post('/bulk', authorize('Admin', 'Lawyer'), [
         });
 
         await caseItem.save();
+        await recordAudit(req, { action: 'create', entityType: 'Case', entityId: caseItem._id, after: caseItem, note: 'Bulk import' });
+        const check = await checkNewCase(caseItem, client, req.user._id);
+        await syncFieldTriggers(caseItem, caseType, req.user._id);
+        await createTemplateTasks(caseItem, caseType, req.user._id);
         await caseItem.populate('clientId', 'name email');
         await caseItem.populate('assignedLawyerId', 'firstName lastName email');
 
@@ -398,7 +614,8 @@ router.post('/bulk', authorize('Admin', 'Lawyer'), [
           index: i,
           id: formattedCase.id,
           caseNumber: formattedCase.caseNumber,
-          title: formattedCase.title
+          title: formattedCase.title,
+          conflictCheck: { id: check._id.toString(), status: check.status }
         });
       } catch (error) {
         console.error(`Error creating case ${i}:`, error);
@@ -436,13 +653,23 @@ router.post('/bulk', authorize('Admin', 'Lawyer'), [
   }
 });
 
+// Fields PUT /api/cases/:id changes. The team, parties, documents, timeline, eCourt link
+// and trash state have their own endpoints, and the status follows the workflow.
+const EDITABLE_CASE_FIELDS = [
+  'caseNumber', 'title', 'description', 'priority', 'caseType', 'clientId', 'assignedLawyerId',
+  'courtName', 'filingDate', 'nextHearingDate', 'customFields'
+];
+
 // @route   PUT /api/cases/:id
 // @desc    Update case
-// @access  Private (Admin, Lawyer - assigned lawyer only)
-router.put('/:id', authorize('Admin', 'Lawyer'), [
+// @access  Private (case:write, case team only)
+//          Note: only Admin or lead counsel can reassign the case or move it to another
+//          client; moving it runs a conflict check for the new client (see conflictCheck)
+router.put('/:id', requirePermission('case:write'), [
   body('title').optional().trim().notEmpty(),
   body('description').optional().trim().notEmpty(),
-  body('status').optional().isIn(['Open', 'InProgress', 'Closed', 'OnHold']),
+  body('status').optional().trim().notEmpty(),
+  body('statusReason').optional().trim(),
   body('priority').optional().isIn(['Low', 'Medium', 'High', 'Urgent'])
 ], async (req, res) => {
   try {
@@ -464,39 +691,135 @@ router.put('/:id', authorize('Admin', 'Lawyer'), [
     }
 
     // Check access
-    if (req.user.role !== 'Admin' && caseItem.assignedLawyerId.toString() !== req.user._id.toString()) {
+    if (!canManageCase(req.user, caseItem)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    // Add timeline event if status changed
-    if (req.body.status && req.body.status !== caseItem.status) {
-      caseItem.timeline.push({
-        date: new Date(),
-        title: 'Status Changed',
-        description: `Case status changed from ${caseItem.status} to ${req.body.status}`,
-        type: 'status_change',
-        createdBy: req.user._id
-      });
+    const before = snapshot(caseItem);
+
+    // Reassigning the case is limited to Admin and lead counsel
+    if (req.body.assignedLawyerId && req.body.assignedLawyerId.toString() !== caseItem.assignedLawyerId.toString()) {
+      if (!canManageTeam(req.user, caseItem)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only Admin or lead counsel can reassign the case'
+        });
+      }
+
+      const lawyer = await User.findById(req.body.assignedLawyerId);
+      if (!lawyer || !(await hasLawyerAccess(lawyer.role))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid assigned lawyer'
+        });
+      }
     }
 
-    // Handle customFields conversion if present
-    if (req.body.customFields) {
-      if (req.body.customFields instanceof Map) {
-        req.body.customFields = Object.fromEntries(req.body.customFields);
+    // So is moving it to another client, whose portal users then see the case
+    let newClient = null;
+    if (req.body.clientId && req.body.clientId.toString() !== refId(caseItem.clientId)) {
+      if (!canManageTeam(req.user, caseItem)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only Admin or lead counsel can move the case to another client'
+        });
+      }
+
+      newClient = mongoose.isValidObjectId(req.body.clientId) ? await Client.findById(req.body.clientId) : null;
+      if (!newClient) {
+        return res.status(400).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      if (!canAccessClient(req.user, newClient)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied to the client'
+        });
+      }
+    }
+
+    // A new case type must be in use; custom fields are checked against the type the case ends up with
+    const caseTypeName = req.body.caseType !== undefined ? req.body.caseType : caseItem.caseType;
+    const caseType = await getCaseType(caseTypeName);
+    if (req.body.caseType !== undefined || req.body.customFields !== undefined) {
+      if (!caseType || (caseTypeName !== caseItem.caseType && !caseType.isActive)) {
+        return res.status(400).json({
+          success: false,
+          message: caseType ? 'Case type has been retired' : 'Case type not found'
+        });
+      }
+
+      const { values, errors: fieldErrors } = validateCustomFields(
+        caseType,
+        req.body.customFields !== undefined ? req.body.customFields : caseItem.customFields
+      );
+      if (fieldErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: fieldErrors
+        });
       }
+      req.body.customFields = values;
+    }
+
+    const updates = Object.fromEntries(EDITABLE_CASE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+    const previousLawyerId = refId(caseItem.assignedLawyerId);
+    Object.assign(caseItem, updates);
+
+    // The new lawyer becomes lead counsel when the case is saved; the previous one stays on as an associate
+    if (previousLawyerId && refId(caseItem.assignedLawyerId) !== previousLawyerId) {
+      const previousLead = getTeamMember(caseItem, previousLawyerId);
+      if (previousLead && previousLead.role === 'lead') previousLead.role = 'associate';
+    }
+
+    // Status changes follow the case type's workflow
+    const { status, statusReason } = req.body;
+    if (status && status !== caseItem.status) {
+      const statusError = changeStatus(caseItem, caseType, status, { reason: statusReason, userId: req.user._id });
+      if (statusError) {
+        return res.status(400).json({
+          success: false,
+          message: statusError
+        });
+      }
+    }
+
+    // A new case type brings its own workflow: the status must be one of its statuses
+    // (send status along with caseType to move the case into it) and decides isClosed
+    if (caseItem.caseType !== before.caseType) {
+      const workflow = getWorkflow(caseType);
+      if (!workflow.statuses.some(workflowStatus => workflowStatus.key === caseItem.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status ${caseItem.status} is not in the ${caseType.name} workflow; send one of ` +
+            `${workflow.statuses.map(workflowStatus => workflowStatus.key).join(', ')} as status`
+        });
+      }
+      caseItem.isClosed = isClosedStatus(workflow, caseItem.status);
     }
 
-    Object.assign(caseItem, req.body);
     await caseItem.save();
+    await recordAudit(req, { action: 'update', entityType: 'Case', entityId: caseItem._id, before, after: caseItem });
+    const check = newClient ? await checkNewCase(caseItem, newClient, req.user._id) : null;
+    await syncFieldTriggers(caseItem, caseType, req.user._id);
     await caseItem.populate('clientId', 'name email');
     await caseItem.populate('assignedLawyerId', 'firstName lastName email');
 
     res.json({
       success: true,
-      data: formatCaseResponse(caseItem)
+      data: {
+        ...formatCaseResponse(caseItem),
+        ...(check && { conflictCheck: summarizeConflictCheck(check) })
+      }
     });
   } catch (error) {
     console.error('Update case error:', error);
@@ -507,11 +830,63 @@ router.put('/:id', authorize('Admin', 'Lawyer'), [
   }
 });
 
+// @route   GET /api/cases/:id/transitions
+// @desc    Get the case's workflow and the statuses it can move to next
+// @access  Private (case:read)
+router.get('/:id/transitions', requirePermission('case:read'), async (req, res) => {
+  try {
+    const caseItem = await Case.findById(req.params.id).select('status caseType assignedLawyerId team clientId');
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!(await canAccessCase(req.user, caseItem))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const workflow = getWorkflow(await getCaseType(caseItem.caseType));
+
+    res.json({
+      success: true,
+      data: {
+        status: caseItem.status,
+        statuses: workflow.statuses,
+        transitions: getAvailableTransitions(workflow, caseItem.status).map(transition => ({
+          to: transition.to,
+          requiresReason: !!transition.requiresReason,
+          requiredFields: transition.requiredFields || []
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get case transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   PATCH /api/cases/:id/status
-// @desc    Update case status
-// @access  Private (Admin, Lawyer)
-router.patch('/:id/status', authorize('Admin', 'Lawyer'), [
-  body('status').isIn(['Open', 'InProgress', 'Closed', 'OnHold'])
+// @desc    Move a case to another status allowed by its case type's workflow
+// @access  Private (case:write)
+// @body    Sample JSON:
+//          {
+//            "status": "Judgment",
+//            "reason": "Judgment pronounced in open court",
+//            "customFields": { "judgmentDate": "2024-06-14" }
+//          }
+//          Note: customFields are merged into the case's values, e.g. to fill in fields the transition requires
+router.patch('/:id/status', requirePermission('case:write'), [
+  body('status').trim().notEmpty(),
+  body('reason').optional().trim(),
+  body('customFields').optional().isObject()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -532,26 +907,40 @@ router.patch('/:id/status', authorize('Admin', 'Lawyer'), [
     }
 
     // Check access
-    if (req.user.role !== 'Admin' && caseItem.assignedLawyerId.toString() !== req.user._id.toString()) {
+    if (!canManageCase(req.user, caseItem)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    const oldStatus = caseItem.status;
-    caseItem.status = req.body.status;
+    const before = snapshot(caseItem);
+    const caseType = await getCaseType(caseItem.caseType);
 
-    // Add timeline event
-    caseItem.timeline.push({
-      date: new Date(),
-      title: 'Status Changed',
-      description: `Case status changed from ${oldStatus} to ${req.body.status}`,
-      type: 'status_change',
-      createdBy: req.user._id
-    });
+    if (req.body.customFields) {
+      const current = caseItem.customFields instanceof Map ? Object.fromEntries(caseItem.customFields) : {};
+      const { values, errors: fieldErrors } = validateCustomFields(caseType, { ...current, ...req.body.customFields });
+      if (fieldErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: fieldErrors
+        });
+      }
+      caseItem.customFields = values;
+    }
+
+    const statusError = changeStatus(caseItem, caseType, req.body.status, { reason: req.body.reason, userId: req.user._id });
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        message: statusError
+      });
+    }
 
     await caseItem.save();
+    await recordAudit(req, { action: 'status_change', entityType: 'Case', entityId: caseItem._id, before, after: caseItem });
+    await syncFieldTriggers(caseItem, caseType, req.user._id);
     await caseItem.populate('clientId', 'name email');
     await caseItem.populate('assignedLawyerId', 'firstName lastName email');
 
@@ -569,11 +958,11 @@ router.patch('/:id/status', authorize('Admin', 'Lawyer'), [
 });
 
 // @route   DELETE /api/cases/:id
-// @desc    Delete case
-// @access  Private (Admin only)
-router.delete('/:id', authorize('Admin'), async (req, res) => {
+// @desc    Move a case to the trash (blocked while invoices or notices depend on it)
+// @access  Private (case:delete)
+router.delete('/:id', requirePermission('case:delete'), async (req, res) => {
   try {
-    const caseItem = await Case.findByIdAndDelete(req.params.id);
+    const caseItem = await Case.findById(req.params.id);
     if (!caseItem) {
       return res.status(404).json({
         success: false,
@@ -581,9 +970,28 @@ router.delete('/:id', authorize('Admin'), async (req, res) => {
       });
     }
 
+    if (!canManageCase(req.user, caseItem)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const blockers = await findCaseBlockers(caseItem);
+    if (blockers) {
+      return res.status(400).json({
+        success: false,
+        message: 'Case has unpaid invoices or pending notices. Settle or cancel them before deleting the case.',
+        blockers
+      });
+    }
+
+    await caseItem.softDelete(req.user._id);
+    await recordAudit(req, { action: 'delete', entityType: 'Case', entityId: caseItem._id, after: { deletedAt: caseItem.deletedAt } });
+
     res.json({
       success: true,
-      message: 'Case deleted successfully'
+      message: `Case moved to trash. It will be permanently deleted after ${getRetentionDays()} days.`
     });
   } catch (error) {
     console.error('Delete case error:', error);
@@ -594,5 +1002,80 @@ router.delete('/:id', authorize('Admin'), async (req, res) => {
   }
 });
 
+// @route   POST /api/cases/:id/restore
+// @desc    Restore a case from the trash
+// @access  Private (case:delete)
+router.post('/:id/restore', requirePermission('case:delete'), async (req, res) => {
+  try {
+    const caseItem = await Case.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found in trash'
+      });
+    }
+
+    if (!canManageCase(req.user, caseItem)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const client = await Client.findById(caseItem.clientId);
+    if (!client) {
+      return res.status(400).json({
+        success: false,
+        message: 'The client of this case is in the trash. Restore the client first.'
+      });
+    }
+
+    await caseItem.restore();
+    await recordAudit(req, { action: 'restore', entityType: 'Case', entityId: caseItem._id });
+    await caseItem.populate('clientId', 'name email');
+    await caseItem.populate('assignedLawyerId', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      message: 'Case restored successfully',
+      data: formatCaseResponse(caseItem)
+    });
+  } catch (error) {
+    console.error('Restore case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/cases/:id/purge
+// @desc    Permanently delete a case from the trash, with its hearings and files
+// @access  Private (trash:purge)
+router.delete('/:id/purge', requirePermission('trash:purge'), async (req, res) => {
+  try {
+    const caseItem = await Case.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found in trash'
+      });
+    }
+
+    await purgeCase(caseItem, req);
+
+    res.json({
+      success: true,
+      message: 'Case permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -2,7 +2,13 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Client = require('../models/Client.model');
 const User = require('../models/User.model');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const Case = require('../models/Case.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { hasLawyerAccess } = require('../utils/roles');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { listValidators, getListOptions, applyTextSearch, findPage } = require('../utils/listQuery');
+const { findClientBlockers, purgeClient, getRetentionDays } = require('../services/trash');
+const { clientEntries, runConflictCheck, summarizeConflictCheck } = require('../services/conflicts');
 
 const router = express.Router();
 
@@ -33,15 +39,28 @@ function formatClientResponse(client) {
 }
 
 // @route   GET /api/clients
-// @desc    Get all clients
-// @access  Private (Admin, Lawyer)
-router.get('/', authorize('Admin', 'Lawyer'), async (req, res) => {
+// @desc    Get all clients, a page at a time
+// @access  Private (client:read)
+// @query   page, limit, sort (e.g. name), q (name or company)
+router.get('/', requirePermission('client:read'), listValidators([
+  'createdAt', 'updatedAt', 'name', 'companyName', 'email'
+]), async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { assignedLawyerId } = req.query;
+    const options = getListOptions(req);
     const filter = {};
     
     // If not Admin, show clients assigned to the lawyer or clients with no assigned lawyer
-    if (req.user.role !== 'Admin' && !assignedLawyerId) {
+    if (req.user.accessLevel !== 'Admin' && !assignedLawyerId) {
       filter.$or = [
         { assignedLawyerId: req.user._id },
         { assignedLawyerId: null }
@@ -49,17 +68,18 @@ router.get('/', authorize('Admin', 'Lawyer'), async (req, res) => {
     } else if (assignedLawyerId) {
       filter.assignedLawyerId = assignedLawyerId;
     }
+    applyTextSearch(filter, options);
+
+    const { items: clients, pagination } = await findPage(Client, filter, options, q => q
+      .populate('assignedLawyerId', 'firstName lastName email'));
 
-    const clients = await Client.find(filter)
-      .populate('assignedLawyerId', 'firstName lastName email')
-      .sort({ createdAt: -1 });
-    
     // Format response to match frontend model
     const formattedClients = clients.map(client => formatClientResponse(client));
 
     res.json({
       success: true,
-      data: formattedClients
+      data: formattedClients,
+      pagination
     });
   } catch (error) {
     console.error('Get clients error:', error);
@@ -70,10 +90,41 @@ router.get('/', authorize('Admin', 'Lawyer'), async (req, res) => {
   }
 });
 
+// @route   GET /api/clients/trash
+// @desc    Get deleted clients that can still be restored
+// @access  Private (client:delete)
+router.get('/trash', requirePermission('client:delete'), async (req, res) => {
+  try {
+    const clients = await Client.find({ deletedAt: { $ne: null } })
+      .populate('assignedLawyerId', 'firstName lastName email')
+      .populate('deletedBy', 'firstName lastName')
+      .sort({ deletedAt: -1 });
+
+    const retentionMs = getRetentionDays() * 24 * 60 * 60 * 1000;
+    res.json({
+      success: true,
+      data: clients.map(client => ({
+        ...formatClientResponse(client),
+        deletedAt: client.deletedAt,
+        deletedBy: client.deletedBy
+          ? `${client.deletedBy.firstName} ${client.deletedBy.lastName}`
+          : undefined,
+        purgeAfter: new Date(client.deletedAt.getTime() + retentionMs)
+      }))
+    });
+  } catch (error) {
+    console.error('Get client trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/clients/:id
 // @desc    Get client by ID
-// @access  Private (Admin, Lawyer)
-router.get('/:id', authorize('Admin', 'Lawyer'), async (req, res) => {
+// @access  Private (client:read)
+router.get('/:id', requirePermission('client:read'), async (req, res) => {
   try {
     const client = await Client.findById(req.params.id)
       .populate('assignedLawyerId', 'firstName lastName email');
@@ -86,7 +137,7 @@ router.get('/:id', authorize('Admin', 'Lawyer'), async (req, res) => {
     }
 
     // Check if user has access (Admin or assigned lawyer, or client has no assigned lawyer)
-    if (req.user.role !== 'Admin' && client.assignedLawyerId && client.assignedLawyerId._id.toString() !== req.user._id.toString()) {
+    if (req.user.accessLevel !== 'Admin' && client.assignedLawyerId && client.assignedLawyerId._id.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -107,9 +158,10 @@ router.get('/:id', authorize('Admin', 'Lawyer'), async (req, res) => {
 });
 
 // @route   POST /api/clients
-// @desc    Create new client
-// @access  Private (Admin, Lawyer)
-router.post('/', authorize('Admin', 'Lawyer'), [
+// @desc    Create new client and check it against parties on existing cases
+// @access  Private (client:write)
+// @body    Note: the response includes conflictCheck; a pending check waits for an Admin to clear or waive it
+router.post('/', requirePermission('client:write'), [
   body('name').trim().notEmpty(),
   body('email').isEmail().normalizeEmail(),
   body('phone').trim().notEmpty(),
@@ -131,7 +183,7 @@ router.post('/', authorize('Admin', 'Lawyer'), [
     const lawyerId = assignedLawyerId && assignedLawyerId.trim() !== '' ? assignedLawyerId : null;
     if (lawyerId) {
       const lawyer = await User.findById(lawyerId);
-      if (!lawyer || (lawyer.role !== 'Lawyer' && lawyer.role !== 'Admin')) {
+      if (!lawyer || !(await hasLawyerAccess(lawyer.role))) {
         return res.status(400).json({
           success: false,
           message: 'Invalid assigned lawyer' + lawyerId
@@ -139,7 +191,7 @@ router.post('/', authorize('Admin', 'Lawyer'), [
       }
 
       // If not Admin, can only assign to self
-      if (req.user.role !== 'Admin' && lawyerId !== req.user._id.toString()) {
+      if (req.user.accessLevel !== 'Admin' && lawyerId !== req.user._id.toString()) {
         return res.status(403).json({
           success: false,
           message: 'You can only assign clients to yourself'
@@ -158,6 +210,13 @@ router.post('/', authorize('Admin', 'Lawyer'), [
     });
 
     await client.save();
+    await recordAudit(req, { action: 'create', entityType: 'Client', entityId: client._id, after: client });
+    const check = await runConflictCheck(clientEntries(client), {
+      subjectType: 'Client',
+      subjectId: client._id,
+      userId: req.user._id,
+      excludeClientIds: [client._id]
+    });
     if (client.assignedLawyerId) {
       await client.populate('assignedLawyerId', 'firstName lastName email');
     }
@@ -174,7 +233,8 @@ router.post('/', authorize('Admin', 'Lawyer'), [
         createdDate: client.createdAt,
         assignedLawyerId: client.assignedLawyerId ? client.assignedLawyerId._id : null,
         assignedLawyerName: client.assignedLawyerId ? 
-          `${client.assignedLawyerId.firstName} ${client.assignedLawyerId.lastName}` : undefined
+          `${client.assignedLawyerId.firstName} ${client.assignedLawyerId.lastName}` : undefined,
+        conflictCheck: summarizeConflictCheck(check)
       }
     });
   } catch (error) {
@@ -194,8 +254,8 @@ router.post('/', authorize('Admin', 'Lawyer'), [
 
 // @route   PUT /api/clients/:id
 // @desc    Update client
-// @access  Private (Admin, Lawyer - assigned lawyer only)
-router.put('/:id', authorize('Admin', 'Lawyer'), [
+// @access  Private (client:write, assigned lawyer only)
+router.put('/:id', requirePermission('client:write'), [
   body('name').optional().trim().notEmpty(),
   body('email').optional().isEmail().normalizeEmail(),
   body('phone').optional().trim().notEmpty(),
@@ -220,7 +280,7 @@ router.put('/:id', authorize('Admin', 'Lawyer'), [
     }
 
     // Check access (Admin or assigned lawyer, or client has no assigned lawyer)
-    if (req.user.role !== 'Admin' && client.assignedLawyerId && client.assignedLawyerId.toString() !== req.user._id.toString()) {
+    if (req.user.accessLevel !== 'Admin' && client.assignedLawyerId && client.assignedLawyerId.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -230,25 +290,27 @@ router.put('/:id', authorize('Admin', 'Lawyer'), [
     // Update assigned lawyer if provided
     if (req.body.assignedLawyerId) {
       const lawyer = await User.findById(req.body.assignedLawyerId);
-      if (!lawyer || (lawyer.role !== 'Lawyer' && lawyer.role !== 'Admin')) {
+      if (!lawyer || !(await hasLawyerAccess(lawyer.role))) {
         return res.status(400).json({
           success: false,
           message: 'Invalid assigned lawyer'
         });
       }
       // Only Admin can reassign
-      if (req.user.role !== 'Admin') {
+      if (req.user.accessLevel !== 'Admin') {
         delete req.body.assignedLawyerId;
       }
     } else if (req.body.assignedLawyerId === null || req.body.assignedLawyerId === '') {
       // Allow setting to null/empty (only Admin)
-      if (req.user.role !== 'Admin') {
+      if (req.user.accessLevel !== 'Admin') {
         delete req.body.assignedLawyerId;
       }
     }
 
+    const before = snapshot(client);
     Object.assign(client, req.body);
     await client.save();
+    await recordAudit(req, { action: 'update', entityType: 'Client', entityId: client._id, before, after: client });
     if (client.assignedLawyerId) {
       await client.populate('assignedLawyerId', 'firstName lastName email');
     }
@@ -267,11 +329,13 @@ router.put('/:id', authorize('Admin', 'Lawyer'), [
 });
 
 // @route   DELETE /api/clients/:id
-// @desc    Delete client
-// @access  Private (Admin only)
-router.delete('/:id', authorize('Admin'), async (req, res) => {
+// @desc    Move a client to the trash
+// @access  Private (client:delete)
+// @query   cascade=true - also move the client's cases to the trash when some are still open
+//          Unpaid invoices and pending notices always block the deletion
+router.delete('/:id', requirePermission('client:delete'), async (req, res) => {
   try {
-    const client = await Client.findByIdAndDelete(req.params.id);
+    const client = await Client.findById(req.params.id);
     if (!client) {
       return res.status(404).json({
         success: false,
@@ -279,9 +343,43 @@ router.delete('/:id', authorize('Admin'), async (req, res) => {
       });
     }
 
+    const cascade = req.query.cascade === 'true';
+    const blockers = await findClientBlockers(client);
+    if (blockers && (blockers.unpaidInvoices || blockers.pendingNotices)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client has unpaid invoices or pending notices. Settle or cancel them before deleting the client.',
+        blockers
+      });
+    }
+    if (blockers && blockers.openCases && !cascade) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client still has open cases. Close them first, or pass cascade=true to move them to the trash with the client.',
+        blockers
+      });
+    }
+
+    // The client's cases go to the trash with it and come back when it is restored
+    const cases = await Case.find({ clientId: client._id });
+    for (const caseItem of cases) {
+      await caseItem.softDelete(req.user._id, `Client:${client._id}`);
+      await recordAudit(req, {
+        action: 'delete',
+        entityType: 'Case',
+        entityId: caseItem._id,
+        after: { deletedAt: caseItem.deletedAt },
+        note: 'Deleted with its client'
+      });
+    }
+
+    await client.softDelete(req.user._id);
+    await recordAudit(req, { action: 'delete', entityType: 'Client', entityId: client._id, after: { deletedAt: client.deletedAt } });
+
     res.json({
       success: true,
-      message: 'Client deleted successfully'
+      message: `Client moved to trash. It will be permanently deleted after ${getRetentionDays()} days.`,
+      casesDeleted: cases.length
     });
   } catch (error) {
     console.error('Delete client error:', error);
@@ -292,5 +390,80 @@ router.delete('/:id', authorize('Admin'), async (req, res) => {
   }
 });
 
+// @route   POST /api/clients/:id/restore
+// @desc    Restore a client from the trash, with the cases deleted along with it
+// @access  Private (client:delete)
+router.post('/:id/restore', requirePermission('client:delete'), async (req, res) => {
+  try {
+    const client = await Client.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found in trash'
+      });
+    }
+
+    await client.restore();
+    await recordAudit(req, { action: 'restore', entityType: 'Client', entityId: client._id });
+
+    const cases = await Case.find({ clientId: client._id, deletedWith: `Client:${client._id}`, deletedAt: { $ne: null } });
+    for (const caseItem of cases) {
+      await caseItem.restore();
+      await recordAudit(req, { action: 'restore', entityType: 'Case', entityId: caseItem._id, note: 'Restored with its client' });
+    }
+
+    await client.populate('assignedLawyerId', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      message: 'Client restored successfully',
+      casesRestored: cases.length,
+      data: formatClientResponse(client)
+    });
+  } catch (error) {
+    console.error('Restore client error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/clients/:id/purge
+// @desc    Permanently delete a client from the trash, with its trashed cases
+// @access  Private (trash:purge)
+router.delete('/:id/purge', requirePermission('trash:purge'), async (req, res) => {
+  try {
+    const client = await Client.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found in trash'
+      });
+    }
+
+    const activeCases = await Case.countDocuments({ clientId: client._id });
+    if (activeCases > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client has cases outside the trash and cannot be purged'
+      });
+    }
+
+    await purgeClient(client, req);
+
+    res.json({
+      success: true,
+      message: 'Client permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge client error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,243 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ConflictCheck = require('../models/ConflictCheck.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { refId } = require('../utils/caseAccess');
+const { listValidators, getListOptions, findPage } = require('../utils/listQuery');
+const { PARTY_ROLES, clientEntries, partyEntries, runConflictCheck } = require('../services/conflicts');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Helper function to format conflict check response consistently
+function formatConflictCheckResponse(check) {
+  if (!check) return null;
+
+  const userName = (user) => (user && user.firstName ? `${user.firstName} ${user.lastName}` : undefined);
+  return {
+    id: check._id.toString(),
+    subjectType: check.subjectType || null,
+    subjectId: check.subjectId ? check.subjectId.toString() : null,
+    status: check.status,
+    checked: check.checked,
+    matches: check.matches,
+    resolutionReason: check.resolutionReason || undefined,
+    resolvedBy: refId(check.resolvedBy) || undefined,
+    resolvedByName: userName(check.resolvedBy),
+    resolvedAt: check.resolvedAt || undefined,
+    runBy: refId(check.runBy) || undefined,
+    runByName: userName(check.runBy),
+    createdAt: check.createdAt
+  };
+}
+
+// Lawyers see the checks they ran; Admins see every check
+function scopeFilter(user) {
+  return user.accessLevel === 'Admin' ? {} : { runBy: user._id };
+}
+
+// @route   POST /api/conflicts/check
+// @desc    Run a conflict check for a prospective client and/or parties
+// @access  Private (conflict:check)
+// @body    Sample JSON:
+//          {
+//            "client": { "name": "Priya Nair", "email": "priya@nair.in", "phone": "9876543210" },
+//            "parties": [
+//              { "role": "opposing_party", "name": "Mehta Builders Pvt Ltd" }
+//            ]
+//          }
+//          Note: the check is kept; one with matches is pending until an Admin clears or waives it
+router.post('/check', requirePermission('conflict:check'), [
+  body('client').optional().isObject(),
+  body('client.name').if(body('client').exists()).trim().notEmpty(),
+  body('parties').optional().isArray(),
+  body('parties.*.role').isIn(PARTY_ROLES),
+  body('parties.*.name').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { client, parties } = req.body;
+    const entries = [
+      ...(client ? clientEntries(client) : []),
+      ...partyEntries(parties)
+    ];
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a client or at least one party to check'
+      });
+    }
+
+    const check = await runConflictCheck(entries, { userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      data: formatConflictCheckResponse(check)
+    });
+  } catch (error) {
+    console.error('Run conflict check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/conflicts
+// @desc    Get conflict checks, newest first
+// @access  Private (conflict:check; Lawyers see the checks they ran)
+// @query   status (clear, pending, cleared, waived), subjectType (Client, Case), subjectId, page, limit, sort
+router.get('/', requirePermission('conflict:check'), [
+  query('status').optional().isIn(['clear', 'pending', 'cleared', 'waived']),
+  query('subjectType').optional().isIn(['Client', 'Case']),
+  query('subjectId').optional().isMongoId(),
+  ...listValidators(['createdAt', 'status', 'resolvedAt'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, subjectType, subjectId } = req.query;
+    const options = getListOptions(req);
+    const filter = scopeFilter(req.user);
+
+    if (status) filter.status = status;
+    if (subjectType) filter.subjectType = subjectType;
+    if (subjectId) filter.subjectId = subjectId;
+
+    const { items: checks, pagination } = await findPage(ConflictCheck, filter, options, q => q
+      .populate('runBy', 'firstName lastName')
+      .populate('resolvedBy', 'firstName lastName'));
+
+    res.json({
+      success: true,
+      data: checks.map(formatConflictCheckResponse),
+      pagination
+    });
+  } catch (error) {
+    console.error('Get conflict checks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/conflicts/:id
+// @desc    Get a conflict check with its matches
+// @access  Private (conflict:check; Lawyers see the checks they ran)
+router.get('/:id', requirePermission('conflict:check'), async (req, res) => {
+  try {
+    const check = await ConflictCheck.findOne({ ...scopeFilter(req.user), _id: req.params.id })
+      .populate('runBy', 'firstName lastName')
+      .populate('resolvedBy', 'firstName lastName');
+
+    if (!check) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conflict check not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatConflictCheckResponse(check)
+    });
+  } catch (error) {
+    console.error('Get conflict check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/conflicts/:id/resolve
+// @desc    Clear (not a conflict) or waive (conflict accepted) a pending check
+// @access  Private (conflict:resolve)
+// @body    Sample JSON:
+//          {
+//            "resolution": "waived",
+//            "reason": "Both clients gave written consent on 12 March"
+//          }
+router.post('/:id/resolve', requirePermission('conflict:resolve'), [
+  body('resolution').isIn(['cleared', 'waived']),
+  body('reason').trim().notEmpty().withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const check = await ConflictCheck.findById(req.params.id);
+    if (!check) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conflict check not found'
+      });
+    }
+
+    if (check.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Only pending checks can be resolved; this check is ${check.status}`
+      });
+    }
+
+    const before = snapshot(check);
+    check.status = req.body.resolution;
+    check.resolutionReason = req.body.reason;
+    check.resolvedBy = req.user._id;
+    check.resolvedAt = new Date();
+    await check.save();
+    await recordAudit(req, {
+      action: `conflict_${req.body.resolution}`,
+      entityType: 'ConflictCheck',
+      entityId: check._id,
+      parentType: check.subjectType,
+      parentId: check.subjectId,
+      before,
+      after: check,
+      note: req.body.reason
+    });
+
+    await check.populate('runBy', 'firstName lastName');
+    await check.populate('resolvedBy', 'firstName lastName');
+
+    res.json({
+      success: true,
+      message: `Conflict check ${req.body.resolution}`,
+      data: formatConflictCheckResponse(check)
+    });
+  } catch (error) {
+    console.error('Resolve conflict check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
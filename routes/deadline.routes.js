@@ -0,0 +1,345 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Case = require('../models/Case.model');
+const Deadline = require('../models/Deadline.model');
+const CourtHoliday = require('../models/CourtHoliday.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { lawyerCaseFilter, refId } = require('../utils/caseAccess');
+const { getCaseType } = require('../utils/caseTypes');
+const { getSetting, updateSetting } = require('../utils/settings');
+const { recordAudit } = require('../utils/audit');
+const { toDay, getTriggers, calculateDeadlines } = require('../services/deadlines');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// All routes require authentication
+router.use(authenticate);
+
+// Helper function to format an upcoming deadline with its case
+function formatUpcomingDeadline(deadline, today) {
+  const caseItem = deadline.caseId && typeof deadline.caseId === 'object' ? deadline.caseId : null;
+
+  return {
+    id: deadline._id.toString(),
+    caseId: caseItem ? caseItem._id.toString() : refId(deadline.caseId),
+    caseNumber: caseItem ? caseItem.caseNumber : undefined,
+    caseTitle: caseItem ? caseItem.title : undefined,
+    assignedLawyerId: caseItem ? refId(caseItem.assignedLawyerId) : null,
+    title: deadline.title,
+    dueDate: deadline.dueDate,
+    statute: deadline.statute || undefined,
+    daysLeft: Math.round((deadline.dueDate - today) / DAY_MS),
+    overdue: deadline.dueDate < today
+  };
+}
+
+// Helper function to format court holiday response consistently
+function formatHolidayResponse(holiday) {
+  return {
+    id: holiday._id.toString(),
+    date: holiday.date.toISOString().slice(0, 10),
+    name: holiday.name,
+    courtName: holiday.courtName || null
+  };
+}
+
+// @route   GET /api/deadlines/upcoming
+// @desc    Get pending deadlines due in the next days, overdue ones first
+// @access  Private (deadline:read)
+// @query   days          - How far ahead to look, default 30
+//          lawyerId      - Admin only; Lawyers always see their own cases. Admins see all cases without it.
+router.get('/upcoming', requirePermission('deadline:read'), [
+  query('days').optional().isInt({ min: 1, max: 365 }).toInt(),
+  query('lawyerId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const today = toDay(new Date());
+    const to = new Date(today.getTime() + (req.query.days || 30) * DAY_MS);
+    const filter = { status: 'Pending', dueDate: { $lte: to } };
+
+    let lawyerId = req.user._id;
+    if (req.user.accessLevel === 'Admin') {
+      lawyerId = req.query.lawyerId || null;
+    }
+    if (lawyerId) {
+      const cases = await Case.find(lawyerCaseFilter(lawyerId)).select('_id');
+      filter.caseId = { $in: cases.map(c => c._id) };
+    }
+
+    const deadlines = (await Deadline.find(filter)
+      .populate('caseId', 'caseNumber title assignedLawyerId')
+      .sort({ dueDate: 1 }))
+      // Deadlines of cases in the trash populate to null
+      .filter(deadline => deadline.caseId);
+
+    res.json({
+      success: true,
+      from: today,
+      to,
+      data: deadlines.map(deadline => formatUpcomingDeadline(deadline, today))
+    });
+  } catch (error) {
+    console.error('Get upcoming deadlines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/deadlines/calculate
+// @desc    Work out deadlines for a case type and event without saving them
+// @access  Private (deadline:read)
+// @body    Sample JSON:
+//          {
+//            "caseType": "ChequeDefault",
+//            "trigger": "demandNoticeServed",
+//            "date": "2024-03-04",
+//            "courtName": "Metropolitan Magistrate Court, Saket"
+//          }
+//          Note: each result lists the weekends and holidays skipped to reach its due date
+router.post('/calculate', requirePermission('deadline:read'), [
+  body('caseType').trim().notEmpty(),
+  body('trigger').trim().notEmpty(),
+  body('date').isISO8601(),
+  body('courtName').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseType = await getCaseType(req.body.caseType);
+    if (!caseType) {
+      return res.status(400).json({
+        success: false,
+        message: `Case type "${req.body.caseType}" does not exist`
+      });
+    }
+
+    const triggers = getTriggers(caseType);
+    if (!triggers.some(trigger => trigger.key === req.body.trigger)) {
+      return res.status(400).json({
+        success: false,
+        message: triggers.length > 0
+          ? `No deadlines follow from "${req.body.trigger}" for ${caseType.type} cases. Triggers: ${triggers.map(t => t.key).join(', ')}`
+          : `No deadline rules are set up for ${caseType.type} cases`
+      });
+    }
+
+    const results = await calculateDeadlines(caseType, req.body.trigger, req.body.date, { courtName: req.body.courtName });
+
+    res.json({
+      success: true,
+      data: results.map(({ rule, computedDate, dueDate, skipped }) => ({
+        ruleKey: rule.key,
+        title: rule.name,
+        period: rule.period,
+        statute: rule.statute || undefined,
+        computedDate,
+        dueDate,
+        skipped
+      }))
+    });
+  } catch (error) {
+    console.error('Calculate deadlines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/deadlines/holidays
+// @desc    Get court holidays
+// @access  Private (deadline:read)
+// @query   year (default this year), courtName - holidays of that court and of all courts
+router.get('/holidays', requirePermission('deadline:read'), [
+  query('year').optional().isInt({ min: 2000, max: 2100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const year = req.query.year || new Date().getUTCFullYear();
+    const filter = {
+      date: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) }
+    };
+    if (req.query.courtName) filter.courtName = { $in: [null, req.query.courtName] };
+
+    const holidays = await CourtHoliday.find(filter).sort({ date: 1, courtName: 1 });
+
+    res.json({
+      success: true,
+      data: holidays.map(formatHolidayResponse)
+    });
+  } catch (error) {
+    console.error('Get court holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/deadlines/holidays
+// @desc    Add a court holiday
+// @access  Private (holiday:manage)
+// @body    Sample JSON:
+//          {
+//            "date": "2024-10-02",
+//            "name": "Gandhi Jayanti"
+//          }
+//          Note: leave out courtName for a holiday of all courts
+router.post('/holidays', requirePermission('holiday:manage'), [
+  body('date').isISO8601(),
+  body('name').trim().notEmpty(),
+  body('courtName').optional({ values: 'falsy' }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const holiday = await CourtHoliday.create({
+      date: toDay(req.body.date),
+      name: req.body.name,
+      courtName: req.body.courtName || null,
+      createdBy: req.user._id
+    });
+    await recordAudit(req, { action: 'create', entityType: 'CourtHoliday', entityId: holiday._id, after: holiday });
+
+    res.status(201).json({
+      success: true,
+      data: formatHolidayResponse(holiday)
+    });
+  } catch (error) {
+    console.error('Add court holiday error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This court already has a holiday on that date'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/deadlines/holidays/:id
+// @desc    Delete a court holiday
+// @access  Private (holiday:manage)
+//          Note: deadlines already calculated keep their dates
+router.delete('/holidays/:id', requirePermission('holiday:manage'), async (req, res) => {
+  try {
+    const holiday = await CourtHoliday.findByIdAndDelete(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Court holiday not found'
+      });
+    }
+    await recordAudit(req, { action: 'delete', entityType: 'CourtHoliday', entityId: holiday._id, before: holiday });
+
+    res.json({
+      success: true,
+      message: 'Court holiday deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete court holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/deadlines/working-days
+// @desc    Get the days of the week courts are closed
+// @access  Private (deadline:read)
+router.get('/working-days', requirePermission('deadline:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getSetting('deadlines')
+    });
+  } catch (error) {
+    console.error('Get court working days error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/deadlines/working-days
+// @desc    Set the days of the week courts are closed
+// @access  Private (holiday:manage)
+// @body    Sample JSON:
+//          {
+//            "weekendDays": [0]
+//          }
+//          Note: 0 is Sunday, 6 is Saturday
+router.put('/working-days', requirePermission('holiday:manage'), [
+  body('weekendDays').isArray({ max: 6 }),
+  body('weekendDays.*').isInt({ min: 0, max: 6 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const before = await getSetting('deadlines');
+    const deadlines = await updateSetting('deadlines', {
+      weekendDays: [...new Set(req.body.weekendDays)].sort()
+    }, req.user._id);
+    await recordAudit(req, { action: 'update', entityType: 'Setting', entityId: 'deadlines', before, after: deadlines });
+
+    res.json({
+      success: true,
+      data: deadlines
+    });
+  } catch (error) {
+    console.error('Update court working days error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,25 +1,308 @@
 const express = require('express');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { body, query, validationResult } = require('express-validator');
+const Case = require('../models/Case.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { isEcourtConfigured, getEcourtAdapter } = require('../services/ecourt');
+const { syncCase, syncAllLinkedCases } = require('../services/ecourt/sync');
+const { canManageCase, lawyerCaseFilter } = require('../utils/caseAccess');
+const { recordAudit, snapshot } = require('../utils/audit');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
-router.use(authorize('Admin', 'Lawyer'));
+router.use(requirePermission('ecourt:read'));
 
-// @route   GET /api/ecourt
-// @desc    Get eCourt information (placeholder)
-// @access  Private (Admin, Lawyer)
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'eCourt API endpoint',
-    data: []
+// Respond with 503 until ECOURT_API_URL is set
+router.use((req, res, next) => {
+  if (!isEcourtConfigured()) {
+    return res.status(503).json({
+      success: false,
+      message: 'eCourt integration is not configured'
+    });
+  }
+  next();
+});
+
+// Helper function to format a case's eCourt link
+function formatEcourtLink(caseItem) {
+  const ecourt = caseItem.ecourt || {};
+
+  return {
+    caseId: caseItem._id.toString(),
+    caseNumber: caseItem.caseNumber || '',
+    title: caseItem.title || '',
+    cnrNumber: ecourt.cnrNumber || undefined,
+    court: ecourt.court || undefined,
+    caseType: ecourt.caseType || undefined,
+    registrationNumber: ecourt.registrationNumber || undefined,
+    registrationYear: ecourt.registrationYear || undefined,
+    courtStatus: ecourt.courtStatus || undefined,
+    nextHearingDate: caseItem.nextHearingDate || undefined,
+    lastSyncedAt: ecourt.lastSyncedAt || undefined,
+    lastSyncStatus: ecourt.lastSyncStatus || undefined,
+    lastSyncError: ecourt.lastSyncError || undefined
+  };
+}
+
+// Validation shared by lookups: a CNR number or the full court/type/number/year set
+const lookupValidators = (location) => [
+  location('cnr').optional().trim().isLength({ min: 16, max: 16 }).withMessage('CNR number must be 16 characters'),
+  location('court').if(location('cnr').not().exists()).trim().notEmpty(),
+  location('caseType').if(location('cnr').not().exists()).trim().notEmpty(),
+  location('number').if(location('cnr').not().exists()).trim().notEmpty(),
+  location('year').if(location('cnr').not().exists()).isInt({ min: 1950, max: 2100 })
+];
+
+// Send adapter failures as gateway errors
+function sendEcourtError(res, error, context) {
+  console.error(`${context} error:`, error);
+  res.status(error.status || 502).json({
+    success: false,
+    message: error.status ? error.message : 'eCourt service unavailable'
   });
+}
+
+// Load a case the user may manage; sends the error response itself
+async function loadCase(req, res) {
+  const caseItem = await Case.findById(req.params.caseId);
+  if (!caseItem) {
+    res.status(404).json({
+      success: false,
+      message: 'Case not found'
+    });
+    return null;
+  }
+
+  if (!canManageCase(req.user, caseItem)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return caseItem;
+}
+
+// @route   GET /api/ecourt
+// @desc    Get cases linked to eCourts
+// @access  Private (ecourt:read)
+router.get('/', async (req, res) => {
+  try {
+    const filter = { ecourt: { $exists: true } };
+    if (req.user.accessLevel !== 'Admin') Object.assign(filter, lawyerCaseFilter(req.user._id));
+
+    const cases = await Case.find(filter)
+      .select('caseNumber title nextHearingDate ecourt')
+      .sort({ 'ecourt.lastSyncedAt': -1 });
+
+    res.json({
+      success: true,
+      data: cases.map(caseItem => formatEcourtLink(caseItem))
+    });
+  } catch (error) {
+    console.error('Get eCourt cases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
 });
 
-module.exports = router;
+// @route   GET /api/ecourt/status
+// @desc    Look up case status on eCourts without linking it
+// @access  Private (ecourt:read)
+// @query   cnr, or court + caseType + number + year
+router.get('/status', lookupValidators(query), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { cnr, court, caseType, number, year } = req.query;
+    let status;
+    try {
+      status = await getEcourtAdapter().fetchCaseStatus(
+        cnr ? { cnr: cnr.toUpperCase() } : { court, caseType, number, year: parseInt(year, 10) }
+      );
+    } catch (error) {
+      return sendEcourtError(res, error, 'eCourt status');
+    }
 
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found on eCourts'
+      });
+    }
 
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('eCourt status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/ecourt/sync
+// @desc    Re-sync all linked open cases now
+// @access  Private (ecourt:read, ecourt:sync)
+router.post('/sync', requirePermission('ecourt:sync'), async (req, res) => {
+  try {
+    const summary = await syncAllLinkedCases();
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('eCourt sync all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
 
+// @route   PUT /api/ecourt/cases/:caseId
+// @desc    Link a case to its eCourts record and sync it
+// @access  Private (ecourt:read, case team only)
+// @body    Sample JSON:
+//          { "cnr": "KLER010012342023" }
+//          or
+//          { "court": "KLER01", "caseType": "CS", "number": "1234", "year": 2023 }
+router.put('/cases/:caseId', lookupValidators(body), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const { cnr, court, caseType, number, year } = req.body;
+    const before = snapshot(caseItem);
+
+    caseItem.ecourt = {
+      cnrNumber: cnr,
+      court: cnr ? undefined : court,
+      caseType: cnr ? undefined : caseType,
+      registrationNumber: cnr ? undefined : number,
+      registrationYear: cnr ? undefined : year,
+      syncedOrders: [],
+      linkedBy: req.user._id
+    };
+
+    caseItem.timeline.push({
+      date: new Date(),
+      title: 'Linked to eCourts',
+      description: cnr
+        ? `Case linked to eCourts CNR ${cnr.toUpperCase()}`
+        : `Case linked to eCourts ${caseType}/${number}/${year} (${court})`,
+      type: 'note',
+      createdBy: req.user._id
+    });
+
+    await caseItem.save();
+    await recordAudit(req, { action: 'ecourt_link', entityType: 'Case', entityId: caseItem._id, before, after: caseItem });
+
+    let result;
+    try {
+      result = await syncCase(caseItem, { userId: req.user._id, req });
+    } catch (error) {
+      return sendEcourtError(res, error, 'eCourt link sync');
+    }
+
+    res.json({
+      success: true,
+      sync: result,
+      data: formatEcourtLink(caseItem)
+    });
+  } catch (error) {
+    console.error('Link eCourt case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/ecourt/cases/:caseId/sync
+// @desc    Sync a linked case from eCourts now
+// @access  Private (ecourt:read, case team only)
+router.post('/cases/:caseId/sync', async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    if (!caseItem.ecourt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Case is not linked to eCourts'
+      });
+    }
+
+    let result;
+    try {
+      result = await syncCase(caseItem, { userId: req.user._id, req });
+    } catch (error) {
+      return sendEcourtError(res, error, 'eCourt case sync');
+    }
+
+    res.json({
+      success: true,
+      sync: result,
+      data: formatEcourtLink(caseItem)
+    });
+  } catch (error) {
+    console.error('Sync eCourt case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/ecourt/cases/:caseId
+// @desc    Unlink a case from eCourts
+// @access  Private (ecourt:read, case team only)
+router.delete('/cases/:caseId', async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const before = snapshot(caseItem);
+    caseItem.ecourt = undefined;
+    await caseItem.save();
+    await recordAudit(req, { action: 'ecourt_unlink', entityType: 'Case', entityId: caseItem._id, before, after: caseItem });
+
+    res.json({
+      success: true,
+      message: 'Case unlinked from eCourts'
+    });
+  } catch (error) {
+    console.error('Unlink eCourt case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,418 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Case = require('../models/Case.model');
+const Hearing = require('../models/Hearing.model');
+const { requirePermission } = require('../middleware/auth.middleware');
+const { canAccessCase, canManageCase } = require('../utils/caseAccess');
+const { syncNextHearingDate } = require('../utils/hearings');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Mounted under /api/cases/:id/hearings (authentication is applied by the case router)
+const router = express.Router({ mergeParams: true });
+
+// Helper function to format hearing response consistently
+function formatHearingResponse(hearing) {
+  if (!hearing) return null;
+
+  return {
+    id: hearing._id ? hearing._id.toString() : hearing.id || '',
+    caseId: hearing.caseId ? hearing.caseId.toString() : '',
+    courtName: hearing.courtName || '',
+    bench: hearing.bench || undefined,
+    courtroom: hearing.courtroom || undefined,
+    hearingDate: hearing.hearingDate,
+    purpose: hearing.purpose || '',
+    status: hearing.status || 'Scheduled',
+    outcome: hearing.outcome || undefined,
+    nextHearingDate: hearing.nextHearingDate || undefined,
+    nextHearingId: hearing.nextHearingId ? hearing.nextHearingId.toString() : undefined,
+    notes: hearing.notes || undefined,
+    createdBy: hearing.createdBy ? hearing.createdBy.toString() : '',
+    createdAt: hearing.createdAt,
+    updatedAt: hearing.updatedAt
+  };
+}
+
+// Load the case and check the user's access; sends the error response itself
+async function loadCase(req, res, { manage = false } = {}) {
+  const caseItem = await Case.findById(req.params.id);
+  if (!caseItem) {
+    res.status(404).json({
+      success: false,
+      message: 'Case not found'
+    });
+    return null;
+  }
+
+  const allowed = manage
+    ? canManageCase(req.user, caseItem)
+    : await canAccessCase(req.user, caseItem);
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return caseItem;
+}
+
+// Record a change to a hearing in the audit log under its case
+function auditHearing(req, action, hearing, before) {
+  return recordAudit(req, {
+    action,
+    entityType: 'Hearing',
+    entityId: hearing._id,
+    parentType: 'Case',
+    parentId: hearing.caseId,
+    before,
+    after: action === 'delete' ? null : hearing
+  });
+}
+
+function formatDate(date) {
+  return new Date(date).toDateString();
+}
+
+// @route   GET /api/cases/:id/hearings
+// @desc    Get all hearings of a case
+// @access  Private (case:read)
+router.get('/', requirePermission('case:read'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const hearings = await Hearing.find({ caseId: caseItem._id }).sort({ hearingDate: 1 });
+
+    res.json({
+      success: true,
+      data: hearings.map(hearing => formatHearingResponse(hearing))
+    });
+  } catch (error) {
+    console.error('Get hearings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/cases/:id/hearings/:hearingId
+// @desc    Get a hearing by ID
+// @access  Private (case:read)
+router.get('/:hearingId', requirePermission('case:read'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res);
+    if (!caseItem) return;
+
+    const hearing = await Hearing.findOne({ _id: req.params.hearingId, caseId: caseItem._id });
+    if (!hearing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hearing not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatHearingResponse(hearing)
+    });
+  } catch (error) {
+    console.error('Get hearing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cases/:id/hearings
+// @desc    Schedule a hearing
+// @access  Private (case:write, case team only)
+// @body    Sample JSON:
+//          {
+//            "hearingDate": "2024-02-15T10:30:00.000Z",
+//            "purpose": "Framing of issues",
+//            "courtName": "District Court, Ernakulam",
+//            "bench": "Principal Sub Judge",
+//            "courtroom": "Hall 3"
+//          }
+//          Note: courtName defaults to the case's court
+router.post('/', requirePermission('case:write'), [
+  body('hearingDate').isISO8601(),
+  body('purpose').trim().notEmpty(),
+  body('courtName').optional().trim().notEmpty(),
+  body('bench').optional().trim(),
+  body('courtroom').optional().trim(),
+  body('notes').optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const { hearingDate, purpose, courtName, bench, courtroom, notes } = req.body;
+
+    const hearing = new Hearing({
+      caseId: caseItem._id,
+      courtName: courtName || caseItem.courtName,
+      bench,
+      courtroom,
+      hearingDate,
+      purpose,
+      notes,
+      createdBy: req.user._id
+    });
+
+    await hearing.save();
+    await auditHearing(req, 'create', hearing);
+
+    caseItem.timeline.push({
+      date: new Date(),
+      title: 'Hearing Scheduled',
+      description: `Hearing on ${formatDate(hearing.hearingDate)} for ${purpose}`,
+      type: 'hearing',
+      createdBy: req.user._id
+    });
+
+    await syncNextHearingDate(caseItem);
+    await caseItem.save();
+
+    res.status(201).json({
+      success: true,
+      data: formatHearingResponse(hearing)
+    });
+  } catch (error) {
+    console.error('Create hearing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/cases/:id/hearings/:hearingId
+// @desc    Update hearing details (reschedule, court, bench, purpose)
+// @access  Private (case:write, case team only)
+router.put('/:hearingId', requirePermission('case:write'), [
+  body('hearingDate').optional().isISO8601(),
+  body('purpose').optional().trim().notEmpty(),
+  body('courtName').optional().trim().notEmpty(),
+  body('bench').optional().trim(),
+  body('courtroom').optional().trim(),
+  body('status').optional().isIn(['Scheduled', 'Cancelled']),
+  body('notes').optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const hearing = await Hearing.findOne({ _id: req.params.hearingId, caseId: caseItem._id });
+    if (!hearing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hearing not found'
+      });
+    }
+
+    const { hearingDate, purpose, courtName, bench, courtroom, status, notes } = req.body;
+    const before = snapshot(hearing);
+    const previousDate = hearing.hearingDate;
+
+    if (hearingDate !== undefined) hearing.hearingDate = hearingDate;
+    if (purpose !== undefined) hearing.purpose = purpose;
+    if (courtName !== undefined) hearing.courtName = courtName;
+    if (bench !== undefined) hearing.bench = bench;
+    if (courtroom !== undefined) hearing.courtroom = courtroom;
+    if (status !== undefined) hearing.status = status;
+    if (notes !== undefined) hearing.notes = notes;
+
+    await hearing.save();
+    await auditHearing(req, 'update', hearing, before);
+
+    if (hearing.hearingDate.getTime() !== previousDate.getTime()) {
+      caseItem.timeline.push({
+        date: new Date(),
+        title: 'Hearing Rescheduled',
+        description: `Hearing moved from ${formatDate(previousDate)} to ${formatDate(hearing.hearingDate)}`,
+        type: 'hearing',
+        createdBy: req.user._id
+      });
+    }
+
+    await syncNextHearingDate(caseItem);
+    await caseItem.save();
+
+    res.json({
+      success: true,
+      data: formatHearingResponse(hearing)
+    });
+  } catch (error) {
+    console.error('Update hearing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cases/:id/hearings/:hearingId/outcome
+// @desc    Record what happened at a hearing and schedule the next date
+// @access  Private (case:write, case team only)
+// @body    Sample JSON:
+//          {
+//            "outcome": "Arguments heard in part, adjourned for further arguments",
+//            "status": "Adjourned",
+//            "nextHearingDate": "2024-03-04T10:30:00.000Z",
+//            "nextPurpose": "Further arguments"
+//          }
+//          Note: status defaults to "Completed"; nextPurpose defaults to the current purpose
+router.post('/:hearingId/outcome', requirePermission('case:write'), [
+  body('outcome').trim().notEmpty(),
+  body('status').optional().isIn(['Completed', 'Adjourned']),
+  body('nextHearingDate').optional({ values: 'falsy' }).isISO8601(),
+  body('nextPurpose').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const hearing = await Hearing.findOne({ _id: req.params.hearingId, caseId: caseItem._id });
+    if (!hearing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hearing not found'
+      });
+    }
+
+    const { outcome, status, nextHearingDate, nextPurpose } = req.body;
+
+    if (nextHearingDate && new Date(nextHearingDate) <= hearing.hearingDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Next hearing date must be after the hearing date'
+      });
+    }
+
+    const before = snapshot(hearing);
+    hearing.outcome = outcome;
+    hearing.status = status || 'Completed';
+
+    // Roll the case forward to the next date given by the court
+    let nextHearing = null;
+    if (nextHearingDate) {
+      hearing.nextHearingDate = nextHearingDate;
+
+      if (hearing.nextHearingId) {
+        nextHearing = await Hearing.findById(hearing.nextHearingId);
+      }
+      const nextBefore = nextHearing ? snapshot(nextHearing) : undefined;
+      if (!nextHearing) {
+        nextHearing = new Hearing({
+          caseId: caseItem._id,
+          courtName: hearing.courtName,
+          bench: hearing.bench,
+          courtroom: hearing.courtroom,
+          createdBy: req.user._id
+        });
+      }
+      nextHearing.hearingDate = nextHearingDate;
+      nextHearing.purpose = nextPurpose || hearing.purpose;
+      await nextHearing.save();
+      await auditHearing(req, nextBefore ? 'update' : 'create', nextHearing, nextBefore);
+
+      hearing.nextHearingId = nextHearing._id;
+    }
+
+    await hearing.save();
+    await auditHearing(req, 'outcome', hearing, before);
+
+    caseItem.timeline.push({
+      date: new Date(),
+      title: `Hearing ${hearing.status}`,
+      description: `Hearing on ${formatDate(hearing.hearingDate)}: ${outcome}` +
+        (nextHearing ? `. Next hearing on ${formatDate(nextHearing.hearingDate)}` : ''),
+      type: 'hearing',
+      createdBy: req.user._id
+    });
+
+    await syncNextHearingDate(caseItem);
+    await caseItem.save();
+
+    res.json({
+      success: true,
+      data: {
+        hearing: formatHearingResponse(hearing),
+        nextHearing: formatHearingResponse(nextHearing)
+      }
+    });
+  } catch (error) {
+    console.error('Record hearing outcome error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/cases/:id/hearings/:hearingId
+// @desc    Delete a hearing entered by mistake
+// @access  Private (case:write, case team only)
+router.delete('/:hearingId', requirePermission('case:write'), async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res, { manage: true });
+    if (!caseItem) return;
+
+    const hearing = await Hearing.findOneAndDelete({ _id: req.params.hearingId, caseId: caseItem._id });
+    if (!hearing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hearing not found'
+      });
+    }
+
+    await auditHearing(req, 'delete', hearing, hearing);
+    await syncNextHearingDate(caseItem);
+    await caseItem.save();
+
+    res.json({
+      success: true,
+      message: 'Hearing deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete hearing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,407 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, query, validationResult } = require('express-validator');
+const Invitation = require('../models/Invitation.model');
+const User = require('../models/User.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { roleExists, checkRoleAssignment } = require('../utils/roles');
+const { recordAudit } = require('../utils/audit');
+const { hashToken, createSession } = require('../utils/sessions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { sendMail } = require('../services/mail');
+const { invitationEmail } = require('../services/mail/templates');
+
+const router = express.Router();
+
+const INVITATION_DAYS = parseInt(process.env.INVITATION_EXPIRE_DAYS, 10) || 7;
+
+// Helper function to format invitation response consistently
+function formatInvitationResponse(invitation) {
+  if (!invitation) return null;
+
+  const expired = invitation.status === 'Pending' && invitation.expiresAt <= new Date();
+
+  return {
+    id: invitation._id.toString(),
+    email: invitation.email,
+    role: invitation.role,
+    firstName: invitation.firstName || undefined,
+    lastName: invitation.lastName || undefined,
+    status: expired ? 'Expired' : invitation.status,
+    expiresAt: invitation.expiresAt,
+    sendCount: invitation.sendCount,
+    lastSentAt: invitation.lastSentAt,
+    acceptedAt: invitation.acceptedAt || undefined,
+    revokedAt: invitation.revokedAt || undefined,
+    invitedBy: invitation.invitedBy
+      ? (typeof invitation.invitedBy === 'object' && invitation.invitedBy._id
+          ? invitation.invitedBy._id.toString()
+          : invitation.invitedBy.toString())
+      : null,
+    invitedByName: (invitation.invitedBy && typeof invitation.invitedBy === 'object' && invitation.invitedBy.firstName)
+      ? `${invitation.invitedBy.firstName} ${invitation.invitedBy.lastName}`
+      : undefined,
+    createdAt: invitation.createdAt
+  };
+}
+
+// Give the invitation a fresh token and expiry and email the link
+async function sendInvitation(invitation, inviter) {
+  const token = crypto.randomBytes(32).toString('hex');
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000);
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+
+  await sendMail({
+    to: invitation.email,
+    ...invitationEmail({ invitation, inviter, token, expiresInDays: INVITATION_DAYS })
+  });
+}
+
+// Find a pending, unexpired invitation by its link token
+function findOpenInvitation(token) {
+  return Invitation.findOne({
+    tokenHash: hashToken(token),
+    status: 'Pending',
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+// @route   GET /api/invitations/accept/:token
+// @desc    Look up an invitation from its link (for the set-password page)
+// @access  Public
+router.get('/accept/:token', async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        firstName: invitation.firstName || undefined,
+        lastName: invitation.lastName || undefined,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/invitations/accept
+// @desc    Accept an invitation: set a password and create the account
+// @access  Public
+// @body    Sample JSON:
+//          {
+//            "token": "<token from the invitation link>",
+//            "password": "password123",
+//            "firstName": "John",
+//            "lastName": "Doe",
+//            "phone": "+1234567890"
+//          }
+//          Note: names default to the ones on the invitation; phone is optional
+router.post('/accept', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 }),
+  body('firstName').optional().trim().notEmpty(),
+  body('lastName').optional().trim().notEmpty(),
+  body('phone').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await findOpenInvitation(req.body.token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const firstName = req.body.firstName || invitation.firstName;
+    const lastName = req.body.lastName || invitation.lastName;
+    if (!firstName || !lastName) {
+      return res.status(400).json({
+        success: false,
+        message: 'First name and last name are required'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    // The invitation link was delivered to this address, so it counts as verified
+    const user = new User({
+      email: invitation.email,
+      password: req.body.password,
+      firstName,
+      lastName,
+      phone: req.body.phone,
+      role: invitation.role,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+    await user.save();
+
+    invitation.status = 'Accepted';
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUserId = user._id;
+    await invitation.save();
+    await recordAudit(req, { action: 'create', entityType: 'User', entityId: user._id, after: user, actor: user, note: 'Accepted invitation' });
+
+    const tokens = await createSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      ...(await isTwoFactorRequired(user) && { twoFactorSetupRequired: true }),
+      ...tokens,
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        phone: user.phone,
+        role: user.role,
+        isActive: user.isActive,
+        emailVerified: true
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Managing invitations is Admin only
+router.use(authenticate);
+router.use(requirePermission('invitation:manage'));
+
+// @route   GET /api/invitations
+// @desc    Get invitations
+// @access  Private (invitation:manage)
+// @query   status - Pending, Accepted, Revoked or Expired
+router.get('/', [
+  query('status').optional().isIn(['Pending', 'Accepted', 'Revoked', 'Expired'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status } = req.query;
+    const filter = {};
+    if (status === 'Pending') {
+      filter.status = 'Pending';
+      filter.expiresAt = { $gt: new Date() };
+    } else if (status === 'Expired') {
+      filter.status = 'Pending';
+      filter.expiresAt = { $lte: new Date() };
+    } else if (status) {
+      filter.status = status;
+    }
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: invitations.map(invitation => formatInvitationResponse(invitation))
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/invitations
+// @desc    Invite a user by email
+// @access  Private (invitation:manage)
+// @body    Sample JSON:
+//          {
+//            "email": "associate@example.com",
+//            "role": "Lawyer",
+//            "firstName": "Priya",
+//            "lastName": "Nair"
+//          }
+//          Note: names are optional; the invitee can fill them in when accepting. Only Admins
+//          can invite to Admin-level roles, and others only to roles whose permissions they hold
+router.post('/', [
+  body('email').isEmail().normalizeEmail(),
+  body('role').trim().custom(roleExists),
+  body('firstName').optional().trim(),
+  body('lastName').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role, firstName, lastName } = req.body;
+
+    const roleError = await checkRoleAssignment(req.user, role);
+    if (roleError) {
+      return res.status(403).json({
+        success: false,
+        message: roleError
+      });
+    }
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    const pending = await Invitation.findOne({
+      email: email.toLowerCase(),
+      status: 'Pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pending invitation already exists for this email. Resend it instead.'
+      });
+    }
+
+    const invitation = new Invitation({
+      email: email.toLowerCase(),
+      role,
+      firstName,
+      lastName,
+      invitedBy: req.user._id
+    });
+    await sendInvitation(invitation, req.user);
+    await recordAudit(req, { action: 'create', entityType: 'Invitation', entityId: invitation._id, after: { email: invitation.email, role } });
+
+    res.status(201).json({
+      success: true,
+      data: formatInvitationResponse(invitation)
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/invitations/:id/resend
+// @desc    Resend an invitation with a new link (the old link stops working)
+// @access  Private (invitation:manage)
+router.post('/:id/resend', async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'Pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation has already been ${invitation.status.toLowerCase()}`
+      });
+    }
+
+    invitation.sendCount += 1;
+    await sendInvitation(invitation, req.user);
+
+    res.json({
+      success: true,
+      data: formatInvitationResponse(invitation)
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (invitation:manage)
+router.delete('/:id', async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'Pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation has already been ${invitation.status.toLowerCase()}`
+      });
+    }
+
+    invitation.status = 'Revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+    await recordAudit(req, { action: 'revoke', entityType: 'Invitation', entityId: invitation._id, before: { status: 'Pending' }, after: { status: 'Revoked' } });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
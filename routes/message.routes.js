@@ -1,7 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Message = require('../models/Message.model');
-const { authenticate } = require('../middleware/auth.middleware');
+const Case = require('../models/Case.model');
+const User = require('../models/User.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { resolveUserRole } = require('../utils/roles');
+const { canAccessCase } = require('../utils/caseAccess');
+const { recordAudit } = require('../utils/audit');
+const { listValidators, getListOptions, applyTextSearch, findPage } = require('../utils/listQuery');
 
 const router = express.Router();
 
@@ -9,11 +15,24 @@ const router = express.Router();
 router.use(authenticate);
 
 // @route   GET /api/messages
-// @desc    Get all messages for current user
-// @access  Private
-router.get('/', async (req, res) => {
+// @desc    Get all messages for current user, or the case thread with caseId
+// @access  Private (message:read)
+// @query   page, limit, sort (e.g. -createdAt), q (subject or content)
+router.get('/', requirePermission('message:read'), listValidators([
+  'createdAt', 'subject', 'isRead'
+]), async (req, res) => {
   try {
-    const { isRead, relatedTo } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { isRead, relatedTo, caseId } = req.query;
+    const options = getListOptions(req);
     const filter = {
       $or: [
         { senderId: req.user._id },
@@ -21,18 +40,31 @@ router.get('/', async (req, res) => {
       ]
     };
 
+    if (caseId) {
+      filter.caseId = caseId;
+
+      // Staff on the case see every message about it, not only their own
+      if (req.user.accessLevel !== 'Client') {
+        const caseItem = await Case.findById(caseId).select('assignedLawyerId team clientId');
+        if (caseItem && await canAccessCase(req.user, caseItem)) {
+          delete filter.$or;
+        }
+      }
+    }
+
     if (isRead !== undefined) filter.isRead = isRead === 'true';
     if (relatedTo) filter.relatedTo = relatedTo;
+    applyTextSearch(filter, options);
 
-    const messages = await Message.find(filter)
+    const { items: messages, pagination } = await findPage(Message, filter, options, q => q
       .populate('senderId', 'firstName lastName email')
       .populate('receiverId', 'firstName lastName email')
-      .populate('caseId', 'caseNumber title')
-      .sort({ createdAt: -1 });
+      .populate('caseId', 'caseNumber title'));
 
     res.json({
       success: true,
-      data: messages
+      data: messages,
+      pagination
     });
   } catch (error) {
     console.error('Get messages error:', error);
@@ -45,8 +77,8 @@ router.get('/', async (req, res) => {
 
 // @route   GET /api/messages/unread-count
 // @desc    Get unread message count
-// @access  Private
-router.get('/unread-count', async (req, res) => {
+// @access  Private (message:read)
+router.get('/unread-count', requirePermission('message:read'), async (req, res) => {
   try {
     const count = await Message.countDocuments({
       receiverId: req.user._id,
@@ -68,8 +100,8 @@ router.get('/unread-count', async (req, res) => {
 
 // @route   POST /api/messages
 // @desc    Create new message
-// @access  Private
-router.post('/', [
+// @access  Private (message:write)
+router.post('/', requirePermission('message:write'), [
   body('receiverId').notEmpty(),
   body('subject').trim().notEmpty(),
   body('content').trim().notEmpty()
@@ -86,6 +118,32 @@ router.post('/', [
 
     const { receiverId, subject, content, caseId, relatedTo } = req.body;
 
+    // Messages about a case stay between people who have access to it
+    if (caseId) {
+      const [caseItem, receiver] = await Promise.all([
+        Case.findById(caseId).select('assignedLawyerId team clientId'),
+        User.findById(receiverId).select('role clientIds isActive')
+      ]);
+      if (!caseItem) {
+        return res.status(400).json({
+          success: false,
+          message: 'Case not found'
+        });
+      }
+      if (!(await canAccessCase(req.user, caseItem))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+      if (!receiver || !(await resolveUserRole(receiver)) || !(await canAccessCase(receiver, caseItem))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Receiver does not have access to this case'
+        });
+      }
+    }
+
     const message = new Message({
       senderId: req.user._id,
       receiverId,
@@ -96,6 +154,14 @@ router.post('/', [
     });
 
     await message.save();
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'Message',
+      entityId: message._id,
+      parentType: caseId ? 'Case' : undefined,
+      parentId: caseId,
+      after: { receiverId, subject, caseId, relatedTo: message.relatedTo }
+    });
     await message.populate('senderId', 'firstName lastName email');
     await message.populate('receiverId', 'firstName lastName email');
     if (caseId) await message.populate('caseId', 'caseNumber title');
@@ -115,8 +181,8 @@ router.post('/', [
 
 // @route   PATCH /api/messages/:id/read
 // @desc    Mark message as read
-// @access  Private
-router.patch('/:id/read', async (req, res) => {
+// @access  Private (message:read)
+router.patch('/:id/read', requirePermission('message:read'), async (req, res) => {
   try {
     const message = await Message.findById(req.params.id);
     if (!message) {
@@ -0,0 +1,361 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const NoticeTemplate = require('../models/NoticeTemplate.model');
+const Case = require('../models/Case.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { getCaseType } = require('../utils/caseTypes');
+const { canManageCase } = require('../utils/caseAccess');
+const { recordAudit } = require('../utils/audit');
+const { PLACEHOLDERS, loadNoticeTemplates, getNoticeTemplate, templatePlaceholders, checkGivenValues, draftNotice } = require('../services/noticeTemplates');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const NOTICE_TYPES = ['Legal', 'Court', 'Administrative', 'Other'];
+
+// Fields an Admin sets on a template
+const TEMPLATE_FIELDS = ['name', 'description', 'caseTypes', 'noticeType', 'title', 'body', 'dueInDays', 'isActive'];
+
+// Helper function to format notice template response consistently
+function formatTemplateResponse(template) {
+  if (!template) return null;
+
+  return {
+    key: template.key,
+    name: template.name,
+    description: template.description || '',
+    caseTypes: template.caseTypes || [],
+    noticeType: template.noticeType || 'Legal',
+    title: template.title,
+    body: template.body,
+    dueInDays: template.dueInDays !== undefined && template.dueInDays !== null ? template.dueInDays : undefined,
+    placeholders: templatePlaceholders(template),
+    isActive: template.isActive !== false,
+    isSystem: !!template.isSystem,
+    updatedAt: template.updatedAt || undefined
+  };
+}
+
+// Text with "{{" that is not a well-formed placeholder, e.g. "{{client name}}"
+const checkPlaceholders = (text) => {
+  const opened = (text.match(/\{\{/g) || []).length;
+  const wellFormed = (text.match(/\{\{\s*[A-Za-z0-9_.-]+\s*\}\}/g) || []).length;
+  if (opened !== wellFormed) {
+    throw new Error('Placeholders must look like {{client.name}}: letters, digits, ., _ and - between double braces');
+  }
+  return true;
+};
+
+// Validators shared by create and update; optional() lets updates send only what changes
+const templateValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty(),
+    field('title').trim().notEmpty().custom(checkPlaceholders),
+    field('body').trim().notEmpty().custom(checkPlaceholders),
+    body('description').optional().trim(),
+    body('noticeType').optional().isIn(NOTICE_TYPES),
+    body('caseTypes').optional().isArray(),
+    body('caseTypes.*').isString().custom(async (type) => {
+      if (!(await getCaseType(type))) throw new Error(`Case type "${type}" does not exist`);
+      return true;
+    }),
+    body('dueInDays').optional({ values: 'null' }).isInt({ min: 0, max: 365 }).toInt(),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+};
+
+// Template fields from a request body
+const templateFields = (source) => Object.fromEntries(
+  TEMPLATE_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// @route   GET /api/notice-templates
+// @desc    Get notice templates
+// @access  Private (notice:write)
+// @query   caseType - only templates offered for this case type; includeRetired=true - also list retired templates
+router.get('/', requirePermission('notice:write'), async (req, res) => {
+  try {
+    const { caseType } = req.query;
+    const templates = [...(await loadNoticeTemplates()).values()]
+      .filter(template => template.isActive !== false || req.query.includeRetired === 'true')
+      .filter(template => !caseType || !template.caseTypes || template.caseTypes.length === 0 ||
+        template.caseTypes.includes(caseType));
+
+    res.json({
+      success: true,
+      data: templates.map(formatTemplateResponse),
+      placeholders: PLACEHOLDERS
+    });
+  } catch (error) {
+    console.error('Get notice templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/notice-templates/:key
+// @desc    Get a notice template
+// @access  Private (notice:write)
+router.get('/:key', requirePermission('notice:write'), async (req, res) => {
+  try {
+    const template = await getNoticeTemplate(req.params.key);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notice template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatTemplateResponse(template)
+    });
+  } catch (error) {
+    console.error('Get notice template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/notice-templates
+// @desc    Create a notice template
+// @access  Private (noticetemplate:manage)
+// @body    Sample JSON:
+//          {
+//            "key": "recoveryNotice",
+//            "name": "Recovery notice",
+//            "caseTypes": ["Civil"],
+//            "noticeType": "Legal",
+//            "title": "Notice for recovery of Rs. {{customFields.claimAmount}}",
+//            "body": "To,\n{{opposingParty.name}}\n\nUnder instructions from my client, {{client.name}}, ...",
+//            "dueInDays": 30
+//          }
+//          Note: placeholders the case cannot fill in are given when the notice is drafted
+router.post('/', requirePermission('noticetemplate:manage'), [
+  body('key').trim().matches(/^[A-Za-z0-9_-]+$/).withMessage('Key may only contain letters, digits, _ and -'),
+  ...templateValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await getNoticeTemplate(req.body.key)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A notice template with this key already exists'
+      });
+    }
+
+    const template = await NoticeTemplate.create({
+      key: req.body.key,
+      ...templateFields(req.body),
+      updatedBy: req.user._id
+    });
+    await recordAudit(req, { action: 'create', entityType: 'NoticeTemplate', entityId: template.key, after: template });
+
+    res.status(201).json({
+      success: true,
+      message: 'Notice template created successfully',
+      data: formatTemplateResponse(await getNoticeTemplate(template.key))
+    });
+  } catch (error) {
+    console.error('Create notice template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/notice-templates/:key
+// @desc    Update a notice template, or bring a retired one back
+// @access  Private (noticetemplate:manage)
+// @body    Sample JSON:
+//          {
+//            "dueInDays": 15,
+//            "isActive": true
+//          }
+//          Note: changing a built-in template stores the firm's own version of it
+router.put('/:key', requirePermission('noticetemplate:manage'), templateValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await getNoticeTemplate(req.params.key);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notice template not found'
+      });
+    }
+
+    const updates = templateFields(req.body);
+    const template = await NoticeTemplate.findOneAndUpdate(
+      { key: existing.key },
+      {
+        $set: { ...templateFields(existing), ...updates, updatedBy: req.user._id }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'NoticeTemplate',
+      entityId: existing.key,
+      before: templateFields(existing),
+      after: templateFields(template)
+    });
+
+    res.json({
+      success: true,
+      message: 'Notice template updated successfully',
+      data: formatTemplateResponse(await getNoticeTemplate(existing.key))
+    });
+  } catch (error) {
+    console.error('Update notice template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/notice-templates/:key
+// @desc    Retire a notice template so it is no longer offered
+// @access  Private (noticetemplate:manage)
+//          Note: notices drafted from it are kept; bring it back with PUT { "isActive": true }
+router.delete('/:key', requirePermission('noticetemplate:manage'), async (req, res) => {
+  try {
+    const existing = await getNoticeTemplate(req.params.key);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notice template not found'
+      });
+    }
+
+    if (existing.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Notice template is already retired'
+      });
+    }
+
+    await NoticeTemplate.findOneAndUpdate(
+      { key: existing.key },
+      { $set: { ...templateFields(existing), isActive: false, updatedBy: req.user._id } },
+      { upsert: true }
+    );
+    await recordAudit(req, {
+      action: 'retire',
+      entityType: 'NoticeTemplate',
+      entityId: existing.key,
+      before: { isActive: true },
+      after: { isActive: false }
+    });
+
+    res.json({
+      success: true,
+      message: 'Notice template retired'
+    });
+  } catch (error) {
+    console.error('Retire notice template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/notice-templates/:key/preview
+// @desc    Draft a notice from a template for a case without saving it
+// @access  Private (notice:write, case team)
+// @body    Sample JSON:
+//          {
+//            "caseId": "65f0c2...",
+//            "partyId": "65f0c3...",
+//            "values": { "opposingPartyAddress": "12 MG Road, Bengaluru", "customFields.chequeAmount": 250000 },
+//            "issueDate": "2024-07-01"
+//          }
+//          Note: partyId picks the opposing party, by default the case's first one
+router.post('/:key/preview', requirePermission('notice:write'), [
+  body('caseId').isMongoId(),
+  body('partyId').optional().isMongoId(),
+  body('values').optional().isObject().bail().custom(checkGivenValues),
+  body(['issueDate', 'dueDate']).optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await getNoticeTemplate(req.params.key);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notice template not found'
+      });
+    }
+
+    const caseItem = await Case.findById(req.body.caseId);
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!canManageCase(req.user, caseItem)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (req.body.partyId && !caseItem.parties.id(req.body.partyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Party not found on the case'
+      });
+    }
+
+    const { partyId, values, issueDate, dueDate } = req.body;
+    const draft = await draftNotice(template, caseItem, { partyId, values, issueDate, dueDate });
+
+    res.json({
+      success: true,
+      data: draft
+    });
+  } catch (error) {
+    console.error('Preview notice template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,162 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Notice = require('../models/Notice.model');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const Case = require('../models/Case.model');
+const Client = require('../models/Client.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { uploadSingle } = require('../middleware/upload.middleware');
+const { getStorage, storeFile, sendStoredFile } = require('../services/storage');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { getLinkedClientIds, canManageCase, canManageClient, refId } = require('../utils/caseAccess');
+const { listValidators, getListOptions, applyTextSearch, findPage, emptyPage } = require('../utils/listQuery');
+const { getNoticeTemplate, checkGivenValues, draftNotice } = require('../services/noticeTemplates');
+const { renderNoticePdf } = require('../services/noticePdf');
 
 const router = express.Router();
 
+const NOTICE_TYPES = ['Legal', 'Court', 'Administrative', 'Other'];
+const PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+
+// Statuses each transition can be made from
+const ACKNOWLEDGE_FROM = ['Pending', 'Expired'];
+const RESPOND_FROM = ['Pending', 'Acknowledged', 'Expired'];
+
+// Fields that can be changed with PUT; the status only changes through its own endpoints
+const EDITABLE_FIELDS = ['title', 'description', 'noticeType', 'caseId', 'clientId', 'issueDate', 'dueDate', 'priority'];
+
 // All routes require authentication
 router.use(authenticate);
 
+const populateNotice = (notice) => notice.populate([
+  { path: 'caseId', select: 'caseNumber title' },
+  { path: 'clientId', select: 'name email' },
+  { path: 'createdBy', select: 'firstName lastName' },
+  { path: 'acknowledgedBy', select: 'firstName lastName' },
+  { path: 'response.respondedBy', select: 'firstName lastName' },
+  { path: 'correspondence.createdBy', select: 'firstName lastName' }
+]);
+
+// Load the notice and check the user can see it; sends the error response itself.
+// Clients see the notices of their linked client records and of those clients' cases.
+async function loadNotice(req, res) {
+  const notice = await Notice.findById(req.params.id);
+  if (!notice) {
+    res.status(404).json({
+      success: false,
+      message: 'Notice not found'
+    });
+    return null;
+  }
+
+  if (req.user.accessLevel === 'Client') {
+    const linkedClientIds = getLinkedClientIds(req.user);
+    let allowed = linkedClientIds.includes(refId(notice.clientId));
+    if (!allowed && notice.caseId) {
+      allowed = !!(await Case.exists({ _id: notice.caseId, clientId: { $in: linkedClientIds } }));
+    }
+    if (!allowed) {
+      res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+      return null;
+    }
+  }
+
+  return notice;
+}
+
+// Check the user may file a notice under a case and a client; sends the error response
+// itself. Linking shows the notice to that client's portal users, so only the case's
+// team and the client's assigned lawyer (or an Admin) may do it.
+async function checkNoticeLinks(req, res, { caseId, clientId }) {
+
+  if (caseId) {
+    const caseItem = await Case.findById(caseId);
+    if (!caseItem) {
+      res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+      return false;
+    }
+
+    if (!canManageCase(req.user, caseItem)) {
+      res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+      return false;
+    }
+  }
+
+  if (clientId) {
+    const client = await Client.findById(clientId);
+    if (!client) {
+      res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+      return false;
+    }
+
+    if (!canManageClient(req.user, client)) {
+      res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Add an entry to the timeline of the notice's case, if it has one that is not in the trash
+async function addCaseTimeline(notice, title, description, userId) {
+  if (!notice.caseId) return;
+  const caseItem = await Case.findById(refId(notice.caseId));
+  if (!caseItem) return;
+
+  caseItem.timeline.push({
+    date: new Date(),
+    title,
+    description,
+    type: 'notice',
+    createdBy: userId
+  });
+  await caseItem.save();
+}
+
+// Save the notice, removing a just-stored file if that fails so it isn't orphaned
+async function saveWithFile(notice, file) {
+  try {
+    await notice.save();
+  } catch (error) {
+    if (file) await getStorage(file.storageDriver).remove(file.filePath).catch(() => {});
+    throw error;
+  }
+}
+
 // @route   GET /api/notices
-// @desc    Get all notices
-// @access  Private
-router.get('/', async (req, res) => {
+// @desc    Get all notices, a page at a time
+// @access  Private (notice:read)
+// @query   page, limit, sort (e.g. dueDate), q (title or description)
+router.get('/', requirePermission('notice:read'), listValidators([
+  'createdAt', 'updatedAt', 'title', 'issueDate', 'dueDate', 'status', 'priority'
+]), async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { caseId, clientId, status, noticeType } = req.query;
+    const options = getListOptions(req);
     const filter = {};
 
     if (caseId) filter.caseId = caseId;
@@ -21,15 +164,29 @@ router.get('/', async (req, res) => {
     if (status) filter.status = status;
     if (noticeType) filter.noticeType = noticeType;
 
-    const notices = await Notice.find(filter)
+    // Client can only see notices for the client records linked to their account or their cases
+    if (req.user.accessLevel === 'Client') {
+      const linkedClientIds = getLinkedClientIds(req.user);
+      if (clientId && !linkedClientIds.includes(clientId)) {
+        return res.json(emptyPage(options));
+      }
+      const cases = await Case.find({ clientId: { $in: linkedClientIds } }).select('_id');
+      filter.$or = [
+        { clientId: { $in: linkedClientIds } },
+        { caseId: { $in: cases.map(c => c._id) } }
+      ];
+    }
+    applyTextSearch(filter, options);
+
+    const { items: notices, pagination } = await findPage(Notice, filter, options, q => q
       .populate('caseId', 'caseNumber title')
       .populate('clientId', 'name email')
-      .populate('createdBy', 'firstName lastName')
-      .sort({ createdAt: -1 });
+      .populate('createdBy', 'firstName lastName'));
 
     res.json({
       success: true,
-      data: notices
+      data: notices,
+      pagination
     });
   } catch (error) {
     console.error('Get notices error:', error);
@@ -42,11 +199,14 @@ router.get('/', async (req, res) => {
 
 // @route   POST /api/notices
 // @desc    Create new notice
-// @access  Private (Admin, Lawyer)
-router.post('/', authorize('Admin', 'Lawyer'), [
+// @access  Private (notice:write)
+//          Note: a caseId must be a case the user manages, a clientId a client they are
+//          the assigned lawyer of (any for Admins)
+router.post('/', requirePermission('notice:write'), [
   body('title').trim().notEmpty(),
   body('description').trim().notEmpty(),
-  body('noticeType').isIn(['Legal', 'Court', 'Administrative', 'Other'])
+  body('noticeType').isIn(NOTICE_TYPES),
+  body(['caseId', 'clientId']).optional({ values: 'null' }).isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -58,6 +218,8 @@ router.post('/', authorize('Admin', 'Lawyer'), [
       });
     }
 
+    if (!(await checkNoticeLinks(req, res, req.body))) return;
+
     const { title, description, noticeType, caseId, clientId, issueDate, dueDate, priority } = req.body;
 
     const notice = new Notice({
@@ -73,9 +235,9 @@ router.post('/', authorize('Admin', 'Lawyer'), [
     });
 
     await notice.save();
-    await notice.populate('caseId', 'caseNumber title');
-    await notice.populate('clientId', 'name email');
-    await notice.populate('createdBy', 'firstName lastName');
+    await recordAudit(req, { action: 'create', entityType: 'Notice', entityId: notice._id, after: notice });
+    await addCaseTimeline(notice, 'Notice Added', `The notice "${notice.title}" was added`, req.user._id);
+    await populateNotice(notice);
 
     res.status(201).json({
       success: true,
@@ -90,6 +252,519 @@ router.post('/', authorize('Admin', 'Lawyer'), [
   }
 });
 
+// @route   POST /api/notices/generate
+// @desc    Draft a notice for a case from a template and save it with its PDF
+// @access  Private (notice:write, case team)
+// @body    Sample JSON:
+//          {
+//            "templateKey": "chequeDemandNotice",
+//            "caseId": "65f0c2...",
+//            "partyId": "65f0c3...",
+//            "values": { "opposingPartyAddress": "12 MG Road, Bengaluru", "customFields.chequeAmount": 250000 },
+//            "issueDate": "2024-07-01",
+//            "priority": "High"
+//          }
+//          Note: fails with the missing placeholders when the case and values don't fill them all;
+//          preview first with POST /api/notice-templates/:key/preview
+router.post('/generate', requirePermission('notice:write'), [
+  body('templateKey').trim().notEmpty(),
+  body('caseId').isMongoId(),
+  body('partyId').optional().isMongoId(),
+  body('values').optional().isObject().bail().custom(checkGivenValues),
+  body(['issueDate', 'dueDate']).optional().isISO8601(),
+  body('priority').optional().isIn(PRIORITIES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await getNoticeTemplate(req.body.templateKey);
+    if (!template || template.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: template ? 'Notice template has been retired' : 'Notice template not found'
+      });
+    }
+
+    const caseItem = await Case.findById(req.body.caseId);
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!canManageCase(req.user, caseItem)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (template.caseTypes && template.caseTypes.length > 0 && !template.caseTypes.includes(caseItem.caseType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Template "${template.name}" is not for ${caseItem.caseType} cases`
+      });
+    }
+
+    if (req.body.partyId && !caseItem.parties.id(req.body.partyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Party not found on the case'
+      });
+    }
+
+    const { partyId, values, issueDate, dueDate, priority } = req.body;
+    const draft = await draftNotice(template, caseItem, { partyId, values, issueDate, dueDate });
+    if (draft.missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Fill in ${draft.missing.join(', ')} with values`,
+        missing: draft.missing
+      });
+    }
+
+    const notice = new Notice({
+      title: draft.title,
+      description: draft.body,
+      noticeType: template.noticeType || 'Legal',
+      caseId: caseItem._id,
+      clientId: caseItem.clientId,
+      issueDate: draft.issueDate,
+      dueDate: draft.dueDate,
+      priority: priority || 'Medium',
+      templateKey: template.key,
+      createdBy: req.user._id
+    });
+
+    const pdf = await renderNoticePdf({
+      title: draft.title,
+      body: draft.body,
+      issueDate: draft.issueDate,
+      reference: caseItem.caseNumber
+    });
+    const file = await storeFile(`notices/${notice._id}`, {
+      originalname: `${template.key}-${caseItem.caseNumber}.pdf`,
+      buffer: pdf,
+      mimetype: 'application/pdf',
+      size: pdf.length
+    });
+    notice.document = file;
+
+    await saveWithFile(notice, file);
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'Notice',
+      entityId: notice._id,
+      after: notice,
+      note: `Drafted from template ${template.key}`
+    });
+    await addCaseTimeline(notice, 'Notice Drafted',
+      `The notice "${notice.title}" was drafted from the template "${template.name}"`, req.user._id);
+    await populateNotice(notice);
+
+    res.status(201).json({
+      success: true,
+      data: notice
+    });
+  } catch (error) {
+    console.error('Generate notice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/notices/:id
+// @desc    Get a notice with its response and correspondence
+// @access  Private (notice:read)
+router.get('/:id', requirePermission('notice:read'), async (req, res) => {
+  try {
+    const notice = await loadNotice(req, res);
+    if (!notice) return;
+
+    await populateNotice(notice);
+
+    res.json({
+      success: true,
+      data: notice
+    });
+  } catch (error) {
+    console.error('Get notice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/notices/:id
+// @desc    Update a notice's details
+// @access  Private (notice:write)
+// @body    Sample JSON:
+//          {
+//            "dueDate": "2024-08-15",
+//            "priority": "High"
+//          }
+//          Note: send caseId or clientId as null to unlink; a new caseId or clientId is
+//          checked as on create; moving the due date of an expired notice into the future
+//          makes it pending again
+router.put('/:id', requirePermission('notice:write'), [
+  body('title').optional().trim().notEmpty(),
+  body('description').optional().trim().notEmpty(),
+  body('noticeType').optional().isIn(NOTICE_TYPES),
+  body('priority').optional().isIn(PRIORITIES),
+  body(['caseId', 'clientId']).optional({ values: 'null' }).isMongoId(),
+  body('issueDate').optional().isISO8601(),
+  body('dueDate').optional({ values: 'null' }).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notice = await loadNotice(req, res);
+    if (!notice) return;
+
+    // Only links that change are checked, so a notice's other details stay editable
+    const changed = (field) => req.body[field] && req.body[field] !== refId(notice[field]);
+    const links = {
+      caseId: changed('caseId') ? req.body.caseId : undefined,
+      clientId: changed('clientId') ? req.body.clientId : undefined
+    };
+    if (!(await checkNoticeLinks(req, res, links))) return;
+
+    const before = snapshot(notice);
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) notice[field] = req.body[field] === null ? undefined : req.body[field];
+    });
+    if (notice.status === 'Expired' && (!notice.dueDate || notice.dueDate > new Date())) {
+      notice.status = 'Pending';
+    }
+
+    await notice.save();
+    await recordAudit(req, { action: 'update', entityType: 'Notice', entityId: notice._id, before, after: notice });
+    await populateNotice(notice);
+
+    res.json({
+      success: true,
+      data: notice
+    });
+  } catch (error) {
+    console.error('Update notice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/notices/:id/acknowledge
+// @desc    Record that a notice was received and acknowledged
+// @access  Private (notice:write)
+// @body    Sample JSON:
+//          {
+//            "acknowledgedAt": "2024-07-02",
+//            "note": "Acknowledged by email to opposing counsel"
+//          }
+//          Note: only pending or expired notices can be acknowledged; acknowledgedAt defaults to now
+router.post('/:id/acknowledge', requirePermission('notice:write'), [
+  body('acknowledgedAt').optional().isISO8601(),
+  body('note').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notice = await loadNotice(req, res);
+    if (!notice) return;
+
+    if (!ACKNOWLEDGE_FROM.includes(notice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A notice that is ${notice.status} cannot be acknowledged`
+      });
+    }
+
+    const before = snapshot(notice);
+    notice.status = 'Acknowledged';
+    notice.acknowledgedAt = req.body.acknowledgedAt || new Date();
+    notice.acknowledgedBy = req.user._id;
+
+    await notice.save();
+    await recordAudit(req, {
+      action: 'status_change',
+      entityType: 'Notice',
+      entityId: notice._id,
+      before,
+      after: notice,
+      note: req.body.note || undefined
+    });
+    await addCaseTimeline(notice, 'Notice Acknowledged',
+      `The notice "${notice.title}" was acknowledged` + (req.body.note ? `: ${req.body.note}` : ''),
+      req.user._id);
+    await populateNotice(notice);
+
+    res.json({
+      success: true,
+      data: notice
+    });
+  } catch (error) {
+    console.error('Acknowledge notice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/notices/:id/respond
+// @desc    Record the reply sent to a notice, with the reply document if there is one
+// @access  Private (notice:write)
+// @body    multipart/form-data (or JSON without a file):
+//          response   - what the reply said (required)
+//          repliedAt  - when the reply was sent, defaults to now
+//          file       - the reply as sent
+//          fileName   - display name, defaults to the uploaded file name
+//          Note: the reply is also added to the notice's correspondence
+router.post('/:id/respond', requirePermission('notice:write'), uploadSingle('file'), [
+  body('response').trim().notEmpty(),
+  body('repliedAt').optional().isISO8601(),
+  body('fileName').optional().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notice = await loadNotice(req, res);
+    if (!notice) return;
+
+    if (!RESPOND_FROM.includes(notice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A notice that is ${notice.status} cannot be responded to`
+      });
+    }
+
+    const before = snapshot(notice);
+    const repliedAt = req.body.repliedAt ? new Date(req.body.repliedAt) : new Date();
+    const file = req.file ? await storeFile(`notices/${notice._id}`, req.file, req.body.fileName) : null;
+
+    notice.correspondence.push({
+      direction: 'Sent',
+      date: repliedAt,
+      content: req.body.response,
+      document: file || undefined,
+      createdBy: req.user._id
+    });
+    const reply = notice.correspondence[notice.correspondence.length - 1];
+    notice.status = 'Responded';
+    notice.response = {
+      text: req.body.response,
+      repliedAt,
+      respondedBy: req.user._id,
+      correspondenceId: reply._id
+    };
+
+    await saveWithFile(notice, file);
+    await recordAudit(req, { action: 'status_change', entityType: 'Notice', entityId: notice._id, before, after: notice });
+    await addCaseTimeline(notice, 'Notice Responded',
+      `A reply to the notice "${notice.title}" was sent` + (file ? ` with "${file.fileName}"` : ''),
+      req.user._id);
+    await populateNotice(notice);
+
+    res.json({
+      success: true,
+      data: notice
+    });
+  } catch (error) {
+    console.error('Respond to notice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/notices/:id/correspondence
+// @desc    Add a letter received or sent about a notice, with its document if there is one
+// @access  Private (notice:write)
+// @body    multipart/form-data (or JSON without a file):
+//          direction  - Received or Sent (required)
+//          content    - summary or text of the letter (required)
+//          date       - date of the letter, defaults to now
+//          file       - the letter
+//          fileName   - display name, defaults to the uploaded file name
+router.post('/:id/correspondence', requirePermission('notice:write'), uploadSingle('file'), [
+  body('direction').isIn(['Received', 'Sent']),
+  body('content').trim().notEmpty(),
+  body('date').optional().isISO8601(),
+  body('fileName').optional().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notice = await loadNotice(req, res);
+    if (!notice) return;
+
+    const file = req.file ? await storeFile(`notices/${notice._id}`, req.file, req.body.fileName) : null;
+    notice.correspondence.push({
+      direction: req.body.direction,
+      date: req.body.date || new Date(),
+      content: req.body.content,
+      document: file || undefined,
+      createdBy: req.user._id
+    });
+    const entry = notice.correspondence[notice.correspondence.length - 1];
+
+    await saveWithFile(notice, file);
+    await recordAudit(req, {
+      action: 'correspondence_add',
+      entityType: 'Notice',
+      entityId: notice._id,
+      after: {
+        direction: entry.direction,
+        date: entry.date,
+        content: entry.content,
+        fileName: file ? file.fileName : undefined
+      }
+    });
+    await addCaseTimeline(notice, 'Notice Correspondence',
+      `A letter was ${entry.direction === 'Sent' ? 'sent' : 'received'} about the notice "${notice.title}"`,
+      req.user._id);
+    await populateNotice(notice);
+
+    res.status(201).json({
+      success: true,
+      data: notice.correspondence.id(entry._id)
+    });
+  } catch (error) {
+    console.error('Add notice correspondence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/notices/:id/document
+// @desc    Download the PDF of a notice drafted from a template
+// @access  Private (notice:read)
+router.get('/:id/document', requirePermission('notice:read'), async (req, res) => {
+  try {
+    const notice = await loadNotice(req, res);
+    if (!notice) return;
+
+    if (!notice.document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await sendStoredFile(res, notice.document);
+  } catch (error) {
+    console.error('Download notice PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/notices/:id/correspondence/:entryId/document
+// @desc    Download the document of a correspondence entry
+// @access  Private (notice:read)
+router.get('/:id/correspondence/:entryId/document', requirePermission('notice:read'), async (req, res) => {
+  try {
+    const notice = await loadNotice(req, res);
+    if (!notice) return;
+
+    const entry = notice.correspondence.id(req.params.entryId);
+    if (!entry || !entry.document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await sendStoredFile(res, entry.document);
+  } catch (error) {
+    console.error('Download notice document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/notices/:id
+// @desc    Delete a notice with its PDF and correspondence documents
+// @access  Private (notice:delete)
+router.delete('/:id', requirePermission('notice:delete'), async (req, res) => {
+  try {
+    const notice = await loadNotice(req, res);
+    if (!notice) return;
+
+    const files = [notice.document, ...notice.correspondence.map(entry => entry.document)].filter(Boolean);
+    await notice.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'Notice', entityId: notice._id, before: notice });
+    await addCaseTimeline(notice, 'Notice Deleted', `The notice "${notice.title}" was deleted`, req.user._id);
+
+    // Remove the stored files once nothing references them
+    for (const file of files) {
+      try {
+        await getStorage(file.storageDriver).remove(file.filePath);
+      } catch (error) {
+        console.error('Remove notice document error:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Notice deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete notice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
 
 
@@ -0,0 +1,284 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification.model');
+const User = require('../models/User.model');
+const { authenticate } = require('../middleware/auth.middleware');
+const { recordAudit } = require('../utils/audit');
+const { listValidators, getListOptions, findPage } = require('../utils/listQuery');
+const { DEFAULT_PREFERENCES, NOTIFICATION_TYPES, MAX_DAYS_BEFORE, getPreferences } = require('../services/notifications');
+
+const router = express.Router();
+
+// All routes require authentication; users only ever see their own notifications
+router.use(authenticate);
+
+// Helper function to format notification response consistently
+function formatNotificationResponse(notification) {
+  return {
+    id: notification._id.toString(),
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    link: notification.link || undefined,
+    entityType: notification.entityType || undefined,
+    entityId: notification.entityId ? notification.entityId.toString() : undefined,
+    read: !!notification.readAt,
+    readAt: notification.readAt || undefined,
+    createdAt: notification.createdAt
+  };
+}
+
+// The current user's in-app notifications
+const feedFilter = (req) => ({ userId: req.user._id, inApp: true });
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first
+// @access  Private
+// @query   unread=true - only unread ones; type - hearing, noticeDue, noticeExpired or invoiceOverdue; page, limit
+router.get('/', [
+  query('unread').optional().isBoolean(),
+  query('type').optional().isIn(NOTIFICATION_TYPES),
+  ...listValidators(['createdAt'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const options = getListOptions(req);
+    const filter = feedFilter(req);
+    if (req.query.unread === 'true') filter.readAt = null;
+    if (req.query.type) filter.type = req.query.type;
+
+    const { items: notifications, pagination } = await findPage(Notification, filter, options);
+    const unreadCount = await Notification.countDocuments({ ...feedFilter(req), readAt: null });
+
+    res.json({
+      success: true,
+      data: notifications.map(formatNotificationResponse),
+      unreadCount,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Private
+router.get('/unread-count', async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ ...feedFilter(req), readAt: null });
+
+    res.json({
+      success: true,
+      count
+    });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { ...feedFilter(req), readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get the current user's notification preferences
+// @access  Private
+router.get('/preferences', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getPreferences(req.user)
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Change which reminders the current user gets, and how
+// @access  Private
+// @body    Sample JSON:
+//          {
+//            "hearing": { "inApp": true, "email": true, "daysBefore": [1, 3] },
+//            "invoiceOverdue": { "email": false }
+//          }
+//          Note: types left out keep their settings; daysBefore applies to hearing and noticeDue (1-30 days)
+router.put('/preferences', [
+  body().custom(preferences => {
+    const unknown = Object.keys(preferences || {}).filter(key => !NOTIFICATION_TYPES.includes(key));
+    if (unknown.length > 0) throw new Error(`Unknown notification type ${unknown.join(', ')}. Allowed: ${NOTIFICATION_TYPES.join(', ')}`);
+    return true;
+  }),
+  ...NOTIFICATION_TYPES.flatMap(type => [
+    body(type).optional().isObject(),
+    body(`${type}.inApp`).optional().isBoolean().toBoolean(),
+    body(`${type}.email`).optional().isBoolean().toBoolean()
+  ]),
+  body(['hearing.daysBefore', 'noticeDue.daysBefore']).optional().isArray({ max: 5 }),
+  body(['hearing.daysBefore.*', 'noticeDue.daysBefore.*']).isInt({ min: 1, max: MAX_DAYS_BEFORE }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const before = getPreferences(user);
+    const stored = { ...(user.notificationPreferences || {}) };
+    NOTIFICATION_TYPES.forEach(type => {
+      const update = req.body[type];
+      if (!update) return;
+
+      const next = { ...(stored[type] || {}) };
+      ['inApp', 'email'].forEach(key => {
+        if (update[key] !== undefined) next[key] = update[key];
+      });
+      if (update.daysBefore !== undefined && DEFAULT_PREFERENCES[type].daysBefore) {
+        next.daysBefore = [...new Set(update.daysBefore)].sort((a, b) => a - b);
+      }
+      stored[type] = next;
+    });
+
+    user.notificationPreferences = stored;
+    user.markModified('notificationPreferences');
+    await user.save();
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'NotificationPreferences',
+      entityId: user._id,
+      before,
+      after: getPreferences(user)
+    });
+
+    res.json({
+      success: true,
+      data: getPreferences(user)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark a notification as read, or unread with { "read": false }
+// @access  Private
+router.patch('/:id/read', [
+  body('read').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOne({ ...feedFilter(req), _id: req.params.id });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const read = req.body.read !== false;
+    if (read !== !!notification.readAt) {
+      notification.readAt = read ? new Date() : undefined;
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      data: formatNotificationResponse(notification)
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Dismiss a notification
+// @access  Private
+//          Note: the reminder is not created again
+router.delete('/:id', async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { ...feedFilter(req), _id: req.params.id },
+      { $set: { inApp: false, readAt: new Date() } }
+    );
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification dismissed'
+    });
+  } catch (error) {
+    console.error('Dismiss notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,322 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role.model');
+const User = require('../models/User.model');
+const Invitation = require('../models/Invitation.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { PERMISSIONS, ACCESS_LEVELS, BUILT_IN_ROLES } = require('../utils/permissions');
+const { loadRoles, clearRoleCache, getRole, hasPermission } = require('../utils/roles');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requirePermission('role:manage'));
+
+// Helper function to format role response consistently
+function formatRoleResponse(role) {
+  if (!role) return null;
+
+  return {
+    name: role.name,
+    description: role.description || '',
+    baseRole: role.baseRole,
+    permissions: role.permissions || [],
+    isSystem: !!role.isSystem,
+    updatedAt: role.updatedAt || undefined
+  };
+}
+
+const permissionValidators = [
+  body('permissions').optional().isArray(),
+  body('permissions.*').isIn(Object.keys(PERMISSIONS))
+];
+
+/**
+ * Check that a role manager who is not an Admin stays within their own rights: they
+ * cannot change their own role, Admin-level roles or roles with permissions they lack,
+ * set or change a base role to make a role Admin-level, or grant permissions they don't hold.
+ * Returns an error message, or null when the change is allowed.
+ */
+function checkRoleChange(user, { existing, baseRole, permissions }) {
+  if (user.accessLevel === 'Admin') return null;
+
+  if (existing) {
+    if (existing.name === user.role) return 'You cannot change your own role';
+    if (existing.baseRole === 'Admin') return `Only Admins can change the ${existing.name} role`;
+    if (existing.permissions.some(permission => !hasPermission(user, permission))) {
+      return `You cannot change the ${existing.name} role: it has permissions you don't hold`;
+    }
+    if (baseRole !== undefined && baseRole !== existing.baseRole) {
+      return 'Only Admins can change the base role of a role';
+    }
+  }
+
+  if (baseRole === 'Admin') return 'Only Admins can create roles with base role Admin';
+
+  const missing = (permissions || []).filter(permission => !hasPermission(user, permission));
+  if (missing.length > 0) return `You cannot grant permissions you don't hold: ${missing.join(', ')}`;
+  return null;
+}
+
+// @route   GET /api/roles
+// @desc    Get all roles with their permissions
+// @access  Private (role:manage)
+router.get('/', async (req, res) => {
+  try {
+    const roles = await loadRoles();
+
+    res.json({
+      success: true,
+      data: [...roles.values()].map(formatRoleResponse)
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/roles/permissions
+// @desc    Get the catalog of named permissions and access levels
+// @access  Private (role:manage)
+router.get('/permissions', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      accessLevels: ACCESS_LEVELS
+    }
+  });
+});
+
+// @route   POST /api/roles
+// @desc    Create a role
+// @access  Private (role:manage)
+// @body    Sample JSON:
+//          {
+//            "name": "Paralegal",
+//            "description": "Prepares filings on assigned matters",
+//            "baseRole": "Lawyer",
+//            "permissions": ["case:read", "document:read", "document:write", "time:write"]
+//          }
+//          Note: baseRole sets the data scope (Lawyer = assigned matters only); only Admins
+//          can create Admin-level roles, others only grant permissions they hold
+router.post('/', [
+  body('name').trim().notEmpty(),
+  body('description').optional().trim(),
+  body('baseRole').isIn(ACCESS_LEVELS),
+  ...permissionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, baseRole, permissions } = req.body;
+
+    if (await getRole(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const changeError = checkRoleChange(req.user, { baseRole, permissions });
+    if (changeError) {
+      return res.status(403).json({
+        success: false,
+        message: changeError
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      baseRole,
+      permissions: [...new Set(permissions || [])],
+      updatedBy: req.user._id
+    });
+    clearRoleCache();
+    await recordAudit(req, { action: 'create', entityType: 'Role', entityId: name, after: role });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: formatRoleResponse(await getRole(name))
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/roles/:name
+// @desc    Update a role's description and permissions
+// @access  Private (role:manage)
+// @body    Sample JSON:
+//          {
+//            "permissions": ["case:read", "invoice:read", "invoice:write"]
+//          }
+//          Note: built-in roles keep their base role; Admin always has every permission.
+//          Users who are not Admins cannot change their own role, Admin-level roles or
+//          base roles, and only grant permissions they hold
+router.put('/:name', [
+  body('description').optional().trim(),
+  body('baseRole').optional().isIn(ACCESS_LEVELS),
+  ...permissionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await getRole(req.params.name);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const builtIn = BUILT_IN_ROLES[existing.name];
+    if (builtIn && req.body.baseRole !== undefined && req.body.baseRole !== builtIn.baseRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'The base role of a built-in role cannot be changed'
+      });
+    }
+
+    if (existing.name === 'Admin' && req.body.permissions !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin permissions cannot be changed'
+      });
+    }
+
+    const changeError = checkRoleChange(req.user, {
+      existing,
+      baseRole: req.body.baseRole,
+      permissions: req.body.permissions
+    });
+    if (changeError) {
+      return res.status(403).json({
+        success: false,
+        message: changeError
+      });
+    }
+
+    // Built-in roles are only stored once they are customised
+    const role = await Role.findOne({ name: existing.name }) || new Role({
+      name: existing.name,
+      description: existing.description,
+      baseRole: existing.baseRole,
+      permissions: existing.permissions
+    });
+
+    if (req.body.description !== undefined) role.description = req.body.description;
+    if (req.body.baseRole !== undefined) role.baseRole = req.body.baseRole;
+    if (req.body.permissions !== undefined) role.permissions = [...new Set(req.body.permissions)];
+    role.updatedBy = req.user._id;
+    await role.save();
+    clearRoleCache();
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Role',
+      entityId: role.name,
+      before: { description: existing.description, baseRole: existing.baseRole, permissions: existing.permissions },
+      after: { description: role.description, baseRole: role.baseRole, permissions: role.permissions }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: formatRoleResponse(await getRole(role.name))
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/roles/:name
+// @desc    Delete a custom role, or reset a built-in role to its defaults
+// @access  Private (role:manage)
+//          Note: users who are not Admins can't delete or reset roles they couldn't change
+router.delete('/:name', async (req, res) => {
+  try {
+    const existing = await getRole(req.params.name);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Resetting a built-in role grants its default permissions again
+    const changeError = checkRoleChange(req.user, {
+      existing,
+      permissions: existing.isSystem ? BUILT_IN_ROLES[existing.name].permissions : undefined
+    });
+    if (changeError) {
+      return res.status(403).json({
+        success: false,
+        message: changeError
+      });
+    }
+
+    if (!existing.isSystem) {
+      const [userCount, invitationCount] = await Promise.all([
+        User.countDocuments({ role: existing.name }),
+        Invitation.countDocuments({ role: existing.name, status: 'Pending' })
+      ]);
+      if (userCount > 0 || invitationCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Role is still assigned to ${userCount} user(s) and ${invitationCount} pending invitation(s)`
+        });
+      }
+    }
+
+    await Role.deleteOne({ name: existing.name });
+    clearRoleCache();
+    await recordAudit(req, {
+      action: existing.isSystem ? 'reset' : 'delete',
+      entityType: 'Role',
+      entityId: existing.name,
+      before: { description: existing.description, baseRole: existing.baseRole, permissions: existing.permissions }
+    });
+
+    res.json({
+      success: true,
+      message: existing.isSystem ? 'Role reset to defaults' : 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
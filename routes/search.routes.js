@@ -0,0 +1,57 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { SEARCH_TYPES, globalSearch } = require('../services/search');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// @route   GET /api/search
+// @desc    Search cases, clients, notices, messages and documents at once
+// @access  Private (each result group needs its read permission, e.g. case:read)
+// @query   q (required), types (comma-separated, e.g. cases,clients), limit (per group, default 5)
+router.get('/', [
+  query('q').trim().isLength({ min: 2, max: 200 }).withMessage('Search text must be 2 to 200 characters'),
+  query('types').optional().custom(types => {
+    const unknown = String(types).split(',').filter(type => !SEARCH_TYPES.includes(type.trim()));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown search types: ${unknown.join(', ')}. Allowed: ${SEARCH_TYPES.join(', ')}`);
+    }
+    return true;
+  }),
+  query('limit').optional().isInt({ min: 1, max: 20 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q, limit } = req.query;
+    const types = req.query.types
+      ? [...new Set(req.query.types.split(',').map(type => type.trim()))]
+      : SEARCH_TYPES;
+
+    const results = await globalSearch(req.user, q, { types, limit: limit || 5 });
+
+    res.json({
+      success: true,
+      query: q,
+      data: results
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
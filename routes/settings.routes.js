@@ -0,0 +1,84 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { roleExists } = require('../utils/roles');
+const { getSetting, updateSetting } = require('../utils/settings');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requirePermission('settings:manage'));
+
+// @route   GET /api/settings/security
+// @desc    Get the security policy
+// @access  Private (settings:manage)
+router.get('/security', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getSetting('security')
+    });
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/settings/security
+// @desc    Update the security policy
+// @access  Private (settings:manage)
+// @body    Sample JSON:
+//          {
+//            "requireTwoFactorRoles": ["Admin", "Lawyer"]
+//          }
+//          Note: users in these roles must enroll in 2FA before using the API
+router.put('/security', [
+  body('requireTwoFactorRoles').optional().isArray(),
+  body('requireTwoFactorRoles.*').custom(roleExists)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const update = {};
+    if (req.body.requireTwoFactorRoles !== undefined) {
+      update.requireTwoFactorRoles = [...new Set(req.body.requireTwoFactorRoles)];
+    }
+
+    // An Admin requiring 2FA for their own role must already have it, or they'd lock themselves out
+    if ((update.requireTwoFactorRoles || []).includes(req.user.role) && !req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account before requiring it for your role'
+      });
+    }
+
+    const before = await getSetting('security');
+    const security = await updateSetting('security', update, req.user._id);
+    await recordAudit(req, { action: 'update', entityType: 'Setting', entityId: 'security', before, after: security });
+
+    res.json({
+      success: true,
+      data: security
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
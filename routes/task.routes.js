@@ -0,0 +1,92 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Case = require('../models/Case.model');
+const Task = require('../models/Task.model');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { refId } = require('../utils/caseAccess');
+const { listValidators, getListOptions, findPage } = require('../utils/listQuery');
+
+const router = express.Router();
+
+const TASK_STATUSES = ['Open', 'InProgress', 'Done', 'Cancelled'];
+
+// All routes require authentication
+router.use(authenticate);
+
+// Helper function to format a task in the inbox with its case
+function formatInboxTask(task) {
+  const caseItem = task.caseId && typeof task.caseId === 'object' && task.caseId._id ? task.caseId : null;
+
+  return {
+    id: task._id.toString(),
+    caseId: caseItem ? caseItem._id.toString() : refId(task.caseId),
+    caseNumber: caseItem ? caseItem.caseNumber : undefined,
+    caseTitle: caseItem ? caseItem.title : undefined,
+    title: task.title,
+    dueDate: task.dueDate || undefined,
+    priority: task.priority,
+    status: task.status,
+    overdue: !!task.dueDate && task.dueDate < new Date() && ['Open', 'InProgress'].includes(task.status),
+    checklistDone: (task.checklist || []).filter(item => item.done).length,
+    checklistTotal: (task.checklist || []).length,
+    commentCount: (task.comments || []).length,
+    updatedAt: task.updatedAt
+  };
+}
+
+// @route   GET /api/tasks/mine
+// @desc    Get the tasks assigned to the current user across their cases
+// @access  Private (task:read)
+// @query   status  - One or more comma-separated statuses, default Open,InProgress
+//          overdue - true for only tasks past their due date
+//          caseId, page, limit, sort (default dueDate)
+router.get('/mine', requirePermission('task:read'), [
+  query('status').optional().custom(status => {
+    const unknown = String(status).split(',').filter(s => !TASK_STATUSES.includes(s));
+    if (unknown.length > 0) throw new Error(`Unknown status ${unknown.join(', ')}. Allowed: ${TASK_STATUSES.join(', ')}`);
+    return true;
+  }),
+  query('overdue').optional().isBoolean(),
+  query('caseId').optional().isMongoId(),
+  ...listValidators(['dueDate', 'priority', 'status', 'createdAt', 'updatedAt'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const options = getListOptions(req, { dueDate: 1, createdAt: 1 });
+    const filter = {
+      assigneeId: req.user._id,
+      status: { $in: req.query.status ? req.query.status.split(',') : ['Open', 'InProgress'] }
+    };
+    if (req.query.overdue === 'true') filter.dueDate = { $lt: new Date() };
+
+    // Leave out tasks of cases in the trash
+    const trashed = await Case.find({ deletedAt: { $ne: null } }).select('_id');
+    filter.caseId = { $nin: trashed.map(c => c._id) };
+    if (req.query.caseId) filter.caseId.$eq = req.query.caseId;
+
+    const { items: tasks, pagination } = await findPage(Task, filter, options, q => q
+      .populate('caseId', 'caseNumber title'));
+
+    res.json({
+      success: true,
+      data: tasks.map(formatInboxTask),
+      pagination
+    });
+  } catch (error) {
+    console.error('Get my tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
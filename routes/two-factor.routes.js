@@ -0,0 +1,366 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User.model');
+const { authenticateForTwoFactorSetup } = require('../middleware/auth.middleware');
+const { createSession } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes
+} = require('../utils/totp');
+const {
+  hashRecoveryCode,
+  isTwoFactorRequired,
+  twoFactorLockedUntil,
+  verifySecondFactor,
+  verifyTwoFactorChallenge
+} = require('../utils/twoFactor');
+
+// Mounted under /api/auth/2fa
+const router = express.Router();
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'LegalMS';
+
+// Refuse codes from a user locked out by too many invalid ones; sends the error response itself
+function rejectLocked(user, res) {
+  const lockedUntil = twoFactorLockedUntil(user);
+  if (!lockedUntil) return false;
+
+  const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+  res.status(429).json({
+    success: false,
+    message: `Too many invalid codes. Try again in ${minutes} minute(s).`
+  });
+  return true;
+}
+
+// Issue fresh recovery codes; returns the plain codes to show the user once
+function resetRecoveryCodes(user) {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map(code => hashRecoveryCode(code));
+  return codes;
+}
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a two-step login with an authenticator or recovery code
+// @access  Public (requires the challengeToken returned by login)
+// @body    Sample JSON:
+//          {
+//            "challengeToken": "<challengeToken from login>",
+//            "code": "123456"
+//          }
+//          Note: send "recoveryCode" instead of "code" if the device is lost; after 5 invalid
+//          codes in a row, codes are refused for 15 minutes
+router.post('/verify', [
+  body('challengeToken').isString().notEmpty(),
+  body('code').optional().trim(),
+  body('recoveryCode').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'An authenticator code or recovery code is required'
+      });
+    }
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or inactive user'
+      });
+    }
+
+    if (rejectLocked(user, res)) return;
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const tokens = await createSession(user, req);
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        phone: user.phone,
+        role: user.role,
+        isActive: user.isActive,
+        emailVerified: user.emailVerified !== false
+      },
+      ...(method === 'recovery_code' && {
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+      })
+    });
+  } catch (error) {
+    console.error('Verify 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// Enrollment routes work for users who are still required to set up 2FA
+router.use(authenticateForTwoFactorSetup);
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's 2FA status
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const twoFactor = req.user.twoFactor || {};
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!twoFactor.enabled,
+        enabledAt: twoFactor.enabledAt || undefined,
+        required: await isTwoFactorRequired(req.user),
+        recoveryCodesRemaining: twoFactor.enabled ? twoFactor.recoveryCodes.length : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: create a secret and its provisioning URI
+// @access  Private
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+      }
+    });
+  } catch (error) {
+    console.error('Setup 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrollment by confirming a code from the authenticator app
+// @access  Private
+// @body    Sample JSON:
+//          {
+//            "code": "123456"
+//          }
+//          Note: the response contains recovery codes; they are only shown once
+router.post('/enable', [
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start setup before enabling two-factor authentication'
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+    await recordAudit(req, { action: 'two_factor_enable', entityType: 'User', entityId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Enable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes
+// @access  Private
+// @body    Sample JSON:
+//          {
+//            "code": "123456"
+//          }
+router.post('/recovery-codes', [
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (rejectLocked(user, res)) return;
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA
+// @access  Private
+// @body    Sample JSON:
+//          {
+//            "password": "password123",
+//            "code": "123456"
+//          }
+//          Note: not allowed when the security policy requires 2FA for the user's role
+router.post('/disable', [
+  body('password').notEmpty(),
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (rejectLocked(user, res)) return;
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+    await recordAudit(req, { action: 'two_factor_disable', entityType: 'User', entityId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User.model');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const Client = require('../models/Client.model');
+const Session = require('../models/Session.model');
+const { revokeSessions } = require('../utils/sessions');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { getRole, getAccessLevel, checkRoleAssignment, hasPermission } = require('../utils/roles');
+const { recordAudit } = require('../utils/audit');
+const { canManageClient } = require('../utils/caseAccess');
 
 const router = express.Router();
 
@@ -19,19 +25,54 @@ function formatUserResponse(user) {
     lastName: user.lastName || '',
     phone: user.phone || '',
     role: user.role || 'Client',
-    isActive: user.isActive !== undefined ? user.isActive : true
+    isActive: user.isActive !== undefined ? user.isActive : true,
+    clientIds: (user.clientIds || []).map(id => (id._id ? id._id.toString() : id.toString())),
+    twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled)
   };
 }
 
+// Check that a user manager may act on another user's account: only someone who could
+// assign the target's role, so Admins can't be deactivated or signed out by delegates.
+// Resolves to an error message, or null when allowed.
+async function checkManagedUser(actor, target) {
+  if (!(await getRole(target.role))) return null;
+  if (await checkRoleAssignment(actor, target.role)) return `You cannot manage users with the ${target.role} role`;
+  return null;
+}
+
+// Load the target user and check the user manager may act on them; sends the error response itself
+async function loadManagedUser(req, res) {
+  const target = await User.findById(req.params.id).select('-password');
+  if (!target) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  const targetError = await checkManagedUser(req.user, target);
+  if (targetError) {
+    res.status(403).json({
+      success: false,
+      message: targetError
+    });
+    return null;
+  }
+
+  return target;
+}
+
 // @route   GET /api/users
 // @desc    Get all users
-// @access  Private (Admin, Lawyer)
-router.get('/', authorize('Admin', 'Lawyer'), async (req, res) => {
+// @access  Private (user:read)
+router.get('/', requirePermission('user:read'), async (req, res) => {
   try {
-    const { role, isActive } = req.query;
+    const { role, isActive, clientId } = req.query;
     const filter = {};
     
     if (role) filter.role = role;
+    if (clientId) filter.clientIds = clientId;
     if (isActive !== undefined) filter.isActive = isActive === 'true';
 
     const users = await User.find(filter).select('-password').sort({ createdAt: -1 });
@@ -51,11 +92,11 @@ router.get('/', authorize('Admin', 'Lawyer'), async (req, res) => {
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private
+// @access  Private (user:read, or own profile)
 router.get('/:id', async (req, res) => {
   try {
-    // Users can only view their own profile unless they're Admin/Lawyer
-    if (req.user.role !== 'Admin' && req.user.role !== 'Lawyer' && req.user._id.toString() !== req.params.id) {
+    // Users can only view their own profile unless they can read users
+    if (!hasPermission(req.user, 'user:read') && req.user._id.toString() !== req.params.id) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -83,14 +124,22 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Fields users can change on their own profile
+const PROFILE_FIELDS = ['firstName', 'lastName', 'phone'];
+// Fields only user managers can change
+const MANAGED_FIELDS = ['isActive', 'role'];
+
 // @route   PUT /api/users/:id
 // @desc    Update user
-// @access  Private (Admin or own profile)
+// @access  Private (user:manage, or own profile)
+//          Note: users editing their own profile can change firstName, lastName and phone;
+//          user managers can also change isActive and role
 router.put('/:id', [
   body('firstName').optional().trim().notEmpty(),
   body('lastName').optional().trim().notEmpty(),
   body('phone').optional().trim(),
-  body('isActive').optional().isBoolean()
+  body('isActive').optional().isBoolean().toBoolean(),
+  body('role').optional().trim().notEmpty()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -102,22 +151,57 @@ router.put('/:id', [
       });
     }
 
-    // Only Admin can update other users, or users can update their own profile
-    if (req.user.role !== 'Admin' && req.user._id.toString() !== req.params.id) {
+    // Only user managers can update other users, or users can update their own profile
+    const canManageUsers = hasPermission(req.user, 'user:manage');
+    if (!canManageUsers && req.user._id.toString() !== req.params.id) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    // Only Admin can change isActive status
-    if (req.body.isActive !== undefined && req.user.role !== 'Admin') {
-      delete req.body.isActive;
+    // Build the update from the editable fields alone; credentials, security state,
+    // client links and preferences have their own endpoints
+    const editable = canManageUsers ? [...PROFILE_FIELDS, ...MANAGED_FIELDS] : PROFILE_FIELDS;
+    const updates = Object.fromEntries(editable
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+
+    if (updates.role !== undefined && !(await getRole(updates.role))) {
+      return res.status(400).json({
+        success: false,
+        message: `Role "${updates.role}" does not exist`
+      });
+    }
+
+    const before = await User.findById(req.params.id).select('-password');
+
+    // Only someone who could assign a user's role can deactivate or reactivate them
+    if (before && updates.isActive !== undefined && updates.isActive !== before.isActive) {
+      const targetError = await checkManagedUser(req.user, before);
+      if (targetError) {
+        return res.status(403).json({
+          success: false,
+          message: targetError
+        });
+      }
+    }
+
+    // A role can only be given, or taken away, by someone who could assign it
+    if (before && updates.role !== undefined && updates.role !== before.role) {
+      const roleError = await checkRoleAssignment(req.user, updates.role) ||
+        await checkManagedUser(req.user, before);
+      if (roleError) {
+        return res.status(403).json({
+          success: false,
+          message: roleError
+        });
+      }
     }
 
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body },
+      { $set: updates },
       { new: true, runValidators: true }
     ).select('-password');
 
@@ -128,6 +212,13 @@ router.put('/:id', [
       });
     }
 
+    await recordAudit(req, { action: 'update', entityType: 'User', entityId: user._id, before, after: user });
+
+    // Deactivated users are signed out everywhere
+    if (!user.isActive) {
+      await revokeSessions({ userId: user._id }, 'deactivated');
+    }
+
     res.json({
       success: true,
       data: formatUserResponse(user)
@@ -143,15 +234,50 @@ router.put('/:id', [
 
 // @route   DELETE /api/users/:id
 // @desc    Delete user (soft delete by setting isActive to false)
-// @access  Private (Admin only)
-router.delete('/:id', authorize('Admin'), async (req, res) => {
+// @access  Private (user:manage, and able to assign the user's role)
+router.delete('/:id', requirePermission('user:manage'), async (req, res) => {
   try {
+    const target = await loadManagedUser(req, res);
+    if (!target) return;
+
     const user = await User.findByIdAndUpdate(
-      req.params.id,
+      target._id,
       { isActive: false },
       { new: true }
     ).select('-password');
 
+    await revokeSessions({ userId: user._id }, 'deactivated');
+    await recordAudit(req, { action: 'deactivate', entityType: 'User', entityId: user._id, after: { isActive: false } });
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/:id/clients
+// @desc    Get the client records a portal user represents
+// @access  Private (user:read, or own account)
+router.get('/:id/clients', async (req, res) => {
+  try {
+    if (!hasPermission(req.user, 'user:read') && req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const user = await User.findById(req.params.id)
+      .select('clientIds')
+      .populate('clientIds', 'name email phone companyName');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -161,11 +287,224 @@ router.delete('/:id', authorize('Admin'), async (req, res) => {
 
     res.json({
       success: true,
-      message: 'User deactivated successfully',
-      data: user
+      data: user.clientIds.map(client => ({
+        id: client._id.toString(),
+        name: client.name,
+        email: client.email,
+        phone: client.phone,
+        companyName: client.companyName || undefined
+      }))
     });
   } catch (error) {
-    console.error('Delete user error:', error);
+    console.error('Get user clients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/clients
+// @desc    Link a Client-role user to a client record
+// @access  Private (client:write)
+// @body    Sample JSON:
+//          {
+//            "clientId": "65a1b2c3d4e5f6a7b8c9d0e1"
+//          }
+router.post('/:id/clients', requirePermission('client:write'), [
+  body('clientId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await getAccessLevel(user.role) !== 'Client') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only Client users can be linked to client records'
+      });
+    }
+
+    const client = await Client.findById(req.body.clientId);
+    if (!client) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    if (!canManageClient(req.user, client)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $addToSet: { clientIds: client._id } },
+      { new: true }
+    ).select('-password');
+    await recordAudit(req, { action: 'client_link', entityType: 'User', entityId: user._id, after: { clientId: client._id } });
+
+    res.json({
+      success: true,
+      data: formatUserResponse(updated)
+    });
+  } catch (error) {
+    console.error('Link user client error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/clients/:clientId
+// @desc    Unlink a user from a client record
+// @access  Private (client:write)
+router.delete('/:id/clients/:clientId', requirePermission('client:write'), async (req, res) => {
+  try {
+    // Links to client records that no longer exist are cleaned up by Admins only
+    const client = await Client.findById(req.params.clientId);
+    if (client ? !canManageClient(req.user, client) : req.user.accessLevel !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { clientIds: req.params.clientId } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await recordAudit(req, { action: 'client_unlink', entityType: 'User', entityId: user._id, before: { clientId: req.params.clientId } });
+
+    res.json({
+      success: true,
+      data: formatUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Unlink user client error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/2fa/reset
+// @desc    Turn off a user's 2FA (lost device); they must enroll again if their role requires it
+// @access  Private (user:manage, and able to assign the user's role)
+router.post('/:id/2fa/reset', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const target = await loadManagedUser(req, res);
+    if (!target) return;
+
+    const user = await User.findByIdAndUpdate(
+      target._id,
+      { twoFactor: { enabled: false } },
+      { new: true }
+    ).select('-password');
+
+    await revokeSessions({ userId: user._id }, 'revoked');
+    await recordAudit(req, { action: 'two_factor_reset', entityType: 'User', entityId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset',
+      data: formatUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Reset user 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/:id/sessions
+// @desc    Get a user's active sessions
+// @access  Private (user:manage, and able to assign the user's role)
+router.get('/:id/sessions', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const target = await loadManagedUser(req, res);
+    if (!target) return;
+
+    const sessions = await Session.find({
+      userId: target._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id.toString(),
+        deviceName: session.deviceName || undefined,
+        userAgent: session.userAgent || '',
+        ipAddress: session.ipAddress || '',
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/sessions
+// @desc    Log a user out of all sessions
+// @access  Private (user:manage, and able to assign the user's role)
+router.delete('/:id/sessions', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const target = await loadManagedUser(req, res);
+    if (!target) return;
+
+    const count = await revokeSessions({ userId: target._id }, 'revoked');
+    await recordAudit(req, {
+      action: 'sessions_revoke',
+      entityType: 'User',
+      entityId: target._id,
+      note: `Revoked ${count} session(s)`
+    });
+
+    res.json({
+      success: true,
+      message: `Revoked ${count} session(s)`,
+      count
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -0,0 +1,75 @@
+/**
+ * Local stand-in for the eCourt case-status service.
+ * Lets the eCourt integration be exercised without network access:
+ *
+ *   node scripts/ecourt-stub-server.js
+ *   ECOURT_API_URL=http://localhost:5055 npm run dev
+ *
+ * Cases are served from ECOURT_STUB_DATA (a JSON file with an array of cases)
+ * or from the sample data below.
+ */
+const fs = require('fs');
+const express = require('express');
+
+const PORT = process.env.ECOURT_STUB_PORT || 5055;
+
+const sampleCases = [
+  {
+    cnr: 'KLER010012342023',
+    court: 'KLER01',
+    caseType: 'CS',
+    number: '1234',
+    year: 2023,
+    courtName: 'Principal Sub Court, Ernakulam',
+    caseStatus: 'Pending',
+    registrationNumber: 'CS 1234/2023',
+    filingDate: '2023-06-12',
+    nextHearingDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    nextHearingPurpose: 'Evidence',
+    bench: 'Principal Sub Judge',
+    orders: [
+      { orderNumber: '1', orderDate: '2023-07-01', title: 'Summons issued to defendant' },
+      { orderNumber: '2', orderDate: '2023-09-15', title: 'Written statement filed, issues framed' }
+    ]
+  },
+  {
+    cnr: 'DLND020045672022',
+    court: 'DLND02',
+    caseType: 'CC',
+    number: '4567',
+    year: 2022,
+    courtName: 'Metropolitan Magistrate (NI Act), Saket',
+    caseStatus: 'Disposed',
+    registrationNumber: 'CC NI ACT 4567/2022',
+    filingDate: '2022-03-02',
+    orders: [
+      { orderNumber: '1', orderDate: '2022-04-10', title: 'Cognizance taken under Section 138 NI Act' },
+      { orderNumber: '9', orderDate: '2024-01-20', title: 'Judgment: accused convicted' }
+    ]
+  }
+];
+
+const cases = process.env.ECOURT_STUB_DATA
+  ? JSON.parse(fs.readFileSync(process.env.ECOURT_STUB_DATA, 'utf8'))
+  : sampleCases;
+
+const app = express();
+
+app.get('/cases/cnr/:cnr', (req, res) => {
+  const found = cases.find(c => c.cnr === req.params.cnr.toUpperCase());
+  if (!found) return res.status(404).json({ success: false, message: 'Case not found' });
+  res.json({ success: true, data: found });
+});
+
+app.get('/cases/search', (req, res) => {
+  const { court, caseType, number, year } = req.query;
+  const found = cases.find(c =>
+    c.court === court && c.caseType === caseType && c.number === number && String(c.year) === String(year)
+  );
+  if (!found) return res.status(404).json({ success: false, message: 'Case not found' });
+  res.json({ success: true, data: found });
+});
+
+app.listen(PORT, () => {
+  console.log(`eCourt stub server running on port ${PORT} (${cases.length} cases)`);
+});
@@ -0,0 +1,46 @@
+/**
+ * One-off migration: link Client-role users to the client records that share
+ * their email address. Before user/client links existed, portal access was
+ * decided by matching emails; run this once after upgrading so existing
+ * portal users keep seeing their cases, invoices and notices.
+ *
+ *   node scripts/link-client-users.js
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User.model');
+const Client = require('../models/Client.model');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/legalms';
+
+async function run() {
+  await mongoose.connect(MONGODB_URI);
+
+  const users = await User.find({ role: 'Client' }).select('email clientIds');
+  let linked = 0;
+
+  for (const user of users) {
+    const clients = await Client.find({ email: user.email }).select('_id');
+    const missing = clients.filter(c => !user.clientIds.some(id => id.equals(c._id)));
+    if (missing.length === 0) continue;
+
+    await User.updateOne(
+      { _id: user._id },
+      { $addToSet: { clientIds: { $each: missing.map(c => c._id) } } }
+    );
+    linked += missing.length;
+    console.log(`Linked ${user.email} to ${missing.length} client record(s)`);
+  }
+
+  console.log(`✓ Done: ${linked} link(s) created for ${users.length} Client user(s)`);
+}
+
+run()
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
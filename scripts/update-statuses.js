@@ -0,0 +1,34 @@
+/**
+ * Mark past-due sent invoices as Overdue and past-due pending notices as Expired,
+ * then send the reminders that are due. The server does this in the background;
+ * on serverless deployments, where nothing runs between requests, schedule this
+ * command instead (e.g. hourly with cron or the platform's scheduler).
+ *
+ *   node scripts/update-statuses.js
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { runStatusTransitions } = require('../services/statusTransitions');
+const { runReminders } = require('../services/notifications');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/legalms';
+
+async function run() {
+  await mongoose.connect(MONGODB_URI);
+
+  const transitions = await runStatusTransitions();
+  console.log(`Marked ${transitions.overdueInvoices} invoice(s) Overdue and ${transitions.expiredNotices} notice(s) Expired`);
+
+  const reminders = await runReminders();
+  console.log(`✓ Done: ${reminders.emailsSent} reminder email(s) sent, ${reminders.emailsFailed} failed`);
+}
+
+run()
+  .catch((error) => {
+    console.error('Status update failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -15,11 +15,34 @@ const billingRoutes = require('./routes/billing.routes');
 const messageRoutes = require('./routes/message.routes');
 const noticeRoutes = require('./routes/notice.routes');
 const caseTypeRoutes = require('./routes/case-type.routes');
+const caseViewRoutes = require('./routes/case-view.routes');
 const ecourtRoutes = require('./routes/ecourt.routes');
+const calendarRoutes = require('./routes/calendar.routes');
+const settingsRoutes = require('./routes/settings.routes');
+const invitationRoutes = require('./routes/invitation.routes');
+const roleRoutes = require('./routes/role.routes');
+const auditRoutes = require('./routes/audit.routes');
+const searchRoutes = require('./routes/search.routes');
+const conflictRoutes = require('./routes/conflict.routes');
+const deadlineRoutes = require('./routes/deadline.routes');
+const taskRoutes = require('./routes/task.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const noticeTemplateRoutes = require('./routes/notice-template.routes');
+
+// Background jobs
+const { registerJobs } = require('./jobs');
+const { startScheduler } = require('./services/scheduler');
 
 // Initialize Express app
 const app = express();
 
+// Proxies in front of the app (e.g. TRUST_PROXY=1 behind one load balancer), so req.ip
+// comes from X-Forwarded-For only when it was set by them
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy));
+}
+
 // Middleware - CORS configuration
 const isDevelopment = process.env.NODE_ENV !== 'production';
 const allowedOrigins = process.env.FRONTEND_URL 
@@ -185,7 +208,19 @@ app.use('/api/billing', billingRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/notices', noticeRoutes);
 app.use('/api/case-types', caseTypeRoutes);
+app.use('/api/case-views', caseViewRoutes);
 app.use('/api/ecourt', ecourtRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/conflicts', conflictRoutes);
+app.use('/api/deadlines', deadlineRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/notice-templates', noticeTemplateRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -420,6 +455,12 @@ async function initializeServer() {
     
     // Connect to database
     await connectToDatabase();
+
+    // Background jobs need a long-running process, so they are skipped in serverless mode
+    if (!isServerless) {
+      registerJobs();
+      startScheduler();
+    }
     
     // Start Express server
     const PORT = process.env.PORT || 5000;
@@ -0,0 +1,283 @@
+/**
+ * Conflict-of-interest checks. People and companies on the client side of a matter
+ * (new clients, co-parties) are compared with adverse parties on existing cases, and
+ * adverse parties (opposing parties and counsel) with existing clients. Names and
+ * companies are matched loosely; emails and phone numbers exactly. Only candidates that
+ * share an email, a phone number or the start of a name word are loaded and scored.
+ */
+const Case = require('../models/Case.model');
+const Client = require('../models/Client.model');
+const ConflictCheck = require('../models/ConflictCheck.model');
+
+const PARTY_ROLES = ['opposing_party', 'co_party', 'opposing_counsel', 'co_counsel'];
+const ADVERSE_ROLES = ['opposing_party', 'opposing_counsel'];
+
+// Name similarity (0-1) at or above which names are reported
+const MATCH_THRESHOLD = 0.8;
+
+// Titles and company forms that say nothing about who someone is
+const IGNORED_NAME_TOKENS = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'dr', 'shri', 'smt', 'sri', 'kumari', 'adv', 'm', 's',
+  'the', 'and', 'of', 'co', 'company', 'corp', 'corporation', 'inc', 'incorporated',
+  'ltd', 'limited', 'pvt', 'private', 'llp', 'llc', 'plc', 'pte', 'gmbh'
+]);
+
+// Lower-case name tokens without punctuation, accents, titles or company forms
+function nameTokens(name) {
+  if (!name) return [];
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !IGNORED_NAME_TOKENS.has(token));
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for identical strings, falling towards 0 as more edits are needed
+const editSimilarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+
+/**
+ * How alike two names are, from 0 to 1. Word order, titles and company forms are
+ * ignored and small typos tolerated; "Rajesh Sharma" also matches "Rajesh Kumar Sharma".
+ */
+function nameSimilarity(a, b) {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const unused = [...longer];
+  let matched = 0;
+  let credit = 0;
+  shorter.forEach(token => {
+    const index = unused.findIndex(other => other === token || (token.length > 3 && editSimilarity(token, other) >= 0.8));
+    if (index !== -1) {
+      matched++;
+      credit += editSimilarity(token, unused[index]);
+      unused.splice(index, 1);
+    }
+  });
+
+  let score = (2 * credit) / (tokensA.length + tokensB.length);
+  // Every word of a name with two or more words appears in the other, e.g. a middle name was left out
+  if (matched === shorter.length && shorter.length >= 2) score = Math.max(score, 0.85 * credit / matched);
+
+  const whole = editSimilarity([...tokensA].sort().join(' '), [...tokensB].sort().join(' '));
+  return Math.round(Math.max(score, whole) * 100) / 100;
+}
+
+// Last ten digits of a phone number, so country codes and formatting don't matter
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+// Reasons an entry and a known person or company may be the same
+function compare(entry, candidate) {
+  const reasons = [];
+
+  const email = normalizeEmail(entry.email);
+  if (email && email === normalizeEmail(candidate.email)) {
+    reasons.push({ field: 'email', value: entry.email, matched: candidate.email, score: 1 });
+  }
+
+  const phone = normalizePhone(entry.phone);
+  if (phone && phone === normalizePhone(candidate.phone)) {
+    reasons.push({ field: 'phone', value: entry.phone, matched: candidate.phone, score: 1 });
+  }
+
+  let best = null;
+  [entry.name, entry.companyName].filter(Boolean).forEach(value => {
+    [candidate.name, candidate.companyName].filter(Boolean).forEach(matched => {
+      const score = nameSimilarity(value, matched);
+      if (score >= MATCH_THRESHOLD && (!best || score > best.score)) {
+        best = { field: value === entry.name ? 'name' : 'companyName', value, matched, score };
+      }
+    });
+  });
+  if (best) reasons.push(best);
+
+  return reasons;
+}
+
+// Regex for a stored phone number ending in the given digits, however it is formatted
+const phonePattern = (digits) => new RegExp(`${digits.split('').join('\\D*')}\\D*$`);
+
+/**
+ * Query conditions (for a client, or a case party inside $elemMatch) on anyone who could
+ * match one of the entries: the same email or phone number, or a name or company with a
+ * word starting with the same three letters as a word of theirs. Null when the entries
+ * give nothing to look for.
+ */
+function candidateConditions(entries) {
+  const conditions = [];
+
+  const emails = [...new Set(entries.map(entry => normalizeEmail(entry.email)).filter(Boolean))];
+  if (emails.length > 0) conditions.push({ email: { $in: emails } });
+
+  const phones = [...new Set(entries.map(entry => normalizePhone(entry.phone)).filter(Boolean))];
+  phones.forEach(phone => conditions.push({ phone: phonePattern(phone) }));
+
+  // Name tokens are letters and digits only, so they need no escaping
+  const prefixes = [...new Set(entries
+    .flatMap(entry => [...nameTokens(entry.name), ...nameTokens(entry.companyName)])
+    .map(token => token.slice(0, 3)))];
+  if (prefixes.length > 0) {
+    const namePattern = new RegExp(`(^|[^a-z0-9])(${prefixes.join('|')})`, 'i');
+    conditions.push({ name: namePattern }, { companyName: namePattern });
+  }
+
+  return conditions.length > 0 ? conditions : null;
+}
+
+const topScore = (reasons) => Math.max(...reasons.map(reason => reason.score));
+
+// What to check for a client: its name, company, email and phone
+const clientEntries = (client) => [{
+  side: 'client',
+  role: 'client',
+  name: client.name,
+  companyName: client.companyName,
+  email: client.email,
+  phone: client.phone
+}];
+
+// What to check for case parties: adverse parties against clients, co-parties against adverse parties
+const partyEntries = (parties) => (parties || [])
+  .filter(party => party.role !== 'co_counsel')
+  .map(party => ({
+    side: ADVERSE_ROLES.includes(party.role) ? 'adverse' : 'client',
+    role: party.role,
+    name: party.name,
+    companyName: party.companyName,
+    email: party.email,
+    phone: party.phone
+  }));
+
+/**
+ * Find potential conflicts for the entries, best matches first.
+ * excludeClientIds and excludeCaseId leave out the matter being checked.
+ */
+const findConflicts = async (entries, { excludeClientIds = [], excludeCaseId } = {}) => {
+  const matches = [];
+  const adverse = entries.filter(entry => entry.side === 'adverse');
+  const clientSide = entries.filter(entry => entry.side === 'client');
+
+  const adverseConditions = candidateConditions(adverse);
+  if (adverseConditions) {
+    const clients = await Client.find({ _id: { $nin: excludeClientIds }, $or: adverseConditions })
+      .select('name companyName email phone')
+      .lean();
+
+    clients.forEach(client => {
+      adverse.forEach(entry => {
+        const reasons = compare(entry, client);
+        if (reasons.length === 0) return;
+        matches.push({
+          source: 'client',
+          checkedName: entry.name,
+          checkedRole: entry.role,
+          clientId: client._id.toString(),
+          clientName: client.name,
+          reasons,
+          score: topScore(reasons)
+        });
+      });
+    });
+  }
+
+  const clientSideConditions = candidateConditions(clientSide);
+  if (clientSideConditions) {
+    const filter = {
+      parties: { $elemMatch: { role: { $in: ADVERSE_ROLES }, $or: clientSideConditions } }
+    };
+    if (excludeCaseId) filter._id = { $ne: excludeCaseId };
+    const cases = await Case.find(filter).select('caseNumber title parties').lean();
+
+    cases.forEach(caseItem => {
+      caseItem.parties
+        .filter(party => ADVERSE_ROLES.includes(party.role))
+        .forEach(party => {
+          clientSide.forEach(entry => {
+            const reasons = compare(entry, party);
+            if (reasons.length === 0) return;
+            matches.push({
+              source: 'party',
+              checkedName: entry.name,
+              checkedRole: entry.role,
+              caseId: caseItem._id.toString(),
+              caseNumber: caseItem.caseNumber,
+              caseTitle: caseItem.title,
+              partyId: party._id.toString(),
+              partyName: party.name,
+              partyRole: party.role,
+              reasons,
+              score: topScore(reasons)
+            });
+          });
+        });
+    });
+  }
+
+  return matches.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Run a check and keep its record. A check that finds anything waits for an Admin
+ * to clear or waive it.
+ */
+const runConflictCheck = async (entries, { subjectType, subjectId, userId, excludeClientIds, excludeCaseId } = {}) => {
+  const matches = entries.length > 0
+    ? await findConflicts(entries, { excludeClientIds, excludeCaseId })
+    : [];
+
+  return ConflictCheck.create({
+    subjectType,
+    subjectId,
+    checked: entries,
+    matches,
+    status: matches.length > 0 ? 'pending' : 'clear',
+    runBy: userId
+  });
+};
+
+// Short form of a check for create responses
+function summarizeConflictCheck(check) {
+  if (!check) return undefined;
+  return {
+    id: check._id.toString(),
+    status: check.status,
+    matches: check.matches
+  };
+}
+
+module.exports = {
+  PARTY_ROLES,
+  ADVERSE_ROLES,
+  nameSimilarity,
+  clientEntries,
+  partyEntries,
+  findConflicts,
+  runConflictCheck,
+  summarizeConflictCheck
+};
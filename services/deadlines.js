@@ -0,0 +1,256 @@
+/**
+ * Deadline calculation. A case type's deadline rules say how long after an event
+ * something must be done:
+ *
+ *   { key: 'firstAppeal', name: 'File first appeal', trigger: 'judgment', period: { value: 90, unit: 'days' } }
+ *
+ * A rule's trigger may also be another rule's key, so that its period runs on from
+ * the end of that rule's period (e.g. a complaint due one month after the time to pay
+ * ends). Periods that end on a weekend or court holiday move to the next working day,
+ * as under s. 4 of the Limitation Act; chained periods run from the unmoved date.
+ */
+const Deadline = require('../models/Deadline.model');
+const CourtHoliday = require('../models/CourtHoliday.model');
+const { getSetting } = require('../utils/settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_UNITS = ['days', 'weeks', 'months', 'years'];
+
+// Case fields besides date custom fields that can fire a trigger
+const CASE_DATE_FIELDS = ['filingDate'];
+
+// Deadlines are whole days, kept as midnight UTC.
+// Midnight UTC of a date or an ISO date string, or null if it is not a date
+function toDay(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Add a rule period to a day. Months and years end on the same day of the month,
+// or the last day of a shorter month (31 January + 1 month = 28 or 29 February).
+function addPeriod(date, { value, unit }) {
+  if (unit === 'days' || unit === 'weeks') {
+    return new Date(date.getTime() + value * (unit === 'weeks' ? 7 : 1) * DAY_MS);
+  }
+
+  const months = unit === 'years' ? value * 12 : value;
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * Days the court is closed from a date on: the weekend days from the deadlines
+ * setting and court holidays for the court (or for all courts).
+ */
+async function loadCourtCalendar(courtName, from) {
+  const { weekendDays } = await getSetting('deadlines');
+  const holidays = await CourtHoliday.find({
+    date: { $gte: from },
+    courtName: { $in: courtName ? [null, courtName] : [null] }
+  }).select('date name');
+
+  return {
+    weekendDays: weekendDays || [],
+    holidays: new Map(holidays.map(holiday => [dayKey(holiday.date), holiday.name]))
+  };
+}
+
+// Why the court is closed on a day, or null on a working day
+function closedReason(date, calendar) {
+  if (calendar.holidays.has(dayKey(date))) return calendar.holidays.get(dayKey(date));
+  if (calendar.weekendDays.includes(date.getUTCDay())) return 'Weekend';
+  return null;
+}
+
+// First working day on or after a date, with the days skipped to get there
+function nextWorkingDay(date, calendar) {
+  const skipped = [];
+  let day = date;
+  // A year of closed days means the calendar is misconfigured (e.g. every day is a weekend day)
+  for (let i = 0; i < 366; i++) {
+    const reason = closedReason(day, calendar);
+    if (!reason) return { date: day, skipped };
+    skipped.push({ date: dayKey(day), reason });
+    day = new Date(day.getTime() + DAY_MS);
+  }
+  return { date, skipped: [] };
+}
+
+// Rules that run from an event, followed by the rules chained onto them
+function rulesFrom(rules, trigger) {
+  const found = [];
+  const queue = [trigger];
+  while (queue.length > 0) {
+    const key = queue.shift();
+    rules
+      .filter(rule => rule.trigger === key && !found.includes(rule))
+      .forEach(rule => {
+        found.push(rule);
+        queue.push(rule.key);
+      });
+  }
+  return found;
+}
+
+// Events a case type's rules run from, with labels for pickers
+function getTriggers(caseType) {
+  const rules = (caseType && caseType.deadlineRules) || [];
+  const ruleKeys = new Set(rules.map(rule => rule.key));
+  const triggers = new Map();
+
+  rules
+    .filter(rule => !ruleKeys.has(rule.trigger))
+    .forEach(rule => {
+      const trigger = triggers.get(rule.trigger) || { key: rule.trigger, label: rule.trigger, field: undefined };
+      if (rule.triggerLabel) trigger.label = rule.triggerLabel;
+      if (rule.triggerField) trigger.field = rule.triggerField;
+      triggers.set(rule.trigger, trigger);
+    });
+
+  return [...triggers.values()].map(trigger => ({
+    ...trigger,
+    deadlines: rulesFrom(rules, trigger.key).map(rule => rule.name)
+  }));
+}
+
+/**
+ * Work out the deadlines that follow from an event, including rules chained onto them.
+ * Resolves to [{ rule, computedDate, dueDate, skipped }] in due date order.
+ */
+async function calculateDeadlines(caseType, trigger, triggerDate, { courtName } = {}) {
+  const rules = (caseType && caseType.deadlineRules) || [];
+  const start = toDay(triggerDate);
+  const calendar = await loadCourtCalendar(courtName, start);
+
+  // rulesFrom lists each rule after the one it runs on from
+  const endDates = new Map([[trigger, start]]);
+  const results = rulesFrom(rules, trigger).map(rule => {
+    const computedDate = addPeriod(endDates.get(rule.trigger), rule.period);
+    endDates.set(rule.key, computedDate);
+    const { date: dueDate, skipped } = rule.extendToWorkingDay === false
+      ? { date: computedDate, skipped: [] }
+      : nextWorkingDay(computedDate, calendar);
+    return { rule, computedDate, dueDate, skipped };
+  });
+
+  return results.sort((a, b) => a.dueDate - b.dueDate);
+}
+
+/**
+ * Calculate the deadlines that follow from an event on a case and keep them as
+ * tracked deadlines. A pending deadline from the same rule is moved to the new date;
+ * one already completed for the same event is left alone.
+ */
+async function applyDeadlines(caseItem, caseType, trigger, triggerDate, userId) {
+  const results = await calculateDeadlines(caseType, trigger, triggerDate, { courtName: caseItem.courtName });
+  const start = toDay(triggerDate);
+
+  const deadlines = [];
+  for (const { rule, computedDate, dueDate } of results) {
+    const existing = await Deadline.find({ caseId: caseItem._id, ruleKey: rule.key, status: { $ne: 'Cancelled' } });
+    if (existing.some(deadline => deadline.status === 'Completed' && deadline.triggerDate.getTime() === start.getTime())) {
+      continue;
+    }
+
+    const deadline = existing.find(d => d.status === 'Pending') || new Deadline({
+      caseId: caseItem._id,
+      ruleKey: rule.key,
+      source: 'rule',
+      createdBy: userId
+    });
+    Object.assign(deadline, {
+      title: rule.name,
+      trigger,
+      triggerDate: start,
+      computedDate,
+      dueDate,
+      statute: rule.statute
+    });
+    await deadline.save();
+    deadlines.push(deadline);
+  }
+
+  return deadlines;
+}
+
+// Date a case holds in a trigger field
+function getFieldDate(caseItem, field) {
+  if (CASE_DATE_FIELDS.includes(field)) return toDay(caseItem[field]);
+  const customFields = caseItem.customFields instanceof Map
+    ? Object.fromEntries(caseItem.customFields)
+    : (caseItem.customFields || {});
+  return toDay(customFields[field]);
+}
+
+/**
+ * Fire the triggers whose date fields a case has filled in and whose deadlines have
+ * not been calculated for that date yet. Call after creating or editing a case.
+ */
+async function syncFieldTriggers(caseItem, caseType, userId) {
+  const deadlines = [];
+  for (const trigger of getTriggers(caseType).filter(t => t.field)) {
+    const date = getFieldDate(caseItem, trigger.field);
+    if (!date) continue;
+
+    const calculated = await Deadline.exists({ caseId: caseItem._id, trigger: trigger.key, triggerDate: date });
+    if (calculated) continue;
+
+    deadlines.push(...await applyDeadlines(caseItem, caseType, trigger.key, date, userId));
+  }
+  return deadlines;
+}
+
+/**
+ * Check a case type's deadline rules against its custom fields.
+ * Throws with a message for the first problem found, for use as an express-validator check.
+ */
+function checkDeadlineRules(rules, fields = []) {
+  const keys = new Set();
+  rules.forEach(rule => {
+    if (keys.has(rule.key)) throw new Error(`Deadline rule "${rule.key}" is listed more than once`);
+    keys.add(rule.key);
+  });
+
+  const dateFields = new Set([
+    ...CASE_DATE_FIELDS,
+    ...fields.filter(field => field.type === 'date').map(field => field.key)
+  ]);
+  const byKey = new Map(rules.map(rule => [rule.key, rule]));
+  rules.forEach(rule => {
+    if (rule.triggerField && !dateFields.has(rule.triggerField)) {
+      throw new Error(`Deadline rule "${rule.key}" is triggered by "${rule.triggerField}", which is not a date field`);
+    }
+
+    // Follow the chain of rules this one runs on from; coming back to it is a loop
+    const seen = new Set([rule.key]);
+    let next = byKey.get(rule.trigger);
+    while (next) {
+      if (seen.has(next.key)) throw new Error(`Deadline rule "${rule.key}" runs on from itself`);
+      seen.add(next.key);
+      next = byKey.get(next.trigger);
+    }
+  });
+
+  return true;
+}
+
+module.exports = {
+  PERIOD_UNITS,
+  CASE_DATE_FIELDS,
+  toDay,
+  addPeriod,
+  loadCourtCalendar,
+  nextWorkingDay,
+  getTriggers,
+  calculateDeadlines,
+  applyDeadlines,
+  syncFieldTriggers,
+  checkDeadlineRules
+};
@@ -0,0 +1,113 @@
+/**
+ * eCourts adapter that talks to a JSON case-status service over HTTP.
+ *
+ * The eCourts portals don't offer a public API, so ECOURT_API_URL points at a
+ * case-status service (or the local stub in scripts/ecourt-stub-server.js)
+ * exposing:
+ *   GET /cases/cnr/:cnr
+ *   GET /cases/search?court=&caseType=&number=&year=
+ */
+
+// Pick the first defined value among camelCase and snake_case keys
+function pick(source, ...keys) {
+  for (const key of keys) {
+    if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+      return source[key];
+    }
+  }
+  return undefined;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Map a raw case-status payload onto the adapter's result shape
+function normalizeCaseStatus(raw) {
+  const orders = pick(raw, 'orders', 'orderList', 'order_list') || [];
+
+  return {
+    cnr: pick(raw, 'cnr', 'cnrNumber', 'cnr_number'),
+    courtName: pick(raw, 'courtName', 'court_name', 'court'),
+    caseStatus: pick(raw, 'caseStatus', 'case_status', 'status'),
+    registrationNumber: pick(raw, 'registrationNumber', 'registration_number'),
+    filingDate: toDate(pick(raw, 'filingDate', 'filing_date')),
+    nextHearingDate: toDate(pick(raw, 'nextHearingDate', 'next_hearing_date')),
+    nextHearingPurpose: pick(raw, 'nextHearingPurpose', 'next_hearing_purpose', 'purpose'),
+    bench: pick(raw, 'bench', 'judge', 'courtNumberAndJudge', 'court_number_and_judge'),
+    orders: orders
+      .map(order => ({
+        orderNumber: pick(order, 'orderNumber', 'order_number', 'number'),
+        orderDate: toDate(pick(order, 'orderDate', 'order_date', 'date')),
+        title: pick(order, 'title', 'orderDetails', 'order_details') || 'Order',
+        url: pick(order, 'url', 'pdfUrl', 'pdf_url')
+      }))
+      .filter(order => order.orderDate)
+  };
+}
+
+function createHttpAdapter({ baseUrl, apiKey, timeoutMs = 15000 }) {
+  if (!baseUrl) {
+    throw new Error('ECOURT_API_URL environment variable is required for the eCourt integration');
+  }
+
+  const root = baseUrl.replace(/\/$/, '');
+
+  async function request(path) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(`${root}${path}`, {
+        headers: {
+          Accept: 'application/json',
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+        },
+        signal: controller.signal
+      });
+
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        const error = new Error(`eCourt service responded with ${response.status}`);
+        error.status = 502;
+        throw error;
+      }
+
+      const payload = await response.json();
+      return payload.data || payload;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error('eCourt service timed out');
+        timeoutError.status = 504;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    name: 'http',
+
+    /**
+     * Fetch case status by CNR number, or by court/case type/number/year.
+     * Resolves to null when the case is not found.
+     */
+    async fetchCaseStatus({ cnr, court, caseType, number, year }) {
+      let raw;
+      if (cnr) {
+        raw = await request(`/cases/cnr/${encodeURIComponent(cnr)}`);
+      } else {
+        const params = new URLSearchParams({ court, caseType, number, year: String(year) });
+        raw = await request(`/cases/search?${params}`);
+      }
+      return raw ? normalizeCaseStatus(raw) : null;
+    }
+  };
+}
+
+module.exports = createHttpAdapter;
+module.exports.normalizeCaseStatus = normalizeCaseStatus;
@@ -0,0 +1,38 @@
+const createHttpAdapter = require('./http.adapter');
+
+/**
+ * eCourt adapters implement:
+ *   name: string
+ *   fetchCaseStatus({ cnr } | { court, caseType, number, year }) => Promise<{
+ *     cnr, courtName, caseStatus, registrationNumber, filingDate,
+ *     nextHearingDate, nextHearingPurpose, bench,
+ *     orders: [{ orderNumber, orderDate, title, url }]
+ *   } | null>
+ */
+let adapter = null;
+
+// Check if the integration has been configured
+const isEcourtConfigured = () => !!(adapter || process.env.ECOURT_API_URL);
+
+// Get the configured adapter
+const getEcourtAdapter = () => {
+  if (!adapter) {
+    adapter = createHttpAdapter({
+      baseUrl: process.env.ECOURT_API_URL,
+      apiKey: process.env.ECOURT_API_KEY,
+      timeoutMs: parseInt(process.env.ECOURT_TIMEOUT_MS, 10) || 15000
+    });
+  }
+  return adapter;
+};
+
+// Replace the adapter (e.g. with an in-memory one)
+const setEcourtAdapter = (customAdapter) => {
+  adapter = customAdapter;
+};
+
+module.exports = {
+  isEcourtConfigured,
+  getEcourtAdapter,
+  setEcourtAdapter
+};
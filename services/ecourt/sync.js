@@ -0,0 +1,210 @@
+const Case = require('../../models/Case.model');
+const Hearing = require('../../models/Hearing.model');
+const { getEcourtAdapter } = require('./index');
+const { startOfToday, syncNextHearingDate } = require('../../utils/hearings');
+const { recordAudit, snapshot } = require('../../utils/audit');
+const { openCaseFilter } = require('../../utils/caseWorkflow');
+
+// Build the adapter lookup from a case's eCourt link
+function buildLookup(ecourt) {
+  if (ecourt.cnrNumber) return { cnr: ecourt.cnrNumber };
+  return {
+    court: ecourt.court,
+    caseType: ecourt.caseType,
+    number: ecourt.registrationNumber,
+    year: ecourt.registrationYear
+  };
+}
+
+// Stable key used to remember which orders are already on the timeline
+function orderKey(order) {
+  const day = order.orderDate.toISOString().slice(0, 10);
+  return order.orderNumber ? `${day}#${order.orderNumber}` : `${day}#${order.title}`;
+}
+
+// Create or move the eCourts-sourced upcoming hearing to the listed date
+async function applyNextHearing(caseItem, status, actorId) {
+  const listedDate = status.nextHearingDate;
+  const dayStart = new Date(listedDate);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+  // Already on the calendar (entered by hand or by an earlier sync)
+  const sameDay = await Hearing.findOne({
+    caseId: caseItem._id,
+    status: 'Scheduled',
+    hearingDate: { $gte: dayStart, $lt: dayEnd }
+  });
+  if (sameDay) return false;
+
+  let hearing = await Hearing.findOne({
+    caseId: caseItem._id,
+    source: 'ecourt',
+    status: 'Scheduled',
+    hearingDate: { $gte: startOfToday() }
+  });
+
+  const previousDate = hearing ? hearing.hearingDate : null;
+  if (!hearing) {
+    hearing = new Hearing({
+      caseId: caseItem._id,
+      source: 'ecourt',
+      createdBy: actorId
+    });
+  }
+
+  hearing.hearingDate = listedDate;
+  hearing.courtName = status.courtName || caseItem.courtName;
+  hearing.bench = status.bench || hearing.bench;
+  hearing.purpose = status.nextHearingPurpose || hearing.purpose || 'Listed on eCourts';
+  await hearing.save();
+
+  caseItem.timeline.push({
+    date: new Date(),
+    title: previousDate ? 'Hearing Rescheduled on eCourts' : 'Next Hearing Listed on eCourts',
+    description: previousDate
+      ? `Hearing moved from ${previousDate.toDateString()} to ${listedDate.toDateString()}`
+      : `Next hearing on ${listedDate.toDateString()} for ${hearing.purpose}`,
+    type: 'hearing',
+    createdBy: actorId
+  });
+
+  return true;
+}
+
+/**
+ * Pull the latest status of a linked case from eCourts and map it onto the case:
+ * court name, court status, next hearing and timeline entries for new orders.
+ * Resolves to { status: 'success' | 'not_found', changes: [...] }.
+ * Changes are audited as made by the user of req, or by the system when req is omitted.
+ */
+const syncCase = async (caseItem, { userId, req = null } = {}) => {
+  if (!caseItem.ecourt) {
+    throw new Error('Case is not linked to eCourts');
+  }
+
+  const before = snapshot(caseItem);
+  const ecourt = caseItem.ecourt;
+  const actorId = userId || ecourt.linkedBy || caseItem.assignedLawyerId;
+
+  let status;
+  try {
+    status = await getEcourtAdapter().fetchCaseStatus(buildLookup(ecourt));
+  } catch (error) {
+    ecourt.lastSyncedAt = new Date();
+    ecourt.lastSyncStatus = 'error';
+    ecourt.lastSyncError = error.message;
+    await caseItem.save();
+    throw error;
+  }
+
+  ecourt.lastSyncedAt = new Date();
+
+  if (!status) {
+    ecourt.lastSyncStatus = 'not_found';
+    ecourt.lastSyncError = undefined;
+    await caseItem.save();
+    return { status: 'not_found', changes: [] };
+  }
+
+  const changes = [];
+
+  if (status.cnr && !ecourt.cnrNumber) {
+    ecourt.cnrNumber = status.cnr;
+  }
+
+  if (status.courtName && status.courtName !== caseItem.courtName) {
+    caseItem.courtName = status.courtName;
+    changes.push('courtName');
+  }
+
+  if (status.caseStatus && status.caseStatus !== ecourt.courtStatus) {
+    caseItem.timeline.push({
+      date: new Date(),
+      title: 'Court Status Updated',
+      description: ecourt.courtStatus
+        ? `eCourts status changed from ${ecourt.courtStatus} to ${status.caseStatus}`
+        : `eCourts status: ${status.caseStatus}`,
+      type: 'status_change',
+      createdBy: actorId
+    });
+    ecourt.courtStatus = status.caseStatus;
+    changes.push('courtStatus');
+  }
+
+  const newOrders = status.orders
+    .filter(order => !ecourt.syncedOrders.includes(orderKey(order)))
+    .sort((a, b) => a.orderDate - b.orderDate);
+
+  newOrders.forEach(order => {
+    caseItem.timeline.push({
+      date: order.orderDate,
+      title: `Court Order: ${order.title}`,
+      description: `Order dated ${order.orderDate.toDateString()}` +
+        (order.orderNumber ? ` (No. ${order.orderNumber})` : '') +
+        (order.url ? `. Copy: ${order.url}` : ''),
+      type: 'document',
+      createdBy: actorId
+    });
+    ecourt.syncedOrders.push(orderKey(order));
+  });
+  if (newOrders.length > 0) changes.push('orders');
+
+  if (status.nextHearingDate && status.nextHearingDate >= startOfToday()) {
+    if (await applyNextHearing(caseItem, status, actorId)) {
+      changes.push('nextHearing');
+    }
+  }
+  await syncNextHearingDate(caseItem);
+
+  ecourt.lastSyncStatus = 'success';
+  ecourt.lastSyncError = undefined;
+  await caseItem.save();
+
+  if (changes.length > 0) {
+    await recordAudit(req, {
+      action: 'ecourt_sync',
+      entityType: 'Case',
+      entityId: caseItem._id,
+      before,
+      after: caseItem,
+      note: `Updated from eCourts: ${changes.join(', ')}`
+    });
+  }
+
+  return { status: 'success', changes, newOrders: newOrders.length };
+};
+
+/**
+ * Re-sync every open case that is linked to eCourts.
+ * Cases are processed one at a time so a slow upstream isn't flooded.
+ */
+const syncAllLinkedCases = async () => {
+  const cases = await Case.find({
+    ...openCaseFilter(),
+    $or: [
+      { 'ecourt.cnrNumber': { $nin: [null, ''] } },
+      { 'ecourt.registrationNumber': { $nin: [null, ''] } }
+    ]
+  });
+
+  const summary = { total: cases.length, synced: 0, notFound: 0, failed: 0 };
+
+  for (const caseItem of cases) {
+    try {
+      const result = await syncCase(caseItem);
+      if (result.status === 'success') summary.synced++;
+      else summary.notFound++;
+    } catch (error) {
+      console.error(`eCourt sync failed for case ${caseItem.caseNumber}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  syncCase,
+  syncAllLinkedCases
+};
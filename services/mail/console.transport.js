@@ -0,0 +1,18 @@
+// Prints outgoing mail to the console (local development)
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send(message) {
+      console.log('--- Outgoing email ---');
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log('');
+      console.log(message.text);
+      console.log('----------------------');
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+}
+
+module.exports = createConsoleTransport;
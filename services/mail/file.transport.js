@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes outgoing mail as JSON files to a directory (local testing)
+function createFileTransport({ dir }) {
+  const outDir = path.resolve(dir);
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      await fs.promises.mkdir(outDir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(outDir, `${messageId}.json`),
+        JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+      );
+      return { messageId };
+    }
+  };
+}
+
+module.exports = createFileTransport;
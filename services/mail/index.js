@@ -0,0 +1,64 @@
+const path = require('path');
+const createConsoleTransport = require('./console.transport');
+const createFileTransport = require('./file.transport');
+const createSmtpTransport = require('./smtp.transport');
+
+/**
+ * Mail transports implement:
+ *   name: string
+ *   send({ from, to, subject, text, html }) => Promise<{ messageId }>
+ */
+let transport = null;
+
+// Get the transport selected by MAIL_TRANSPORT (console by default).
+// The console transport prints whole messages, reset and verification links included,
+// so it is refused in production and every send fails until a real transport is set.
+const getMailTransport = () => {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (name === 'console') {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT=console is not allowed in production: set MAIL_TRANSPORT to smtp or file');
+    }
+    transport = createConsoleTransport();
+  } else if (name === 'file') {
+    transport = createFileTransport({
+      dir: process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail')
+    });
+  } else if (name === 'smtp') {
+    transport = createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  } else {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport;
+};
+
+// Replace the transport (e.g. with one that records messages)
+const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'LegalMS <no-reply@legalms.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  getMailTransport,
+  setMailTransport
+};
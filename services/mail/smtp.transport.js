@@ -0,0 +1,25 @@
+// Sends mail through an SMTP server. nodemailer is only loaded when this transport is selected.
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  if (!host) {
+    throw new Error('SMTP_HOST environment variable is required for the smtp mail transport');
+  }
+
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || (secure ? 465 : 587),
+    secure: !!secure,
+    ...(user && { auth: { user, pass } })
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
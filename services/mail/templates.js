@@ -0,0 +1,77 @@
+// Email content for account flows and notifications. Each returns { subject, text, html }.
+
+// Base URL of the frontend, used to build links in emails
+const appUrl = () => {
+  const url = process.env.APP_URL ||
+    (process.env.FRONTEND_URL ? process.env.FRONTEND_URL.split(',')[0].trim() : 'http://localhost:4200');
+  return url.replace(/\/$/, '');
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Build a simple message with a call-to-action link
+function linkEmail({ subject, greeting, lines, linkText, link, footer }) {
+  const text = [greeting, '', ...lines, '', `${linkText}: ${link}`, '', footer].join('\n');
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+    `<p><a href="${escapeHtml(link)}">${escapeHtml(linkText)}</a></p>`,
+    `<p style="color:#6c757d">${escapeHtml(footer)}</p>`
+  ].join('\n');
+  return { subject, text, html };
+}
+
+const passwordResetEmail = ({ user, token, expiresInMinutes }) => linkEmail({
+  subject: 'Reset your password',
+  greeting: `Hello ${user.firstName},`,
+  lines: ['We received a request to reset the password for your account.'],
+  linkText: 'Reset password',
+  link: `${appUrl()}/reset-password?token=${token}`,
+  footer: `This link expires in ${expiresInMinutes} minutes and can be used once. If you didn't ask for it, you can ignore this email.`
+});
+
+const verificationEmail = ({ user, token, expiresInMinutes }) => linkEmail({
+  subject: 'Verify your email address',
+  greeting: `Hello ${user.firstName},`,
+  lines: ['Please confirm that this is your email address.'],
+  linkText: 'Verify email',
+  link: `${appUrl()}/verify-email?token=${token}`,
+  footer: `This link expires in ${Math.round(expiresInMinutes / 60)} hours.`
+});
+
+const invitationEmail = ({ invitation, inviter, token, expiresInDays }) => linkEmail({
+  subject: 'You have been invited to LegalMS',
+  greeting: `Hello${invitation.firstName ? ` ${invitation.firstName}` : ''},`,
+  lines: [
+    `${inviter.firstName} ${inviter.lastName} has invited you to join LegalMS as ${invitation.role === 'Admin' ? 'an' : 'a'} ${invitation.role}.`,
+    'Use the link below to set your password and activate your account.'
+  ],
+  linkText: 'Accept invitation',
+  link: `${appUrl()}/accept-invitation?token=${token}`,
+  footer: `This invitation expires in ${expiresInDays} days.`
+});
+
+const notificationEmail = ({ user, notification }) => linkEmail({
+  subject: notification.title,
+  greeting: `Hello ${user.firstName},`,
+  lines: [notification.message],
+  linkText: 'Open in LegalMS',
+  link: `${appUrl()}${notification.link || '/notifications'}`,
+  footer: 'You can change which reminders you get by email in your notification preferences.'
+});
+
+module.exports = {
+  appUrl,
+  escapeHtml,
+  linkEmail,
+  passwordResetEmail,
+  verificationEmail,
+  invitationEmail,
+  notificationEmail
+};
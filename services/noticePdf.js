@@ -0,0 +1,39 @@
+/**
+ * PDF output of drafted notices.
+ */
+const PDFDocument = require('pdfkit');
+
+const formatDate = (date) => date.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+
+/**
+ * Lay out a notice on A4: reference and date, the title, then the body with its
+ * paragraphs (separated by blank lines) justified.
+ * Resolves to the PDF as a Buffer.
+ */
+function renderNoticePdf({ title, body, issueDate, reference }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 72, info: { Title: title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica').fontSize(10);
+    if (reference) doc.text(`Ref: ${reference}`);
+    if (issueDate) doc.text(`Date: ${formatDate(issueDate)}`, { align: 'right' });
+    doc.moveDown(2);
+
+    doc.font('Helvetica-Bold').fontSize(13).text(title, { align: 'center' });
+    doc.moveDown(1.5);
+
+    doc.font('Helvetica').fontSize(11);
+    body.split(/\n\s*\n/).forEach(paragraph => {
+      doc.text(paragraph.trim(), { align: 'justify', lineGap: 2 });
+      doc.moveDown();
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = { renderNoticePdf };
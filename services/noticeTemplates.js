@@ -0,0 +1,205 @@
+/**
+ * Templates for drafting legal notices from a case. A template's title and body
+ * carry {{placeholders}} that are filled in from the case, its client, the
+ * opposing party, the assigned lawyer and the case's custom fields; anything
+ * else (such as an address not on record) is given when drafting.
+ */
+const NoticeTemplate = require('../models/NoticeTemplate.model');
+const Client = require('../models/Client.model');
+const User = require('../models/User.model');
+const { getCaseType } = require('../utils/caseTypes');
+const { refId } = require('../utils/caseAccess');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}/g;
+
+// Placeholders filled in from the case; customFields.<key> is filled from the case's custom fields
+const PLACEHOLDERS = [
+  'today', 'issueDate', 'dueDate',
+  'case.caseNumber', 'case.title', 'case.caseType', 'case.courtName', 'case.filingDate', 'case.status',
+  'client.name', 'client.companyName', 'client.email', 'client.phone', 'client.address',
+  'opposingParty.name', 'opposingParty.companyName', 'opposingParty.email', 'opposingParty.phone',
+  'lawyer.name', 'lawyer.email', 'lawyer.phone'
+];
+
+const BUILT_IN_NOTICE_TEMPLATES = [
+  {
+    key: 'chequeDemandNotice',
+    name: 'Cheque dishonour demand notice',
+    description: 'Demand for payment of a dishonoured cheque under section 138 of the Negotiable Instruments Act',
+    caseTypes: ['ChequeDefault'],
+    noticeType: 'Legal',
+    title: 'Legal notice under section 138 of the Negotiable Instruments Act, 1881',
+    body: [
+      'To,\n{{opposingParty.name}}\n{{opposingPartyAddress}}',
+      'Under instructions from and on behalf of my client, {{client.name}} of {{client.address}}, I hereby serve you with the following notice.',
+      '1. Towards the discharge of your liability to my client, you issued cheque no. {{customFields.chequeNumber}} dated {{customFields.chequeDate}} for Rs. {{customFields.chequeAmount}}, drawn on {{customFields.bankName}}.',
+      '2. The cheque was presented for payment and was returned unpaid by your banker on {{customFields.returnMemoDate}} with the remark "{{customFields.returnReason}}".',
+      '3. I therefore call upon you to pay the said sum of Rs. {{customFields.chequeAmount}} to my client within 15 days of receipt of this notice, failing which my client will be constrained to initiate proceedings against you under section 138 of the Negotiable Instruments Act, 1881, at your risk as to costs and consequences.',
+      '{{lawyer.name}}\nAdvocate for {{client.name}}'
+    ].join('\n\n'),
+    dueInDays: 15
+  }
+];
+
+// Load all notice templates: built-in templates overlaid with stored ones
+const loadNoticeTemplates = async () => {
+  const templates = new Map();
+  BUILT_IN_NOTICE_TEMPLATES.forEach(template => {
+    templates.set(template.key, { ...template, isActive: true, isSystem: true });
+  });
+
+  const stored = await NoticeTemplate.find();
+  stored.forEach(template => {
+    templates.set(template.key, {
+      ...template.toObject(),
+      isSystem: BUILT_IN_NOTICE_TEMPLATES.some(builtIn => builtIn.key === template.key)
+    });
+  });
+
+  return templates;
+};
+
+// Get a notice template by key, or null if it does not exist
+const getNoticeTemplate = async (key) => {
+  const templates = await loadNoticeTemplates();
+  return templates.get(key) || null;
+};
+
+// Placeholders a template uses, in order of first use
+const templatePlaceholders = (template) => {
+  const names = [...`${template.title}\n${template.body}`.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  return [...new Set(names)];
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// A custom field value as it reads in a notice, formatted by the field's type
+function formatFieldValue(field, value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const type = field ? field.type : undefined;
+
+  if (type === 'date' || value instanceof Date) return formatDate(value);
+  if (type === 'number' || typeof value === 'number') return Number(value).toLocaleString('en-IN');
+  if (type === 'boolean' || typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+/**
+ * Values for the placeholders of a case: the case, its client, the opposing party
+ * (the given party, else the first opposing party on the case), the assigned lawyer
+ * and the custom fields. Blank values are left out.
+ */
+async function buildPlaceholderValues(caseItem, { partyId, issueDate, dueDate } = {}) {
+  const [client, lawyer, caseType] = await Promise.all([
+    Client.findById(refId(caseItem.clientId)).select('name companyName email phone address'),
+    caseItem.assignedLawyerId
+      ? User.findById(refId(caseItem.assignedLawyerId)).select('firstName lastName email phone')
+      : null,
+    getCaseType(caseItem.caseType)
+  ]);
+  const party = partyId
+    ? caseItem.parties.id(partyId)
+    : caseItem.parties.find(p => p.role === 'opposing_party');
+
+  const values = {
+    today: formatDate(new Date()),
+    issueDate: issueDate ? formatDate(issueDate) : undefined,
+    dueDate: dueDate ? formatDate(dueDate) : undefined,
+    'case.caseNumber': caseItem.caseNumber,
+    'case.title': caseItem.title,
+    'case.caseType': caseType ? caseType.name : caseItem.caseType,
+    'case.courtName': caseItem.courtName,
+    'case.filingDate': caseItem.filingDate ? formatDate(caseItem.filingDate) : undefined,
+    'case.status': caseItem.status
+  };
+  if (client) {
+    ['name', 'companyName', 'email', 'phone', 'address'].forEach(key => { values[`client.${key}`] = client[key]; });
+  }
+  if (party) {
+    ['name', 'companyName', 'email', 'phone'].forEach(key => { values[`opposingParty.${key}`] = party[key]; });
+  }
+  if (lawyer) {
+    values['lawyer.name'] = `${lawyer.firstName} ${lawyer.lastName}`;
+    values['lawyer.email'] = lawyer.email;
+    values['lawyer.phone'] = lawyer.phone;
+  }
+
+  const fields = caseType ? caseType.fields : [];
+  (caseItem.customFields || new Map()).forEach((value, key) => {
+    values[`customFields.${key}`] = formatFieldValue(fields.find(field => field.key === key), value);
+  });
+
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+// Fill in a text's placeholders; unfilled ones are left as they are and listed in missing
+function renderTemplate(text, values) {
+  const missing = new Set();
+  const rendered = text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (values[name] === undefined) {
+      missing.add(name);
+      return placeholder;
+    }
+    return values[name];
+  });
+  return { text: rendered, missing: [...missing] };
+}
+
+// Validator for values given when drafting: each must be text, a number or true/false
+const checkGivenValues = (values) => {
+  const invalid = Object.keys(values).filter(name => !['string', 'number', 'boolean'].includes(typeof values[name]));
+  if (invalid.length > 0) {
+    throw new Error(`Values must be text, numbers or true/false: ${invalid.join(', ')}`);
+  }
+  return true;
+};
+
+/**
+ * Draft a notice from a template for a case. Values given (by placeholder name)
+ * fill in placeholders or replace what the case has; the due date defaults to the
+ * template's dueInDays after the issue date.
+ * Resolves to { title, body, issueDate, dueDate, missing }, missing listing the
+ * placeholders nothing filled in.
+ */
+async function draftNotice(template, caseItem, { partyId, values = {}, issueDate, dueDate } = {}) {
+  issueDate = issueDate ? new Date(issueDate) : new Date();
+  if (dueDate) {
+    dueDate = new Date(dueDate);
+  } else if (template.dueInDays !== undefined && template.dueInDays !== null) {
+    dueDate = new Date(issueDate.getTime() + template.dueInDays * DAY_MS);
+  }
+
+  const given = Object.fromEntries(Object.entries(values)
+    .map(([name, value]) => [name, formatFieldValue(null, value)])
+    .filter(([, value]) => value !== undefined));
+  const placeholderValues = {
+    ...(await buildPlaceholderValues(caseItem, { partyId, issueDate, dueDate })),
+    ...given
+  };
+
+  const title = renderTemplate(template.title, placeholderValues);
+  const body = renderTemplate(template.body, placeholderValues);
+
+  return {
+    title: title.text,
+    body: body.text,
+    issueDate,
+    dueDate,
+    missing: [...new Set([...title.missing, ...body.missing])]
+  };
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  BUILT_IN_NOTICE_TEMPLATES,
+  loadNoticeTemplates,
+  getNoticeTemplate,
+  templatePlaceholders,
+  buildPlaceholderValues,
+  renderTemplate,
+  checkGivenValues,
+  draftNotice
+};
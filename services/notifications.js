@@ -0,0 +1,324 @@
+/**
+ * Reminders for upcoming hearings, notices coming due and overdue invoices.
+ * The reminder job creates in-app notifications and queues emails according to
+ * each user's preferences. Every reminder has a dedupe key (e.g. the hearing, its
+ * date and how many days ahead the reminder is), and a notification is only created
+ * if none exists for the user and key, so reruns and restarts never send twice.
+ */
+const Notification = require('../models/Notification.model');
+const Case = require('../models/Case.model');
+const Hearing = require('../models/Hearing.model');
+const Notice = require('../models/Notice.model');
+const { Invoice } = require('../models/Billing.model');
+const User = require('../models/User.model');
+const { sendMail } = require('./mail');
+const { notificationEmail } = require('./mail/templates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminders can be set up to this many days ahead
+const MAX_DAYS_BEFORE = 30;
+
+// Emails that fail are retried on later runs up to this many times
+const MAX_EMAIL_ATTEMPTS = 3;
+
+// What each user gets unless they change it
+const DEFAULT_PREFERENCES = {
+  hearing: { inApp: true, email: true, daysBefore: [1, 7] },
+  noticeDue: { inApp: true, email: true, daysBefore: [1, 3] },
+  noticeExpired: { inApp: true, email: true },
+  invoiceOverdue: { inApp: true, email: true }
+};
+
+const NOTIFICATION_TYPES = Object.keys(DEFAULT_PREFERENCES);
+
+// The well-formed settings of one type's stored preferences; anything else is ignored
+function cleanPreferences(type, stored) {
+  if (!stored || typeof stored !== 'object') return {};
+
+  const clean = {};
+  ['inApp', 'email'].forEach(key => {
+    if (typeof stored[key] === 'boolean') clean[key] = stored[key];
+  });
+  if (DEFAULT_PREFERENCES[type].daysBefore && Array.isArray(stored.daysBefore) &&
+      stored.daysBefore.every(days => Number.isInteger(days) && days >= 1 && days <= MAX_DAYS_BEFORE)) {
+    clean.daysBefore = stored.daysBefore;
+  }
+  return clean;
+}
+
+// A user's preferences merged over the defaults
+function getPreferences(user) {
+  const stored = (user && user.notificationPreferences) || {};
+  return Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+    type,
+    { ...DEFAULT_PREFERENCES[type], ...cleanPreferences(type, stored[type]) }
+  ]));
+}
+
+const formatDate = (date) => date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+const formatDateTime = (date) => date.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * The reminder due now for something happening at a date: the smallest of the
+ * user's lead times that the date is already within, or null if none is.
+ */
+function dueLeadDays(daysBefore, date, now) {
+  if (date <= now) return null;
+  const leads = (daysBefore || [])
+    .filter(days => date.getTime() - now.getTime() <= days * DAY_MS)
+    .sort((a, b) => a - b);
+  return leads.length > 0 ? leads[0] : null;
+}
+
+const inDays = (days) => (days === 1 ? 'tomorrow' : `in ${days} days`);
+
+/**
+ * Create a notification unless the user already has one with the same dedupe key.
+ * Resolves to the new notification, or null when it existed or the user turned
+ * this type off.
+ */
+async function notify(user, { type, title, message, link, entityType, entityId, dedupeKey }) {
+  const preferences = getPreferences(user)[type];
+  if (!preferences || (!preferences.inApp && !preferences.email)) return null;
+
+  const result = await Notification.updateOne(
+    { userId: user._id, dedupeKey },
+    {
+      $setOnInsert: {
+        type,
+        title,
+        message,
+        link,
+        entityType,
+        entityId,
+        inApp: !!preferences.inApp,
+        email: { status: preferences.email && user.email ? 'pending' : 'none', attempts: 0 }
+      }
+    },
+    { upsert: true }
+  );
+
+  return result.upsertedCount > 0 ? Notification.findById(result.upsertedId) : null;
+}
+
+// Active users by id, with what notify needs
+async function loadRecipients(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+  if (ids.length === 0) return [];
+  return User.find({ _id: { $in: ids }, isActive: true })
+    .select('firstName lastName email notificationPreferences');
+}
+
+// The assigned lawyer and team of a case
+const caseStaffIds = (caseItem) => [
+  caseItem.assignedLawyerId,
+  ...(caseItem.team || []).map(member => member.userId)
+];
+
+// Remind case staff of scheduled hearings, and of a case's next hearing date set without one
+async function remindHearings(now) {
+  const window = { $gt: now, $lte: new Date(now.getTime() + MAX_DAYS_BEFORE * DAY_MS) };
+  const hearings = await Hearing.find({ status: 'Scheduled', hearingDate: window })
+    .populate('caseId', 'caseNumber title assignedLawyerId team');
+
+  // Hearings of cases in the trash populate to null
+  const upcoming = hearings
+    .filter(hearing => hearing.caseId)
+    .map(hearing => ({ caseItem: hearing.caseId, date: hearing.hearingDate, hearing }));
+  const listed = new Set(upcoming.map(({ caseItem, date }) => `${caseItem._id}:${date.toISOString()}`));
+  const cases = await Case.find({ nextHearingDate: window }).select('caseNumber title assignedLawyerId team nextHearingDate');
+  cases
+    .filter(caseItem => !listed.has(`${caseItem._id}:${caseItem.nextHearingDate.toISOString()}`))
+    .forEach(caseItem => upcoming.push({ caseItem, date: caseItem.nextHearingDate }));
+
+  let created = 0;
+  for (const { caseItem, date, hearing } of upcoming) {
+    for (const user of await loadRecipients(caseStaffIds(caseItem))) {
+      const days = dueLeadDays(getPreferences(user).hearing.daysBefore, date, now);
+      if (days === null) continue;
+
+      const notification = await notify(user, {
+        type: 'hearing',
+        title: `Hearing ${inDays(days)}: ${caseItem.caseNumber}`,
+        message: hearing
+          ? `${caseItem.caseNumber} ${caseItem.title} is listed for ${hearing.purpose} at ${hearing.courtName} on ${formatDateTime(date)}.`
+          : `${caseItem.caseNumber} ${caseItem.title} is listed for hearing on ${formatDateTime(date)}.`,
+        link: `/cases/${caseItem._id}`,
+        entityType: hearing ? 'Hearing' : 'Case',
+        entityId: hearing ? hearing._id : caseItem._id,
+        dedupeKey: `hearing:${caseItem._id}:${date.toISOString()}:${days}`
+      });
+      if (notification) created++;
+    }
+  }
+  return created;
+}
+
+// Staff to tell about a notice: whoever created it, and the case staff or the client's lawyer
+// (expects caseId and clientId populated)
+const noticeStaffIds = (notice) => [
+  notice.createdBy,
+  ...(notice.caseId ? caseStaffIds(notice.caseId) : []),
+  ...(notice.clientId ? [notice.clientId.assignedLawyerId] : [])
+];
+
+// Remind staff of pending notices coming due
+async function remindNoticesDue(now) {
+  const notices = await Notice.find({
+    status: 'Pending',
+    dueDate: { $gt: now, $lte: new Date(now.getTime() + MAX_DAYS_BEFORE * DAY_MS) }
+  })
+    .populate('caseId', 'caseNumber title assignedLawyerId team')
+    .populate('clientId', 'name assignedLawyerId');
+
+  let created = 0;
+  for (const notice of notices) {
+    for (const user of await loadRecipients(noticeStaffIds(notice))) {
+      const days = dueLeadDays(getPreferences(user).noticeDue.daysBefore, notice.dueDate, now);
+      if (days === null) continue;
+
+      const notification = await notify(user, {
+        type: 'noticeDue',
+        title: `Notice due ${inDays(days)}: ${notice.title}`,
+        message: `The notice "${notice.title}"` +
+          (notice.caseId ? ` on ${notice.caseId.caseNumber}` : '') +
+          ` is due on ${formatDate(notice.dueDate)} and is still pending.`,
+        link: `/notices/${notice._id}`,
+        entityType: 'Notice',
+        entityId: notice._id,
+        dedupeKey: `notice:${notice._id}:${notice.dueDate.toISOString()}:${days}`
+      });
+      if (notification) created++;
+    }
+  }
+  return created;
+}
+
+/**
+ * Tell staff that a notice expired without a response.
+ * Expects the notice with caseId and clientId populated; resolves to the number of notifications created.
+ */
+async function notifyNoticeExpired(notice) {
+  let created = 0;
+  for (const user of await loadRecipients(noticeStaffIds(notice))) {
+    const notification = await notify(user, {
+      type: 'noticeExpired',
+      title: `Notice expired: ${notice.title}`,
+      message: `The notice "${notice.title}"` +
+        (notice.caseId ? ` on ${notice.caseId.caseNumber}` : '') +
+        ` was due on ${formatDate(notice.dueDate)} and has expired without a response.`,
+      link: `/notices/${notice._id}`,
+      entityType: 'Notice',
+      entityId: notice._id,
+      dedupeKey: `notice:${notice._id}:${notice.dueDate.toISOString()}:expired`
+    });
+    if (notification) created++;
+  }
+  return created;
+}
+
+/**
+ * Tell the invoice's creator, the client's lawyer and the client's portal users that it is overdue.
+ * Expects the invoice with clientId populated; resolves to the number of notifications created.
+ */
+async function notifyInvoiceOverdue(invoice) {
+  if (!invoice.clientId) return 0;
+
+  const portalUsers = await User.find({ clientIds: invoice.clientId._id }).select('_id');
+  const userIds = [invoice.createdBy, invoice.clientId.assignedLawyerId, ...portalUsers.map(user => user._id)];
+
+  let created = 0;
+  for (const user of await loadRecipients(userIds)) {
+    const notification = await notify(user, {
+      type: 'invoiceOverdue',
+      title: `Invoice ${invoice.invoiceNumber} is overdue`,
+      message: `Invoice ${invoice.invoiceNumber} to ${invoice.clientId.name} for ${invoice.totalAmount.toFixed(2)} was due on ${formatDate(invoice.dueDate)} and has not been paid.`,
+      link: `/invoices/${invoice._id}`,
+      entityType: 'Invoice',
+      entityId: invoice._id,
+      dedupeKey: `invoice:${invoice._id}:${invoice.dueDate.toISOString()}:overdue`
+    });
+    if (notification) created++;
+  }
+  return created;
+}
+
+// Remind about every unpaid invoice past its due date, including ones marked Overdue by hand
+async function remindOverdueInvoices(now) {
+  const invoices = await Invoice.find({
+    status: { $in: ['Sent', 'Overdue'] },
+    dueDate: { $lt: now }
+  }).populate('clientId', 'name assignedLawyerId');
+
+  let created = 0;
+  for (const invoice of invoices) {
+    created += await notifyInvoiceOverdue(invoice);
+  }
+  return created;
+}
+
+// Send queued notification emails, including ones a crash or failure left behind
+async function sendPendingEmails() {
+  const notifications = await Notification.find({
+    'email.status': { $in: ['pending', 'failed'] },
+    'email.attempts': { $lt: MAX_EMAIL_ATTEMPTS }
+  }).populate('userId', 'firstName lastName email isActive');
+
+  let sent = 0;
+  let failed = 0;
+  for (const notification of notifications) {
+    const user = notification.userId;
+    if (!user || !user.isActive || !user.email) {
+      notification.email.status = 'none';
+      await notification.save();
+      continue;
+    }
+
+    // Claim the email so an overlapping run can't send it too
+    const claimed = await Notification.updateOne(
+      { _id: notification._id, 'email.attempts': notification.email.attempts },
+      { $inc: { 'email.attempts': 1 } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      await sendMail({ to: user.email, ...notificationEmail({ user, notification }) });
+      await Notification.updateOne(
+        { _id: notification._id },
+        { $set: { 'email.status': 'sent', 'email.sentAt': new Date() }, $unset: { 'email.error': '' } }
+      );
+      sent++;
+    } catch (error) {
+      await Notification.updateOne(
+        { _id: notification._id },
+        { $set: { 'email.status': 'failed', 'email.error': error.message } }
+      );
+      failed++;
+    }
+  }
+  return { sent, failed };
+}
+
+// Create all reminders due now and send their emails; the notifications job
+async function runReminders(now = new Date()) {
+  const hearings = await remindHearings(now);
+  const noticesDue = await remindNoticesDue(now);
+  const overdueInvoices = await remindOverdueInvoices(now);
+  const emails = await sendPendingEmails();
+
+  return { hearings, noticesDue, overdueInvoices, emailsSent: emails.sent, emailsFailed: emails.failed };
+}
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  NOTIFICATION_TYPES,
+  MAX_DAYS_BEFORE,
+  getPreferences,
+  dueLeadDays,
+  notify,
+  notifyNoticeExpired,
+  notifyInvoiceOverdue,
+  sendPendingEmails,
+  runReminders
+};
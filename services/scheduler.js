@@ -0,0 +1,66 @@
+/**
+ * In-process scheduler for periodic background jobs.
+ * Jobs run on a fixed interval; a run is skipped if the previous one is still going.
+ */
+const jobs = new Map();
+let started = false;
+
+// Register a job; call before startScheduler()
+const registerJob = (name, intervalMs, handler, { runOnStart = false } = {}) => {
+  jobs.set(name, { name, intervalMs, handler, runOnStart, running: false, timer: null });
+};
+
+// Run a registered job once
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+  if (job.running) return null;
+
+  job.running = true;
+  const start = Date.now();
+  try {
+    const result = await job.handler();
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`Job ${name} finished in ${Date.now() - start}ms`, result || '');
+    }
+    return result;
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error.message);
+    return null;
+  } finally {
+    job.running = false;
+  }
+};
+
+// Start all registered jobs
+const startScheduler = () => {
+  if (started) return;
+  started = true;
+
+  jobs.forEach(job => {
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    // Don't keep the process alive just for background jobs
+    job.timer.unref();
+    if (job.runOnStart) runJob(job.name);
+  });
+
+  if (jobs.size > 0) {
+    console.log(`✓ Scheduler started (${[...jobs.keys()].join(', ')})`);
+  }
+};
+
+// Stop all jobs
+const stopScheduler = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+  started = false;
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
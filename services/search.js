@@ -0,0 +1,231 @@
+/**
+ * Search across cases, clients, notices, messages and case documents in one call.
+ * Each group is limited to what the user may see and ranked by text score;
+ * every hit carries a short fragment with the matched words marked.
+ */
+const Case = require('../models/Case.model');
+const Client = require('../models/Client.model');
+const Notice = require('../models/Notice.model');
+const Message = require('../models/Message.model');
+const { hasPermission } = require('../utils/roles');
+const { getLinkedClientIds, lawyerCaseFilter, refId } = require('../utils/caseAccess');
+
+const SEARCH_TYPES = ['cases', 'clients', 'notices', 'messages', 'documents'];
+
+// Permission each result group needs
+const TYPE_PERMISSIONS = {
+  cases: 'case:read',
+  clients: 'client:read',
+  notices: 'notice:read',
+  messages: 'message:read',
+  documents: 'document:read'
+};
+
+const FRAGMENT_RADIUS = 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Words to look for in the text, leaving out excluded (-word) terms
+function getSearchTerms(q) {
+  return q
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !word.startsWith('-'));
+}
+
+/**
+ * The first of the fields that contains a search term, cut down to the text around
+ * the match. Matches are wrapped in <mark>; the rest of the text is HTML-escaped.
+ */
+function highlight(fields, terms) {
+  if (terms.length === 0) return undefined;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (!value) continue;
+    const text = String(value);
+    pattern.lastIndex = 0;
+    const match = pattern.exec(text);
+    if (!match) continue;
+
+    const start = Math.max(0, match.index - FRAGMENT_RADIUS);
+    const end = Math.min(text.length, match.index + match[0].length + FRAGMENT_RADIUS);
+    const fragment = text
+      .slice(start, end)
+      .split(pattern)
+      .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+
+    return {
+      field,
+      fragment: `${start > 0 ? '…' : ''}${fragment}${end < text.length ? '…' : ''}`
+    };
+  }
+
+  return undefined;
+}
+
+// Cases the user can see
+function caseScope(user) {
+  if (user.accessLevel === 'Admin') return {};
+  if (user.accessLevel === 'Lawyer') return lawyerCaseFilter(user._id);
+  return { clientId: { $in: getLinkedClientIds(user) } };
+}
+
+// Clients the user can see, as in the client list
+function clientScope(user) {
+  if (user.accessLevel === 'Admin') return {};
+  if (user.accessLevel === 'Lawyer') {
+    return { $or: [{ assignedLawyerId: user._id }, { assignedLawyerId: null }] };
+  }
+  return { _id: { $in: getLinkedClientIds(user) } };
+}
+
+// Notices the user can see, as in the notice list
+async function noticeScope(user) {
+  if (user.accessLevel !== 'Client') return {};
+  const linkedClientIds = getLinkedClientIds(user);
+  const cases = await Case.find({ clientId: { $in: linkedClientIds } }).select('_id');
+  return {
+    $or: [
+      { clientId: { $in: linkedClientIds } },
+      { caseId: { $in: cases.map(c => c._id) } }
+    ]
+  };
+}
+
+// Run a text search ranked by score
+function textSearch(Model, scope, q, limit) {
+  return Model.find({ ...scope, $text: { $search: q } })
+    .select({ score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit);
+}
+
+const searchCases = async (user, q, terms, limit) => {
+  const cases = await textSearch(Case, caseScope(user), q, limit)
+    .select('caseNumber title description status clientId')
+    .populate('clientId', 'name');
+
+  return cases.map(caseItem => ({
+    id: caseItem._id.toString(),
+    caseNumber: caseItem.caseNumber,
+    title: caseItem.title,
+    status: caseItem.status,
+    clientName: caseItem.clientId ? caseItem.clientId.name : undefined,
+    score: caseItem.get('score'),
+    highlight: highlight({
+      caseNumber: caseItem.caseNumber,
+      title: caseItem.title,
+      description: caseItem.description
+    }, terms)
+  }));
+};
+
+const searchClients = async (user, q, terms, limit) => {
+  const clients = await textSearch(Client, clientScope(user), q, limit)
+    .select('name companyName email');
+
+  return clients.map(client => ({
+    id: client._id.toString(),
+    name: client.name,
+    companyName: client.companyName || undefined,
+    email: client.email,
+    score: client.get('score'),
+    highlight: highlight({ name: client.name, companyName: client.companyName }, terms)
+  }));
+};
+
+const searchNotices = async (user, q, terms, limit) => {
+  const notices = await textSearch(Notice, await noticeScope(user), q, limit)
+    .select('title description status dueDate caseId clientId');
+
+  return notices.map(notice => ({
+    id: notice._id.toString(),
+    title: notice.title,
+    status: notice.status,
+    dueDate: notice.dueDate || undefined,
+    caseId: refId(notice.caseId) || undefined,
+    clientId: refId(notice.clientId) || undefined,
+    score: notice.get('score'),
+    highlight: highlight({ title: notice.title, description: notice.description }, terms)
+  }));
+};
+
+const searchMessages = async (user, q, terms, limit) => {
+  const scope = { $or: [{ senderId: user._id }, { receiverId: user._id }] };
+  const messages = await textSearch(Message, scope, q, limit)
+    .select('subject content senderId caseId createdAt')
+    .populate('senderId', 'firstName lastName');
+
+  return messages.map(message => ({
+    id: message._id.toString(),
+    subject: message.subject,
+    senderName: message.senderId
+      ? `${message.senderId.firstName} ${message.senderId.lastName}`
+      : undefined,
+    caseId: refId(message.caseId) || undefined,
+    createdAt: message.createdAt,
+    score: message.get('score'),
+    highlight: highlight({ subject: message.subject, content: message.content }, terms)
+  }));
+};
+
+// Documents are embedded in cases and have no text index; match file names and types instead
+const searchDocuments = async (user, q, terms, limit) => {
+  if (terms.length === 0) return [];
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'i');
+  const matchesDocument = { $or: [{ 'documents.fileName': pattern }, { 'documents.documentType': pattern }] };
+
+  const documents = await Case.aggregate([
+    { $match: { $and: [caseScope(user), matchesDocument] } },
+    { $unwind: '$documents' },
+    { $match: matchesDocument },
+    { $sort: { 'documents.createdAt': -1 } },
+    { $limit: limit },
+    { $project: { caseNumber: 1, title: 1, document: '$documents' } }
+  ]);
+
+  return documents.map(({ _id, caseNumber, title, document }) => ({
+    id: document._id.toString(),
+    caseId: _id.toString(),
+    caseNumber,
+    caseTitle: title,
+    fileName: document.fileName,
+    documentType: document.documentType || undefined,
+    uploadDate: document.createdAt,
+    highlight: highlight({ fileName: document.fileName, documentType: document.documentType }, terms)
+  }));
+};
+
+const SEARCHERS = {
+  cases: searchCases,
+  clients: searchClients,
+  notices: searchNotices,
+  messages: searchMessages,
+  documents: searchDocuments
+};
+
+/**
+ * Search the given types for a user. Types the user has no permission for are left out.
+ * Resolves to { [type]: results } with the best matches first.
+ */
+const globalSearch = async (user, q, { types = SEARCH_TYPES, limit = 5 } = {}) => {
+  const terms = getSearchTerms(q);
+  const allowed = types.filter(type => hasPermission(user, TYPE_PERMISSIONS[type]));
+
+  const results = await Promise.all(allowed.map(type => SEARCHERS[type](user, q, terms, limit)));
+  return Object.fromEntries(allowed.map((type, i) => [type, results[i]]));
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  highlight,
+  globalSearch
+};
@@ -0,0 +1,79 @@
+/**
+ * Date-driven status changes: sent invoices past their due date become Overdue
+ * and pending notices past their due date become Expired. Each change is audited
+ * as made by the system and notifies the people concerned. Runs as a background
+ * job and from scripts/update-statuses.js for deployments without one.
+ */
+const Notice = require('../models/Notice.model');
+const { Invoice } = require('../models/Billing.model');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { notifyInvoiceOverdue, notifyNoticeExpired, sendPendingEmails } = require('./notifications');
+
+// Mark sent invoices past their due date as Overdue
+async function markOverdueInvoices(now) {
+  const invoices = await Invoice.find({ status: 'Sent', dueDate: { $lt: now } })
+    .populate('clientId', 'name assignedLawyerId');
+
+  let updated = 0;
+  for (const invoice of invoices) {
+    const before = snapshot(invoice);
+    // Only if nobody changed the status in the meantime, e.g. marked it paid
+    const result = await Invoice.updateOne({ _id: invoice._id, status: 'Sent' }, { $set: { status: 'Overdue' } });
+    if (result.modifiedCount === 0) continue;
+
+    invoice.status = 'Overdue';
+    await recordAudit(null, {
+      action: 'status_change',
+      entityType: 'Invoice',
+      entityId: invoice._id,
+      before,
+      after: invoice,
+      note: `Past its due date of ${invoice.dueDate.toISOString().slice(0, 10)}`
+    });
+    await notifyInvoiceOverdue(invoice);
+    updated++;
+  }
+  return updated;
+}
+
+// Mark pending notices past their due date as Expired
+async function expireNotices(now) {
+  const notices = await Notice.find({ status: 'Pending', dueDate: { $lt: now } })
+    .populate('caseId', 'caseNumber title assignedLawyerId team')
+    .populate('clientId', 'name assignedLawyerId');
+
+  let updated = 0;
+  for (const notice of notices) {
+    const before = snapshot(notice);
+    const result = await Notice.updateOne({ _id: notice._id, status: 'Pending' }, { $set: { status: 'Expired' } });
+    if (result.modifiedCount === 0) continue;
+
+    notice.status = 'Expired';
+    await recordAudit(null, {
+      action: 'status_change',
+      entityType: 'Notice',
+      entityId: notice._id,
+      before,
+      after: notice,
+      note: `Past its due date of ${notice.dueDate.toISOString().slice(0, 10)}`
+    });
+    await notifyNoticeExpired(notice);
+    updated++;
+  }
+  return updated;
+}
+
+// Apply all status changes due now and email their notifications; the status-transitions job
+async function runStatusTransitions(now = new Date()) {
+  const overdueInvoices = await markOverdueInvoices(now);
+  const expiredNotices = await expireNotices(now);
+  const emails = await sendPendingEmails();
+
+  return { overdueInvoices, expiredNotices, emailsSent: emails.sent, emailsFailed: emails.failed };
+}
+
+module.exports = {
+  markOverdueInvoices,
+  expireNotices,
+  runStatusTransitions
+};
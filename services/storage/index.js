@@ -0,0 +1,92 @@
+const path = require('path');
+const crypto = require('crypto');
+const createLocalStorage = require('./local.storage');
+const createS3Storage = require('./s3.storage');
+
+// Storage drivers are created lazily and cached per driver name
+const drivers = {};
+
+/**
+ * Get a storage driver by name.
+ * Defaults to STORAGE_DRIVER (or "local") so existing documents keep
+ * resolving through the driver they were stored with.
+ */
+function getStorage(name = process.env.STORAGE_DRIVER || 'local') {
+  if (drivers[name]) return drivers[name];
+
+  if (name === 'local') {
+    drivers[name] = createLocalStorage({
+      rootDir: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')
+    });
+  } else if (name === 's3') {
+    drivers[name] = createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    });
+  } else {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return drivers[name];
+}
+
+// Build a storage key for an uploaded file under a prefix such as "cases/<id>"
+function buildStorageKey(prefix, originalName) {
+  const safeName = originalName.replace(/[^\w.-]+/g, '_').slice(-100);
+  return `${prefix}/${crypto.randomUUID()}-${safeName}`;
+}
+
+/**
+ * Write an uploaded file (as multer gives it) to storage under a prefix.
+ * Resolves to what a record needs to find it again: fileName, filePath,
+ * storageDriver, mimeType, size and a SHA-256 checksum.
+ */
+async function storeFile(prefix, file, fileName) {
+  const storage = getStorage();
+  const key = buildStorageKey(prefix, file.originalname);
+
+  await storage.put(key, file.buffer, file.mimetype);
+
+  return {
+    fileName: fileName || file.originalname,
+    filePath: key,
+    storageDriver: storage.name,
+    mimeType: file.mimetype,
+    size: file.size,
+    checksum: crypto.createHash('sha256').update(file.buffer).digest('hex')
+  };
+}
+
+// Stream a stored file to the response as a download
+async function sendStoredFile(res, file) {
+  let stream;
+  try {
+    stream = await getStorage(file.storageDriver).getStream(file.filePath);
+  } catch (error) {
+    console.error('Read stored file error:', error);
+    return res.status(404).json({
+      success: false,
+      message: 'Document file not found in storage'
+    });
+  }
+
+  res.attachment(file.fileName);
+  res.type(file.mimeType || 'application/octet-stream');
+  if (file.size) res.set('Content-Length', String(file.size));
+
+  stream.on('error', (error) => {
+    console.error('Stream stored file error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+module.exports = {
+  getStorage,
+  storeFile,
+  sendStoredFile
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk storage driver.
+ * Files are written below rootDir using the storage key as a relative path.
+ */
+function createLocalStorage({ rootDir }) {
+  const root = path.resolve(rootDir);
+
+  // Resolve a storage key to an absolute path, refusing keys that escape the root
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      // Stat first so a missing file surfaces as an error before headers are sent
+      await fs.promises.stat(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,50 @@
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, DigitalOcean Spaces, ...).
+ * The AWS SDK is only loaded when this driver is selected.
+ */
+function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET environment variable is required for the s3 storage driver');
+  }
+
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+  } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    ...(endpoint && { endpoint }),
+    ...(accessKeyId && secretAccessKey && {
+      credentials: { accessKeyId, secretAccessKey }
+    }),
+    forcePathStyle: !!forcePathStyle
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType || 'application/octet-stream'
+      }));
+      return { key, size: buffer.length };
+    },
+
+    async getStream(key) {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return result.Body;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+module.exports = createS3Storage;
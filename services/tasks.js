@@ -0,0 +1,56 @@
+/**
+ * Case tasks: who can be given a task on a case, and the tasks a case type's
+ * templates create when a case is opened.
+ */
+const Task = require('../models/Task.model');
+const User = require('../models/User.model');
+const { getAccessLevel } = require('../utils/roles');
+const { getTeamMember, refId } = require('../utils/caseAccess');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check that a user can be given a task on a case: an active Admin, or the case's
+ * assigned lawyer or a team member other than an observer.
+ * Resolves to an error message, or null when the user can take the task.
+ */
+async function checkAssignee(caseItem, userId) {
+  const user = await User.findById(userId).select('role isActive');
+  if (!user || !user.isActive) return 'Assignee must be an active user';
+
+  const accessLevel = await getAccessLevel(user.role);
+  if (accessLevel === 'Admin') return null;
+  if (accessLevel !== 'Lawyer') return 'Tasks can only be assigned to staff';
+
+  if (refId(caseItem.assignedLawyerId) === user._id.toString()) return null;
+  const member = getTeamMember(caseItem, user._id);
+  if (member && member.role !== 'observer') return null;
+
+  return 'Assignee must be on the case team';
+}
+
+// Create the case type's template tasks for a new case
+async function createTemplateTasks(caseItem, caseType, userId) {
+  const templates = (caseType && caseType.taskTemplates) || [];
+  if (templates.length === 0) return [];
+
+  const now = Date.now();
+  return Task.insertMany(templates.map(template => ({
+    caseId: caseItem._id,
+    title: template.title,
+    description: template.description,
+    priority: template.priority || 'Medium',
+    assigneeId: template.assignTo === 'unassigned' ? undefined : caseItem.assignedLawyerId,
+    dueDate: template.dueInDays !== undefined && template.dueInDays !== null
+      ? new Date(now + template.dueInDays * DAY_MS)
+      : undefined,
+    checklist: (template.checklist || []).map(text => ({ text })),
+    templateKey: template.key,
+    createdBy: userId
+  })));
+}
+
+module.exports = {
+  checkAssignee,
+  createTemplateTasks
+};
@@ -0,0 +1,139 @@
+/**
+ * Trash handling for soft-deleted cases and clients: what blocks a deletion,
+ * and permanent removal (purge) once the retention period has passed.
+ */
+const Case = require('../models/Case.model');
+const Client = require('../models/Client.model');
+const Hearing = require('../models/Hearing.model');
+const Deadline = require('../models/Deadline.model');
+const Task = require('../models/Task.model');
+const Notice = require('../models/Notice.model');
+const User = require('../models/User.model');
+const { Invoice } = require('../models/Billing.model');
+const { getStorage } = require('./storage');
+const { recordAudit } = require('../utils/audit');
+const { openCaseFilter } = require('../utils/caseWorkflow');
+
+const UNPAID_INVOICE_STATUSES = ['Draft', 'Sent', 'Overdue'];
+
+// Days a record stays in the trash before it is purged
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) ? 30 : days;
+};
+
+// Only trashed records can be purged
+const inTrash = { deletedAt: { $ne: null } };
+
+// Keep only the non-zero counts; null when nothing blocks
+function collectBlockers(counts) {
+  const blockers = Object.fromEntries(Object.entries(counts).filter(([, count]) => count > 0));
+  return Object.keys(blockers).length > 0 ? blockers : null;
+}
+
+/**
+ * What still depends on a client: open cases, unpaid invoices and pending notices.
+ * Resolves to counts by kind, or null when the client can be deleted.
+ */
+const findClientBlockers = async (client) => {
+  const [openCases, unpaidInvoices, pendingNotices] = await Promise.all([
+    Case.countDocuments({ clientId: client._id, ...openCaseFilter() }),
+    Invoice.countDocuments({ clientId: client._id, status: { $in: UNPAID_INVOICE_STATUSES } }),
+    Notice.countDocuments({ clientId: client._id, status: 'Pending' })
+  ]);
+  return collectBlockers({ openCases, unpaidInvoices, pendingNotices });
+};
+
+/**
+ * What still depends on a case: unpaid invoices billing it and pending notices.
+ * Resolves to counts by kind, or null when the case can be deleted.
+ */
+const findCaseBlockers = async (caseItem) => {
+  const [unpaidInvoices, pendingNotices] = await Promise.all([
+    Invoice.countDocuments({ caseIds: caseItem._id, status: { $in: UNPAID_INVOICE_STATUSES } }),
+    Notice.countDocuments({ caseId: caseItem._id, status: 'Pending' })
+  ]);
+  return collectBlockers({ unpaidInvoices, pendingNotices });
+};
+
+// Permanently remove a trashed case with its hearings, deadlines, tasks and stored document files.
+// Time entries, invoices and notices are kept as billing and legal records.
+const purgeCase = async (caseItem, req = null) => {
+  const files = [];
+  caseItem.documents.forEach(document => {
+    const versions = document.versions && document.versions.length > 0 ? document.versions : [document];
+    versions.forEach(v => files.push({ filePath: v.filePath, storageDriver: v.storageDriver }));
+  });
+
+  await Hearing.deleteMany({ caseId: caseItem._id });
+  await Deadline.deleteMany({ caseId: caseItem._id });
+  await Task.deleteMany({ caseId: caseItem._id });
+  await Case.deleteOne({ _id: caseItem._id, ...inTrash });
+
+  for (const file of files) {
+    try {
+      await getStorage(file.storageDriver).remove(file.filePath);
+    } catch (error) {
+      console.error('Remove purged case file error:', error);
+    }
+  }
+
+  await recordAudit(req, {
+    action: 'purge',
+    entityType: 'Case',
+    entityId: caseItem._id,
+    before: { caseNumber: caseItem.caseNumber, title: caseItem.title }
+  });
+};
+
+// Permanently remove a trashed client with its trashed cases
+const purgeClient = async (client, req = null) => {
+  const cases = await Case.find({ clientId: client._id, ...inTrash });
+  for (const caseItem of cases) {
+    await purgeCase(caseItem, req);
+  }
+
+  await User.updateMany({ clientIds: client._id }, { $pull: { clientIds: client._id } });
+  await Client.deleteOne({ _id: client._id, ...inTrash });
+
+  await recordAudit(req, {
+    action: 'purge',
+    entityType: 'Client',
+    entityId: client._id,
+    before: { name: client.name, email: client.email }
+  });
+};
+
+/**
+ * Purge cases and clients that have been in the trash longer than the retention period.
+ * A client is only purged once none of its cases are left outside the trash.
+ */
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const summary = { cases: 0, clients: 0 };
+
+  const cases = await Case.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  for (const caseItem of cases) {
+    await purgeCase(caseItem);
+    summary.cases++;
+  }
+
+  const clients = await Client.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  for (const client of clients) {
+    const activeCases = await Case.countDocuments({ clientId: client._id });
+    if (activeCases > 0) continue;
+    await purgeClient(client);
+    summary.clients++;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  getRetentionDays,
+  findClientBlockers,
+  findCaseBlockers,
+  purgeCase,
+  purgeClient,
+  purgeExpiredTrash
+};
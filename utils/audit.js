@@ -0,0 +1,76 @@
+const AuditLog = require('../models/AuditLog.model');
+const { getClientIp } = require('./sessions');
+
+// Bookkeeping fields that are never part of a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'timeline'];
+
+// Secrets are recorded as changed without their value
+const REDACTED_FIELDS = ['password', 'twoFactor', 'calendarToken', 'tokenHash', 'previousTokenHash'];
+const REDACTED = '[redacted]';
+
+// Plain copy of a document (or object) for diffing; call before changing the document
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, flattenMaps: true })
+    : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Changed top-level fields of two snapshots as { before, after }
+const diff = (before, after) => {
+  const result = { before: {}, after: {} };
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+    const redact = REDACTED_FIELDS.includes(field);
+    if (oldValue !== undefined) result.before[field] = redact ? REDACTED : oldValue;
+    if (newValue !== undefined) result.after[field] = redact ? REDACTED : newValue;
+  });
+
+  return result;
+};
+
+// Append an audit entry for a change. before/after are documents or snapshots;
+// only the fields that differ are stored. The actor is req.user unless given
+// (e.g. a user who just signed up); pass req = null for background jobs.
+// Failures are logged and never fail the request that made the change.
+const recordAudit = async (req, { action, entityType, entityId, before, after, parentType, parentId, note, actor }) => {
+  try {
+    const changes = diff(snapshot(before), snapshot(after));
+    // Nothing changed, nothing to record
+    if (action === 'update' && Object.keys(changes.after).length === 0 && Object.keys(changes.before).length === 0) {
+      return null;
+    }
+
+    actor = actor || (req && req.user);
+    return await AuditLog.create({
+      actorId: actor ? actor._id : undefined,
+      actorName: actor ? `${actor.firstName} ${actor.lastName}` : 'System',
+      action,
+      entityType,
+      entityId: entityId.toString(),
+      parentType,
+      parentId: parentId ? parentId.toString() : undefined,
+      before: changes.before,
+      after: changes.after,
+      note,
+      ipAddress: req ? getClientIp(req) : undefined,
+      userAgent: req ? req.headers['user-agent'] : undefined
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit
+};
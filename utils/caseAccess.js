@@ -0,0 +1,83 @@
+// Get the id string of a reference whether or not it has been populated
+function refId(ref) {
+  if (!ref) return null;
+  return ref._id ? ref._id.toString() : ref.toString();
+}
+
+// Client record ids a Client-role user represents
+const getLinkedClientIds = (user) => (user.clientIds || []).map(id => id.toString());
+
+// Get a user's membership on the case team, if any
+const getTeamMember = (caseItem, userId) =>
+  (caseItem.team || []).find(member => refId(member.userId) === userId.toString()) || null;
+
+// Query matching the cases a Lawyer-level user works on
+const lawyerCaseFilter = (userId) => ({
+  $or: [
+    { assignedLawyerId: userId },
+    { 'team.userId': userId }
+  ]
+});
+
+// Check if user can view a case
+// Admin sees everything, Lawyer their assigned or team cases, Client only their own cases
+const canAccessCase = async (user, caseItem) => {
+  if (user.accessLevel === 'Admin') return true;
+
+  if (user.accessLevel === 'Lawyer') {
+    return refId(caseItem.assignedLawyerId) === user._id.toString() || !!getTeamMember(caseItem, user._id);
+  }
+
+  if (user.accessLevel === 'Client') {
+    return getLinkedClientIds(user).includes(refId(caseItem.clientId));
+  }
+
+  return false;
+};
+
+// Check if user can modify a case (Admin, the assigned lawyer or a team member other than an observer)
+const canManageCase = (user, caseItem) => {
+  if (user.accessLevel === 'Admin') return true;
+  if (user.accessLevel !== 'Lawyer') return false;
+  if (refId(caseItem.assignedLawyerId) === user._id.toString()) return true;
+
+  const member = getTeamMember(caseItem, user._id);
+  return !!member && member.role !== 'observer';
+};
+
+// Check if user can change the case team (Admin, the assigned lawyer or a lead member)
+const canManageTeam = (user, caseItem) => {
+  if (user.accessLevel === 'Admin') return true;
+  if (user.accessLevel !== 'Lawyer') return false;
+  if (refId(caseItem.assignedLawyerId) === user._id.toString()) return true;
+
+  const member = getTeamMember(caseItem, user._id);
+  return !!member && member.role === 'lead';
+};
+
+// Check if a staff user may see a client record (Admin, or a Lawyer for clients
+// assigned to them or to nobody)
+const canAccessClient = (user, client) => {
+  if (user.accessLevel === 'Admin') return true;
+  if (user.accessLevel !== 'Lawyer') return false;
+  return !client.assignedLawyerId || refId(client.assignedLawyerId) === user._id.toString();
+};
+
+// Check if a staff user may act for a client record: link portal users to it, or file
+// notices under it (Admin, or the client's assigned lawyer)
+const canManageClient = (user, client) => {
+  if (user.accessLevel === 'Admin') return true;
+  return !!client.assignedLawyerId && refId(client.assignedLawyerId) === user._id.toString();
+};
+
+module.exports = {
+  refId,
+  getLinkedClientIds,
+  getTeamMember,
+  lawyerCaseFilter,
+  canAccessCase,
+  canManageCase,
+  canManageTeam,
+  canAccessClient,
+  canManageClient
+};
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case.model');
+
+/**
+ * Filters for the case list, shared by GET /api/cases and saved case views.
+ *   status=Open,OnHold                multi-value fields take comma-separated values
+ *   filingDateFrom=2024-01-01         ranges take ISO dates, "today" or an offset
+ *   nextHearingTo=+7d                 from today in days (d), weeks (w) or months (m)
+ *   cf.court=High Court               custom fields, also as cf[court]=...
+ */
+const MULTI_VALUE_FIELDS = ['status', 'priority', 'caseType'];
+
+const DATE_RANGES = {
+  filingDateFrom: ['filingDate', '$gte'],
+  filingDateTo: ['filingDate', '$lte'],
+  nextHearingFrom: ['nextHearingDate', '$gte'],
+  nextHearingTo: ['nextHearingDate', '$lte']
+};
+
+const CASE_FILTER_KEYS = ['clientId', 'assignedLawyerId', ...MULTI_VALUE_FIELDS, ...Object.keys(DATE_RANGES), 'q', 'cf'];
+
+const CASE_SORT_FIELDS = [
+  'createdAt', 'updatedAt', 'caseNumber', 'title', 'status', 'priority', 'filingDate', 'nextHearingDate'
+];
+
+const CUSTOM_FIELD_KEY = /^[A-Za-z0-9_-]+$/;
+
+const splitValues = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(v => String(v).trim())
+  .filter(Boolean);
+
+/**
+ * Resolve a range bound to a date. Date-only and relative upper bounds cover the whole day.
+ * Returns null when the value is not understood.
+ */
+function resolveDate(value, endOfDay) {
+  const text = String(value).trim();
+  let date;
+
+  const offset = text.match(/^(today)?([+-]\d+)([dwm])$/i);
+  if (text.toLowerCase() === 'today' || offset) {
+    date = new Date();
+    if (offset) {
+      const amount = parseInt(offset[2], 10);
+      const unit = offset[3].toLowerCase();
+      if (unit === 'm') date.setMonth(date.getMonth() + amount);
+      else date.setDate(date.getDate() + amount * (unit === 'w' ? 7 : 1));
+    }
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    date = new Date(`${text}T00:00:00`);
+  } else {
+    date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay) date.setHours(23, 59, 59, 999);
+  else date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+// Custom field filters from cf[key]=... and cf.key=... parameters
+function getCustomFieldParams(params) {
+  const fields = {};
+  if (params.cf && typeof params.cf === 'object') Object.assign(fields, params.cf);
+  Object.keys(params)
+    .filter(key => key.startsWith('cf.'))
+    .forEach(key => { fields[key.slice(3)] = params[key]; });
+  return fields;
+}
+
+// Custom field values are stored as entered; match numbers and booleans as well as text
+function customFieldValues(value) {
+  return splitValues(value).flatMap(v => {
+    if (v === 'true' || v === 'false') return [v, v === 'true'];
+    if (v !== '' && !Number.isNaN(Number(v))) return [v, Number(v)];
+    return [v];
+  });
+}
+
+/**
+ * Keep only case list parameters, as strings, with custom fields under cf.
+ * Used to store a saved view's filters. Returns { params, unknown }.
+ */
+function normalizeFilterParams(input) {
+  const params = {};
+  const unknown = [];
+
+  Object.entries(input || {}).forEach(([key, value]) => {
+    if (key === 'cf' || key.startsWith('cf.')) return;
+    if (!CASE_FILTER_KEYS.includes(key)) {
+      unknown.push(key);
+      return;
+    }
+    if (value === undefined || value === null || value === '') return;
+    params[key] = Array.isArray(value) ? value.join(',') : String(value);
+  });
+
+  const customFields = getCustomFieldParams(input || {});
+  if (Object.keys(customFields).length > 0) {
+    params.cf = Object.fromEntries(Object.entries(customFields)
+      .map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : String(value)]));
+  }
+
+  return { params, unknown };
+}
+
+/**
+ * Build the Mongo filter for the case list parameters, leaving out access scoping
+ * and the client filter, which depend on the caller.
+ * Resolves "me" in assignedLawyerId to the user. Returns { filter, errors }.
+ */
+function parseCaseFilters(params, user) {
+  const filter = {};
+  const errors = [];
+  const addError = (path, msg) => errors.push({ path, msg });
+
+  if (params.assignedLawyerId) {
+    const lawyerId = params.assignedLawyerId === 'me' ? user._id.toString() : String(params.assignedLawyerId);
+    if (mongoose.isValidObjectId(lawyerId)) filter.assignedLawyerId = lawyerId;
+    else addError('assignedLawyerId', 'Must be a user id or "me"');
+  }
+
+  MULTI_VALUE_FIELDS.forEach(field => {
+    if (!params[field]) return;
+    const values = splitValues(params[field]);
+    // Case types are configurable; an unknown one simply matches nothing
+    const allowed = Case.schema.path(field).enumValues;
+    const unknown = allowed.length > 0 ? values.filter(v => !allowed.includes(v)) : [];
+    if (unknown.length > 0) {
+      addError(field, `Unknown ${field} ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+      return;
+    }
+    filter[field] = values.length === 1 ? values[0] : { $in: values };
+  });
+
+  Object.entries(DATE_RANGES).forEach(([param, [field, operator]]) => {
+    if (!params[param]) return;
+    const date = resolveDate(params[param], operator === '$lte');
+    if (!date) {
+      addError(param, 'Must be an ISO date, "today" or an offset such as +7d');
+      return;
+    }
+    filter[field] = { ...filter[field], [operator]: date };
+  });
+
+  Object.entries(getCustomFieldParams(params)).forEach(([key, value]) => {
+    if (!CUSTOM_FIELD_KEY.test(key)) {
+      addError(`cf.${key}`, 'Custom field names may only contain letters, digits, _ and -');
+      return;
+    }
+    const values = customFieldValues(value);
+    if (values.length === 0) return;
+    filter[`customFields.${key}`] = values.length === 1 ? values[0] : { $in: values };
+  });
+
+  return { filter, errors };
+}
+
+module.exports = {
+  CASE_FILTER_KEYS,
+  CASE_SORT_FIELDS,
+  normalizeFilterParams,
+  parseCaseFilters
+};
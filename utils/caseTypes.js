@@ -0,0 +1,231 @@
+const CaseType = require('../models/CaseType.model');
+
+// Task most new matters start with
+const VAKALATNAMA_TASK = {
+  key: 'vakalatnama', title: 'Collect signed vakalatnama', priority: 'High', dueInDays: 3,
+  checklist: ['Prepare vakalatnama', 'Get the client\'s signature', 'File with the court']
+};
+
+// Case types available out of the box; Admins can edit, retire and add to them
+const BUILT_IN_CASE_TYPES = [
+  {
+    type: 'Civil', name: 'Civil', description: 'Civil law cases', icon: 'gavel', color: '#667eea',
+    taskTemplates: [
+      VAKALATNAMA_TASK,
+      {
+        key: 'plaint', title: 'Draft plaint', priority: 'Medium', dueInDays: 7,
+        checklist: ['Collect documents from the client', 'Draft', 'Client review', 'Court fee and valuation']
+      }
+    ],
+    deadlineRules: [
+      {
+        key: 'writtenStatement', name: 'File written statement', trigger: 'summonsServed', triggerLabel: 'Summons served on defendant',
+        period: { value: 30, unit: 'days' }, statute: 'CPC, Order VIII Rule 1'
+      },
+      {
+        key: 'firstAppeal', name: 'File first appeal to the High Court', trigger: 'judgment', triggerLabel: 'Decree passed',
+        period: { value: 90, unit: 'days' }, statute: 'Limitation Act, 1963, Art. 116(a)'
+      },
+      {
+        key: 'review', name: 'File review petition', trigger: 'judgment',
+        period: { value: 30, unit: 'days' }, statute: 'Limitation Act, 1963, Art. 124'
+      }
+    ]
+  },
+  {
+    type: 'Criminal', name: 'Criminal', description: 'Criminal law cases', icon: 'security', color: '#dc3545',
+    taskTemplates: [
+      VAKALATNAMA_TASK,
+      { key: 'firCopy', title: 'Obtain copy of FIR and charge sheet', priority: 'High', dueInDays: 7 }
+    ],
+    deadlineRules: [
+      {
+        key: 'appeal', name: 'File appeal to the High Court', trigger: 'judgment', triggerLabel: 'Judgment or sentence pronounced',
+        period: { value: 60, unit: 'days' }, statute: 'Limitation Act, 1963, Art. 115(b)(i)'
+      },
+      {
+        key: 'revision', name: 'File revision petition', trigger: 'judgment',
+        period: { value: 90, unit: 'days' }, statute: 'Limitation Act, 1963, Art. 131'
+      }
+    ]
+  },
+  { type: 'Corporate', name: 'Corporate', description: 'Corporate law cases', icon: 'business', color: '#28a745' },
+  { type: 'Family', name: 'Family', description: 'Family law cases', icon: 'family_restroom', color: '#ffc107' },
+  { type: 'Property', name: 'Property', description: 'Property law cases', icon: 'home', color: '#17a2b8' },
+  { type: 'Labor', name: 'Labor', description: 'Labor law cases', icon: 'work', color: '#6f42c1' },
+  { type: 'Tax', name: 'Tax', description: 'Tax law cases', icon: 'receipt', color: '#fd7e14' },
+  { type: 'PersonalInjury', name: 'Personal Injury', description: 'Personal injury cases', icon: 'healing', color: '#e83e8c' },
+  { type: 'Immigration', name: 'Immigration', description: 'Immigration law cases', icon: 'flight', color: '#20c997' },
+  { type: 'Bankruptcy', name: 'Bankruptcy', description: 'Bankruptcy cases', icon: 'account_balance_wallet', color: '#6c757d' },
+  {
+    type: 'ChequeDefault', name: 'Cheque Default', description: 'Cheque default cases', icon: 'payment', color: '#dc3545',
+    taskTemplates: [
+      {
+        key: 'chequeDocuments', title: 'Collect original cheque and return memo', priority: 'High', dueInDays: 3,
+        checklist: ['Original cheque', 'Bank return memo', 'Proof of the debt']
+      },
+      { key: 'demandNotice', title: 'Draft and send demand notice', priority: 'Urgent', dueInDays: 7 }
+    ],
+    deadlineRules: [
+      {
+        key: 'demandNotice', name: 'Send demand notice to the drawer', trigger: 'chequeReturned', triggerLabel: 'Cheque return memo received',
+        period: { value: 30, unit: 'days' }, statute: 'Negotiable Instruments Act, 1881, s. 138(b)'
+      },
+      {
+        key: 'paymentPeriod', name: 'Drawer\'s time to pay ends', trigger: 'demandNoticeServed', triggerLabel: 'Demand notice served on the drawer',
+        period: { value: 15, unit: 'days' }, extendToWorkingDay: false, statute: 'Negotiable Instruments Act, 1881, s. 138(c)'
+      },
+      {
+        key: 'complaint', name: 'File complaint', trigger: 'paymentPeriod',
+        period: { value: 1, unit: 'months' }, statute: 'Negotiable Instruments Act, 1881, s. 142(1)(b)'
+      }
+    ]
+  },
+  { type: 'Other', name: 'Other', description: 'Other types of cases', icon: 'more_horiz', color: '#adb5bd' }
+];
+
+const CACHE_MS = 30 * 1000;
+let cache = null;
+
+// Load all case types: built-in types overlaid with stored types
+const loadCaseTypes = async () => {
+  if (cache && cache.expiresAt > Date.now()) return cache.caseTypes;
+
+  const caseTypes = new Map();
+  BUILT_IN_CASE_TYPES.forEach(caseType => {
+    caseTypes.set(caseType.type, { fields: [], workflow: null, deadlineRules: [], taskTemplates: [], ...caseType, isActive: true, isSystem: true });
+  });
+
+  const stored = await CaseType.find();
+  stored.forEach(caseType => {
+    const builtIn = BUILT_IN_CASE_TYPES.find(type => type.type === caseType.type);
+    caseTypes.set(caseType.type, {
+      type: caseType.type,
+      name: caseType.name,
+      description: caseType.description || '',
+      icon: caseType.icon || undefined,
+      color: caseType.color || undefined,
+      fields: caseType.fields.map(field => field.toObject()),
+      workflow: caseType.workflow ? caseType.workflow.toObject() : null,
+      deadlineRules: caseType.deadlineRules
+        ? caseType.deadlineRules.map(rule => rule.toObject())
+        : ((builtIn && builtIn.deadlineRules) || []),
+      taskTemplates: caseType.taskTemplates
+        ? caseType.taskTemplates.map(template => template.toObject())
+        : ((builtIn && builtIn.taskTemplates) || []),
+      isActive: caseType.isActive,
+      isSystem: !!builtIn,
+      updatedAt: caseType.updatedAt
+    });
+  });
+
+  cache = { caseTypes, expiresAt: Date.now() + CACHE_MS };
+  return caseTypes;
+};
+
+// Drop cached case types after a change
+const clearCaseTypeCache = () => {
+  cache = null;
+};
+
+// Get a case type by its type value, or null if it does not exist
+const getCaseType = async (type) => {
+  const caseTypes = await loadCaseTypes();
+  return caseTypes.get(type) || null;
+};
+
+// express-validator check that a case type exists and can be used for new cases
+const activeCaseType = async (type) => {
+  const caseType = await getCaseType(type);
+  if (!caseType) throw new Error(`Case type "${type}" does not exist`);
+  if (!caseType.isActive) throw new Error(`Case type "${type}" has been retired`);
+  return true;
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Convert one custom field value to its field type; returns { value } or { error }
+function coerceFieldValue(field, value) {
+  const rules = field.validation || {};
+
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (typeof value === 'boolean' || Number.isNaN(number)) return { error: 'must be a number' };
+      if (rules.min !== undefined && rules.min !== null && number < rules.min) return { error: `must be at least ${rules.min}` };
+      if (rules.max !== undefined && rules.max !== null && number > rules.max) return { error: `must be at most ${rules.max}` };
+      return { value: number };
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (typeof value === 'boolean' || Number.isNaN(date.getTime())) return { error: 'must be a date' };
+      if (rules.min && date < new Date(rules.min)) return { error: `must be on or after ${rules.min}` };
+      if (rules.max && date > new Date(rules.max)) return { error: `must be on or before ${rules.max}` };
+      return { value: date };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    case 'select':
+      if (!field.options.includes(String(value))) return { error: `must be one of ${field.options.join(', ')}` };
+      return { value: String(value) };
+    case 'multiselect': {
+      const values = (Array.isArray(value) ? value : [value]).map(String);
+      const unknown = values.filter(v => !field.options.includes(v));
+      if (unknown.length > 0) return { error: `has unknown options ${unknown.join(', ')}` };
+      return { value: [...new Set(values)] };
+    }
+    default: {
+      if (typeof value === 'object') return { error: 'must be text' };
+      const text = String(value);
+      if (rules.minLength && text.length < rules.minLength) return { error: `must be at least ${rules.minLength} characters` };
+      if (rules.maxLength && text.length > rules.maxLength) return { error: `must be at most ${rules.maxLength} characters` };
+      if (rules.pattern && !new RegExp(rules.pattern).test(text)) return { error: 'is not in the expected format' };
+      return { value: text };
+    }
+  }
+}
+
+/**
+ * Check custom field values against a case type's field schema.
+ * Types without fields accept any values, as before case types were configurable.
+ * Returns { values, errors }, with values converted to their field types.
+ */
+function validateCustomFields(caseType, customFields) {
+  const input = customFields instanceof Map ? Object.fromEntries(customFields) : (customFields || {});
+  const fields = (caseType && caseType.fields) || [];
+  if (fields.length === 0) return { values: input, errors: [] };
+
+  const values = {};
+  const errors = [];
+  const fieldsByKey = new Map(fields.map(field => [field.key, field]));
+
+  Object.keys(input)
+    .filter(key => !fieldsByKey.has(key))
+    .forEach(key => errors.push({ path: `customFields.${key}`, msg: `Unknown field for case type ${caseType.type}` }));
+
+  fields.forEach(field => {
+    const value = input[field.key];
+    if (isBlank(value)) {
+      if (field.required) errors.push({ path: `customFields.${field.key}`, msg: `${field.label} is required` });
+      return;
+    }
+
+    const result = coerceFieldValue(field, value);
+    if (result.error) errors.push({ path: `customFields.${field.key}`, msg: `${field.label} ${result.error}` });
+    else values[field.key] = result.value;
+  });
+
+  return { values, errors };
+}
+
+module.exports = {
+  BUILT_IN_CASE_TYPES,
+  loadCaseTypes,
+  clearCaseTypeCache,
+  getCaseType,
+  activeCaseType,
+  validateCustomFields
+};
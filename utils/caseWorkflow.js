@@ -0,0 +1,136 @@
+/**
+ * Case status workflows. Each case type can define its statuses and the transitions
+ * allowed between them; types without one use the default workflow, where any of
+ * Open, InProgress, OnHold and Closed can move to any other.
+ *
+ *   {
+ *     initialStatus: 'Filing',
+ *     statuses: [{ key: 'Filing', label: 'Filing' }, ..., { key: 'Disposed', label: 'Disposed', closed: true }],
+ *     transitions: [
+ *       { from: ['Filing'], to: 'Admission' },
+ *       { from: ['*'], to: 'Disposed', requiresReason: true, requiredFields: ['judgmentDate'] }
+ *     ]
+ *   }
+ */
+const DEFAULT_WORKFLOW = {
+  initialStatus: 'Open',
+  statuses: [
+    { key: 'Open', label: 'Open' },
+    { key: 'InProgress', label: 'In Progress' },
+    { key: 'OnHold', label: 'On Hold' },
+    { key: 'Closed', label: 'Closed', closed: true }
+  ],
+  transitions: [
+    { from: ['*'], to: 'Open' },
+    { from: ['*'], to: 'InProgress' },
+    { from: ['*'], to: 'OnHold' },
+    { from: ['*'], to: 'Closed' }
+  ]
+};
+
+// Cases that are not in a closed status, including those closed before workflows existed
+const openCaseFilter = () => ({ status: { $ne: 'Closed' }, isClosed: { $ne: true } });
+
+// Workflow of a case type (as returned by getCaseType)
+const getWorkflow = (caseType) =>
+  (caseType && caseType.workflow && caseType.workflow.statuses && caseType.workflow.statuses.length > 0
+    ? caseType.workflow
+    : DEFAULT_WORKFLOW);
+
+const getStatus = (workflow, key) => workflow.statuses.find(status => status.key === key) || null;
+
+const isClosedStatus = (workflow, key) => {
+  const status = getStatus(workflow, key);
+  return !!(status && status.closed);
+};
+
+/**
+ * Transitions open to a case in the given status. A case whose status is not in the
+ * workflow (e.g. after its type's workflow changed) may move to any status.
+ */
+function getAvailableTransitions(workflow, fromStatus) {
+  if (!getStatus(workflow, fromStatus)) {
+    return workflow.statuses
+      .filter(status => status.key !== fromStatus)
+      .map(status => ({ from: ['*'], to: status.key }));
+  }
+
+  const seen = new Set();
+  return workflow.transitions.filter(transition => {
+    if (transition.to === fromStatus || seen.has(transition.to)) return false;
+    if (!transition.from.includes('*') && !transition.from.includes(fromStatus)) return false;
+    seen.add(transition.to);
+    return true;
+  });
+}
+
+/**
+ * Check a status change against the workflow.
+ * customFields are the case's custom field values after the change.
+ * Returns an error message, or null when the change is allowed.
+ */
+function checkTransition(workflow, fromStatus, toStatus, { reason, customFields, fieldLabels = {} } = {}) {
+  if (!getStatus(workflow, toStatus)) {
+    return `Unknown status ${toStatus}. Allowed: ${workflow.statuses.map(status => status.key).join(', ')}`;
+  }
+
+  const transition = getAvailableTransitions(workflow, fromStatus).find(t => t.to === toStatus);
+  if (!transition) {
+    const allowed = getAvailableTransitions(workflow, fromStatus).map(t => t.to);
+    return `A case cannot move from ${fromStatus} to ${toStatus}.` +
+      (allowed.length > 0 ? ` Allowed next statuses: ${allowed.join(', ')}` : ' No further status changes are allowed.');
+  }
+
+  if (transition.requiresReason && !(reason && reason.trim())) {
+    return `A reason is required to move a case to ${toStatus}`;
+  }
+
+  const values = customFields instanceof Map ? Object.fromEntries(customFields) : (customFields || {});
+  const missing = (transition.requiredFields || []).filter(key => {
+    const value = values[key];
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+  });
+  if (missing.length > 0) {
+    return `Fill in ${missing.map(key => fieldLabels[key] || key).join(', ')} before moving the case to ${toStatus}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a workflow definition against its case type's custom fields.
+ * Throws with a message for the first problem found, for use as an express-validator check.
+ */
+function checkWorkflowDefinition(workflow, fields = []) {
+  const keys = new Set();
+  workflow.statuses.forEach(status => {
+    if (keys.has(status.key)) throw new Error(`Status "${status.key}" is listed more than once`);
+    keys.add(status.key);
+  });
+
+  const initialStatus = workflow.initialStatus || workflow.statuses[0].key;
+  if (!keys.has(initialStatus)) throw new Error(`Initial status "${initialStatus}" is not one of the statuses`);
+
+  const fieldKeys = new Set(fields.map(field => field.key));
+  (workflow.transitions || []).forEach(transition => {
+    if (!keys.has(transition.to)) throw new Error(`Transition to unknown status "${transition.to}"`);
+    (transition.from || []).forEach(from => {
+      if (from !== '*' && !keys.has(from)) throw new Error(`Transition from unknown status "${from}"`);
+    });
+    (transition.requiredFields || []).forEach(key => {
+      if (!fieldKeys.has(key)) throw new Error(`Transition to "${transition.to}" requires unknown custom field "${key}"`);
+    });
+  });
+
+  return true;
+}
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  openCaseFilter,
+  getWorkflow,
+  isClosedStatus,
+  getAvailableTransitions,
+  checkTransition,
+  checkWorkflowDefinition
+};
@@ -1,17 +1,14 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (userId) => {
+// Short-lived access token; sessionId ties it to a revocable session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sessionId },
     process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d'
+      expiresIn: process.env.JWT_EXPIRE || '15m'
     }
   );
 };
 
 module.exports = generateToken;
-
-
-
-
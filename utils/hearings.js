@@ -0,0 +1,26 @@
+const Hearing = require('../models/Hearing.model');
+
+// Start of the current day, so a hearing earlier today still counts as upcoming
+function startOfToday() {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+// Point Case.nextHearingDate at the earliest upcoming scheduled hearing
+// The caller is responsible for saving the case
+const syncNextHearingDate = async (caseItem) => {
+  const next = await Hearing.findOne({
+    caseId: caseItem._id,
+    status: 'Scheduled',
+    hearingDate: { $gte: startOfToday() }
+  }).sort({ hearingDate: 1 });
+
+  caseItem.nextHearingDate = next ? next.hearingDate : undefined;
+  return next;
+};
+
+module.exports = {
+  startOfToday,
+  syncNextHearingDate
+};
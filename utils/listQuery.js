@@ -0,0 +1,99 @@
+const { query } = require('express-validator');
+
+/**
+ * Paging, sorting and full-text search shared by the list endpoints:
+ *   GET /api/cases?page=2&limit=50&sort=-filingDate,title&q=boundary dispute
+ * Results come back as { data, pagination: { page, limit, total, totalPages } }.
+ */
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Split "-filingDate,title" into [['filingDate', -1], ['title', 1]]
+function parseSort(sort) {
+  return String(sort)
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean)
+    .map(field => (field.startsWith('-') ? [field.slice(1), -1] : [field.replace(/^\+/, ''), 1]));
+}
+
+// Validators for page, limit, sort and q; sortFields are the fields the endpoint can sort on
+const listValidators = (sortFields) => [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).toInt(),
+  query('sort').optional().custom(sort => {
+    const unknown = parseSort(sort).map(([field]) => field).filter(field => !sortFields.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Cannot sort by ${unknown.join(', ')}. Allowed: ${sortFields.join(', ')}`);
+    }
+    return true;
+  }),
+  query('q').optional().trim().isLength({ max: 200 })
+];
+
+/**
+ * Paging and sort options for a validated request.
+ * With a search and no explicit sort, the best matches come first.
+ */
+function getListOptions(req, defaultSort = { createdAt: -1 }) {
+  const page = req.query.page || 1;
+  const limit = req.query.limit || DEFAULT_LIMIT;
+  const search = req.query.q || undefined;
+
+  let sort;
+  if (req.query.sort) {
+    sort = Object.fromEntries(parseSort(req.query.sort));
+  } else if (search) {
+    sort = { score: { $meta: 'textScore' }, ...defaultSort };
+  } else {
+    sort = defaultSort;
+  }
+
+  return { page, limit, skip: (page - 1) * limit, sort, search };
+}
+
+// Add the q search to a filter; the model needs a text index
+function applyTextSearch(filter, options) {
+  if (options.search) filter.$text = { $search: options.search };
+  return filter;
+}
+
+function buildPagination(options, total) {
+  return {
+    page: options.page,
+    limit: options.limit,
+    total,
+    totalPages: Math.ceil(total / options.limit)
+  };
+}
+
+/**
+ * Find one page of documents with the total count of matches.
+ * buildQuery can add populates to the find query.
+ * Resolves to { items, pagination }.
+ */
+const findPage = async (Model, filter, options, buildQuery = q => q) => {
+  const [items, total] = await Promise.all([
+    buildQuery(Model.find(filter))
+      .sort(options.sort)
+      .skip(options.skip)
+      .limit(options.limit),
+    Model.countDocuments(filter)
+  ]);
+
+  return { items, pagination: buildPagination(options, total) };
+};
+
+// Response body for a list the user has no access to
+function emptyPage(options) {
+  return { success: true, data: [], pagination: buildPagination(options, 0) };
+}
+
+module.exports = {
+  parseSort,
+  listValidators,
+  getListOptions,
+  applyTextSearch,
+  findPage,
+  emptyPage
+};
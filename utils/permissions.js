@@ -0,0 +1,94 @@
+// Named permissions and the built-in roles that bundle them
+
+const PERMISSIONS = {
+  'case:read': 'View cases, their timeline and hearings',
+  'case:write': 'Create and edit cases, schedule hearings',
+  'case:delete': 'Delete cases and restore them from the trash',
+  'document:read': 'Download case documents',
+  'document:write': 'Upload case documents and new versions',
+  'document:delete': 'Delete case documents',
+  'client:read': 'View clients',
+  'client:write': 'Create and edit clients, link portal users',
+  'client:delete': 'Delete clients and restore them from the trash',
+  'time:read': 'View time entries',
+  'time:write': 'Record time entries',
+  'invoice:read': 'View invoices',
+  'invoice:write': 'Create invoices and change their status',
+  'message:read': 'Read messages',
+  'message:write': 'Send messages',
+  'notice:read': 'View notices',
+  'notice:write': 'Create and edit notices, record replies and correspondence',
+  'notice:delete': 'Delete notices',
+  'noticetemplate:manage': 'Create, edit and retire notice templates',
+  'calendar:read': 'View the hearing calendar and subscribe to it',
+  'task:read': 'View case tasks and comment on them',
+  'task:write': 'Create, assign and update case tasks',
+  'deadline:read': 'View case deadlines and upcoming deadlines',
+  'deadline:write': 'Calculate, add and complete case deadlines',
+  'holiday:manage': 'Manage court holidays and court working days',
+  'casetype:manage': 'Create, edit and retire case types and their custom fields',
+  'conflict:check': 'Run conflict-of-interest checks and view their results',
+  'conflict:resolve': 'Clear or waive potential conflicts of interest',
+  'ecourt:read': 'Look up and link cases on eCourts',
+  'ecourt:sync': 'Re-sync all linked cases from eCourts',
+  'user:read': 'View staff and portal users',
+  'user:manage': 'Edit and deactivate other users, manage their sessions and 2FA',
+  'invitation:manage': 'Invite users',
+  'role:manage': 'Manage roles and their permissions',
+  'settings:manage': 'Change firm-wide settings',
+  'audit:read': 'View the audit log',
+  'trash:purge': 'Permanently delete cases and clients from the trash'
+};
+
+// Data scope of a role: Admin sees the whole firm, Lawyer their assigned matters,
+// Client the matters of their linked client records
+const ACCESS_LEVELS = ['Admin', 'Lawyer', 'Client'];
+
+const BUILT_IN_ROLES = {
+  Admin: {
+    description: 'Full access to all features',
+    baseRole: 'Admin',
+    permissions: ['*']
+  },
+  Lawyer: {
+    description: 'Works on assigned clients and cases',
+    baseRole: 'Lawyer',
+    permissions: [
+      'case:read', 'case:write',
+      'document:read', 'document:write', 'document:delete',
+      'client:read', 'client:write',
+      'time:read', 'time:write',
+      'invoice:read', 'invoice:write',
+      'message:read', 'message:write',
+      'notice:read', 'notice:write',
+      'calendar:read',
+      'task:read', 'task:write',
+      'deadline:read', 'deadline:write',
+      'conflict:check',
+      'ecourt:read',
+      'user:read'
+    ]
+  },
+  Client: {
+    description: 'Client portal access to their own matters',
+    baseRole: 'Client',
+    permissions: [
+      'case:read',
+      'document:read', 'document:write',
+      'invoice:read',
+      'message:read', 'message:write',
+      'notice:read'
+    ]
+  }
+};
+
+// Check if a permission list grants a permission
+const grants = (permissions, permission) =>
+  permissions.includes('*') || permissions.includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ACCESS_LEVELS,
+  BUILT_IN_ROLES,
+  grants
+};
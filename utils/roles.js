@@ -0,0 +1,113 @@
+const Role = require('../models/Role.model');
+const { BUILT_IN_ROLES, grants } = require('./permissions');
+
+// Roles are resolved on every authenticated request, so keep them briefly in memory
+const CACHE_MS = 30 * 1000;
+let cache = null;
+
+// Load all role definitions: built-in roles overlaid with stored roles
+const loadRoles = async () => {
+  if (cache && cache.expiresAt > Date.now()) return cache.roles;
+
+  const roles = new Map();
+  Object.entries(BUILT_IN_ROLES).forEach(([name, role]) => {
+    roles.set(name, { name, ...role, isSystem: true });
+  });
+
+  const stored = await Role.find();
+  stored.forEach(role => {
+    const builtIn = BUILT_IN_ROLES[role.name];
+    roles.set(role.name, {
+      name: role.name,
+      description: role.description || (builtIn && builtIn.description) || '',
+      // Admin always keeps every permission and its data scope
+      permissions: role.name === 'Admin' ? ['*'] : role.permissions,
+      baseRole: builtIn ? builtIn.baseRole : role.baseRole,
+      isSystem: !!builtIn,
+      updatedAt: role.updatedAt
+    });
+  });
+
+  cache = { roles, expiresAt: Date.now() + CACHE_MS };
+  return roles;
+};
+
+// Drop cached roles after a change
+const clearRoleCache = () => {
+  cache = null;
+};
+
+// Get a role definition by name, or null if it does not exist
+const getRole = async (name) => {
+  const roles = await loadRoles();
+  return roles.get(name) || null;
+};
+
+// Get the data scope (Admin, Lawyer or Client) of a role name.
+// The scope comes from the role's baseRole alone: a custom role with baseRole Admin
+// sees the whole firm's data whatever its permissions, which is why only Admin-level
+// users can assign such roles (see checkRoleAssignment).
+const getAccessLevel = async (name) => {
+  const role = await getRole(name);
+  return role ? role.baseRole : null;
+};
+
+// Names of all roles whose data scope is one of the given levels
+const getRoleNamesWithAccess = async (...levels) => {
+  const roles = await loadRoles();
+  return [...roles.values()].filter(role => levels.includes(role.baseRole)).map(role => role.name);
+};
+
+// Resolve a user's role and expose it through the accessLevel/permissions virtuals
+// Returns the role, or null if it no longer exists
+const resolveUserRole = async (user) => {
+  const role = await getRole(user.role);
+  if (role) {
+    user.$locals.accessLevel = role.baseRole;
+    user.$locals.permissions = role.permissions;
+  }
+  return role;
+};
+
+// Check if a role can be assigned as the lawyer on clients and cases
+const hasLawyerAccess = async (name) => ['Admin', 'Lawyer'].includes(await getAccessLevel(name));
+
+// express-validator check that a role name exists
+const roleExists = async (name) => {
+  if (!(await getRole(name))) throw new Error(`Role "${name}" does not exist`);
+  return true;
+};
+
+/**
+ * Check that a user may give a role to someone (by invitation or by changing a user's
+ * role): Admin-level roles only by Admin-level users, and other roles only by users
+ * who hold every permission the role grants, so delegated rights can't be escalated.
+ * Resolves to an error message, or null when the role can be assigned.
+ */
+const checkRoleAssignment = async (user, name) => {
+  const role = await getRole(name);
+  if (!role) return `Role "${name}" does not exist`;
+
+  if (user.accessLevel === 'Admin') return null;
+  if (role.baseRole === 'Admin') return `Only Admins can assign the ${name} role`;
+
+  const missing = role.permissions.filter(permission => !hasPermission(user, permission));
+  if (missing.length > 0) return `You cannot assign the ${name} role: it has permissions you don't hold`;
+  return null;
+};
+
+// Check a user resolved by authenticate (see User accessLevel/permissions virtuals)
+const hasPermission = (user, permission) => grants(user.permissions || [], permission);
+
+module.exports = {
+  loadRoles,
+  clearRoleCache,
+  getRole,
+  getAccessLevel,
+  getRoleNamesWithAccess,
+  resolveUserRole,
+  hasLawyerAccess,
+  roleExists,
+  checkRoleAssignment,
+  hasPermission
+};
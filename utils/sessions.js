@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session.model');
+const generateToken = require('./generateToken');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+// Hash a refresh token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Client IP as Express resolves it; X-Forwarded-For is only honoured for the
+// proxies TRUST_PROXY names (see server.js), since clients can send it themselves
+function getClientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || undefined;
+}
+
+// Build the token payload returned to the client
+function buildTokens(userId, session, refreshToken) {
+  const token = generateToken(userId, session._id);
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    token,
+    refreshToken,
+    expiresIn: exp - iat,
+    refreshExpiresAt: session.expiresAt
+  };
+}
+
+// Start a new session for a user and issue its first token pair
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const session = new Session({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.headers['user-agent'],
+    deviceName: req.body && req.body.deviceName,
+    ipAddress: getClientIp(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+  await session.save();
+
+  return buildTokens(user._id, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting an already-rotated token revokes the session, since it means the
+ * token has been copied.
+ * Resolves to { tokens, session } or { error } with a message for the client.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = crypto.randomBytes(48).toString('hex');
+
+  // Swap the token in one conditional update, so of two refreshes with the same token only one succeeds
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        ipAddress: getClientIp(req),
+        ...(req.headers['user-agent'] && { userAgent: req.headers['user-agent'] })
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+    );
+    if (!reused && await Session.exists({ tokenHash })) {
+      return { error: 'Session expired or revoked' };
+    }
+    return { error: 'Invalid refresh token' };
+  }
+
+  return { session, tokens: buildTokens(session.userId, session, nextToken) };
+};
+
+// Revoke sessions matching the filter
+const revokeSessions = async (filter, reason) => {
+  const result = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  getClientIp,
+  createSession,
+  rotateSession,
+  revokeSessions
+};
@@ -0,0 +1,48 @@
+const Setting = require('../models/Setting.model');
+
+// Defaults for settings that have never been saved
+const DEFAULTS = {
+  security: {
+    requireTwoFactorRoles: []
+  },
+  // Days of the week courts are closed (0 = Sunday)
+  deadlines: {
+    weekendDays: [0, 6]
+  }
+};
+
+// Settings are read on every authenticated request, so keep them briefly in memory
+const CACHE_MS = 30 * 1000;
+const cache = new Map();
+
+// Get a setting, merged over its defaults
+const getSetting = async (key) => {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const setting = await Setting.findOne({ key });
+  const value = { ...(DEFAULTS[key] || {}), ...(setting ? setting.value : {}) };
+
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_MS });
+  return value;
+};
+
+// Save a setting (partial values are merged into the current one)
+const updateSetting = async (key, value, userId) => {
+  const current = await getSetting(key);
+  const next = { ...current, ...value };
+
+  await Setting.findOneAndUpdate(
+    { key },
+    { value: next, updatedBy: userId },
+    { upsert: true, new: true }
+  );
+
+  cache.delete(key);
+  return next;
+};
+
+module.exports = {
+  getSetting,
+  updateSetting
+};
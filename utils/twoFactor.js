@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getSetting } = require('./settings');
+const { verifyTotp, decryptSecret } = require('./totp');
+const User = require('../models/User.model');
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).trim().toLowerCase())
+  .digest('hex');
+
+// Check if the security policy requires 2FA for the user's role
+const isTwoFactorRequired = async (user) => {
+  const security = await getSetting('security');
+  return (security.requireTwoFactorRoles || []).includes(user.role);
+};
+
+// Invalid codes in a row before entering codes is locked, and for how long
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MS = 15 * 60 * 1000;
+
+// When a user locked out by invalid codes may try again, or null if they may now
+const twoFactorLockedUntil = (user) => {
+  const lockedUntil = user.twoFactor && user.twoFactor.lockedUntil;
+  return lockedUntil && lockedUntil > new Date() ? lockedUntil : null;
+};
+
+// Count an invalid code, locking the user out once there are too many in a row
+const recordFailedAttempt = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  ).select('twoFactor.failedAttempts');
+
+  if (updated && updated.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': new Date(Date.now() + LOCK_MS) } }
+    );
+  }
+};
+
+/**
+ * Check an authenticator code or recovery code for a user with 2FA enabled.
+ * The code is consumed in the database in one conditional update, so it can't be
+ * used twice even by concurrent requests; invalid codes count towards a lockout.
+ * Callers check twoFactorLockedUntil first.
+ * Resolves to 'totp', 'recovery_code' or null.
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor;
+  if (!twoFactor || !twoFactor.enabled || !twoFactor.secret) return null;
+
+  let method = null;
+  if (code) {
+    const step = verifyTotp(decryptSecret(twoFactor.secret), code);
+    if (step !== null) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0 } }
+      );
+      if (result.modifiedCount > 0) method = 'totp';
+    }
+  } else if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash }, $set: { 'twoFactor.failedAttempts': 0 } }
+    );
+    if (result.modifiedCount > 0) {
+      twoFactor.recoveryCodes.splice(twoFactor.recoveryCodes.indexOf(hash), 1);
+      method = 'recovery_code';
+    }
+  }
+
+  if (!method) await recordFailedAttempt(user);
+  return method;
+};
+
+const jwtSecret = () => process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+
+// Short-lived token proving the password step of a two-step login
+const createTwoFactorChallenge = (userId) => jwt.sign(
+  { userId, purpose: '2fa_challenge' },
+  jwtSecret(),
+  { expiresIn: '5m' }
+);
+
+// Return the user id from a challenge token, or null if it is invalid or expired
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, jwtSecret());
+    return decoded.purpose === '2fa_challenge' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  hashRecoveryCode,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  isTwoFactorRequired,
+  twoFactorLockedUntil,
+  verifySecondFactor
+};
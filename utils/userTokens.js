@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken.model');
+const { hashToken } = require('./sessions');
+
+// Issue a new single-use token, invalidating earlier unused tokens of the same type
+const issueUserToken = async (userId, type, expiresInMinutes) => {
+  await UserToken.deleteMany({ userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, used or expired
+const consumeUserToken = async (token, type) => {
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken
+};